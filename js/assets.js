@@ -1,4 +1,4 @@
-/** @type {Object.<string, any>} Global assets container */
+/** @type {Object.<string, any>} Global assets container, filled in from the manifest (assets/assets.json) */
 const assets = {
     sounds: {
         effects: {},
@@ -10,6 +10,7 @@ const assets = {
         droppings: null, // Will be created programmatically
         drops: {}, // New collection for drop assets
         food: {}, // Will store food item sprites
+        powerups: {}, // Power-up pickup icons
         game: {
             hearing_health: {} // For different hearing health levels
         },
@@ -18,6 +19,9 @@ const assets = {
             bus_sprites: { left: [], right: [] },
             truck_sprites: { left: [], right: [] },
             emergency_sprites: { left: [], right: [] },
+            motorbike_sprites: { left: [], right: [] },
+            rickshaw_sprites: { left: [], right: [] },
+            van_sprites: { left: [], right: [] },
             fire_sprites: [] // Fire animation frames for vehicle crashes
         }
     }
@@ -61,6 +65,184 @@ function createDroppingSprite() {
     return canvas;
 }
 
+/**
+ * Creates a power-up pickup icon programmatically
+ * @param {Object} descriptor - Manifest entry with the badge `color` and a short `label`
+ * @returns {HTMLCanvasElement} Canvas with a round badge
+ */
+function createPowerupSprite(descriptor) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    
+    // Colored badge with a white rim
+    ctx.fillStyle = descriptor.color || '#888888';
+    ctx.beginPath();
+    ctx.arc(16, 16, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    // Label in the middle
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(descriptor.label || '?', 16, 17);
+    
+    return canvas;
+}
+
+/**
+ * Creates a fallback fire sprite programmatically
+ * @returns {HTMLCanvasElement} Canvas with a flame drawing
+ */
+function createFireFallback() {
+    console.warn('Creating fallback fire sprite');
+    const placeholder = document.createElement('canvas');
+    placeholder.width = placeholder.height = 80; // Larger size
+    const ctx = placeholder.getContext('2d');
+    
+    // Create a more realistic flame shape
+    // Use a flame-shaped path instead of a circle
+    ctx.save();
+    
+    // Create base gradient (yellow to red)
+    const gradient = ctx.createRadialGradient(40, 40, 5, 40, 40, 35);
+    gradient.addColorStop(0, 'rgba(255, 255, 200, 0.95)'); // Light yellow center
+    gradient.addColorStop(0.4, 'rgba(255, 160, 0, 0.9)');  // Orange middle
+    gradient.addColorStop(0.7, 'rgba(255, 50, 0, 0.8)');   // Red-orange edge
+    gradient.addColorStop(1, 'rgba(200, 0, 0, 0)');        // Fade out to transparent
+    
+    ctx.fillStyle = gradient;
+    
+    // Draw flame shape
+    ctx.beginPath();
+    
+    // Start at bottom center
+    ctx.moveTo(40, 65);
+    
+    // Left side of flame (create curves)
+    ctx.bezierCurveTo(
+        30, 55, // Control point 1
+        20, 40, // Control point 2
+        30, 20  // End point
+    );
+    
+    // Flame tip (top)
+    ctx.bezierCurveTo(
+        35, 10, // Control point 1
+        45, 10, // Control point 2
+        50, 20  // End point
+    );
+    
+    // Right side of flame
+    ctx.bezierCurveTo(
+        60, 40, // Control point 1
+        50, 55, // Control point 2
+        40, 65  // End point (back to start)
+    );
+    
+    ctx.closePath();
+    ctx.fill();
+    
+    // Add inner glow/highlight
+    const innerGradient = ctx.createRadialGradient(40, 35, 2, 40, 35, 15);
+    innerGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+    innerGradient.addColorStop(1, 'rgba(255, 255, 0, 0)');
+    
+    ctx.fillStyle = innerGradient;
+    ctx.beginPath();
+    ctx.arc(40, 35, 15, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.restore();
+    return placeholder;
+}
+
+/**
+ * Draws a vehicle sprite in code, for vehicle types that have no artwork or whose artwork
+ * failed to load (tow trucks and emergency vehicles are drawn as vans)
+ * @param {Object} descriptor - Manifest fallback entry: `shape` ('motorbike', 'rickshaw' or 'van'),
+ *   `direction` it faces, canvas `width` and `height` and body `colors` to pick from
+ * @param {number} index - Which sprite of the set this is, picks the body color
+ * @returns {HTMLCanvasElement} Canvas with the vehicle seen from the side
+ */
+function createVehicleSprite(descriptor, index = 0) {
+    const canvas = document.createElement('canvas');
+    const width = canvas.width = descriptor.width;
+    const height = canvas.height = descriptor.height;
+    const ctx = canvas.getContext('2d');
+    const colors = descriptor.colors || ['#607d8b'];
+    const body = colors[index % colors.length];
+    
+    // Drawn facing right, mirrored for vehicles driving left
+    if (descriptor.direction === 'left') {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+    }
+    
+    const wheel = (x, radius) => {
+        ctx.fillStyle = '#212121';
+        ctx.beginPath();
+        ctx.arc(x, height - radius, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#9e9e9e';
+        ctx.beginPath();
+        ctx.arc(x, height - radius, radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+    };
+    
+    switch (descriptor.shape) {
+        case 'motorbike':
+            // Frame and tank between the wheels, with the rider leaning forward
+            ctx.fillStyle = body;
+            ctx.fillRect(width * 0.25, height * 0.5, width * 0.5, height * 0.22);
+            ctx.fillStyle = '#37474f';
+            ctx.fillRect(width * 0.4, height * 0.15, width * 0.14, height * 0.38);
+            ctx.fillStyle = body;
+            ctx.beginPath();
+            ctx.arc(width * 0.52, height * 0.14, height * 0.13, 0, Math.PI * 2);
+            ctx.fill();
+            wheel(width * 0.18, height * 0.2);
+            wheel(width * 0.82, height * 0.2);
+            break;
+        
+        case 'rickshaw':
+            // Canopy over an open cabin, with the driver at the front
+            ctx.fillStyle = body;
+            ctx.fillRect(width * 0.1, height * 0.35, width * 0.8, height * 0.4);
+            ctx.fillStyle = '#212121';
+            ctx.beginPath();
+            ctx.moveTo(width * 0.05, height * 0.38);
+            ctx.quadraticCurveTo(width * 0.45, -height * 0.05, width * 0.85, height * 0.38);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillRect(width * 0.55, height * 0.4, width * 0.25, height * 0.18);
+            wheel(width * 0.22, height * 0.15);
+            wheel(width * 0.8, height * 0.15);
+            break;
+        
+        case 'van':
+        default:
+            // Tall cargo box behind a short cab
+            ctx.fillStyle = body;
+            ctx.fillRect(0, height * 0.05, width * 0.72, height * 0.75);
+            ctx.fillRect(width * 0.7, height * 0.3, width * 0.28, height * 0.5);
+            ctx.fillStyle = 'rgba(144, 202, 249, 0.9)';
+            ctx.fillRect(width * 0.78, height * 0.35, width * 0.16, height * 0.18);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+            ctx.fillRect(width * 0.05, height * 0.4, width * 0.6, height * 0.06);
+            wheel(width * 0.18, height * 0.14);
+            wheel(width * 0.8, height * 0.14);
+            break;
+    }
+    
+    return canvas;
+}
+
 /**
  * Loads an image and returns a promise
  * @param {string} src - Image source path
@@ -72,350 +254,321 @@ function loadImage(src) {
         img.onload = () => resolve(img);
         img.onerror = () => {
             console.warn(`Failed to load image: ${src}`);
-            resolve(createPlaceholder());
+            reject(new Error(`Failed to load image: ${src}`));
         };
         img.src = src;
     });
 }
 
 /**
- * Loads an audio file and returns a promise
+ * Loads an audio file and decodes it for the mixer
  * @param {string} src - Audio source path
- * @returns {Promise<HTMLAudioElement>} Promise that resolves with the loaded audio
+ * @returns {Promise<AudioBuffer>} Promise that resolves with the decoded audio
  */
-function loadAudio(src) {
-    return new Promise((resolve, reject) => {
-        const audio = new Audio();
-        audio.oncanplaythrough = () => resolve(audio);
-        audio.onerror = () => {
-            console.warn(`Failed to load audio: ${src}`);
-            reject(new Error(`Failed to load audio: ${src}`));
-        };
-        audio.src = src;
-    });
+async function loadAudio(src) {
+    try {
+        const response = await fetch(src);
+        return await Mixer.getShared().decode(await response.arrayBuffer());
+    } catch (error) {
+        console.warn(`Failed to load audio: ${src}`, error);
+        throw new Error(`Failed to load audio: ${src}`);
+    }
 }
 
+/** @type {string} Location of the manifest describing every asset */
+const ASSET_MANIFEST_URL = 'assets/assets.json';
+
+/** @type {Object.<string, function(Object, number): HTMLCanvasElement>} Sprites the manifest can ask to be drawn in code, given their manifest entry (and index within a set) */
+const ASSET_GENERATORS = {
+    placeholder: createPlaceholder,
+    dropping: createDroppingSprite,
+    fire: createFireFallback,
+    powerup: createPowerupSprite,
+    vehicle: createVehicleSprite
+};
+
 /**
- * Preloads all game assets
- * @returns {Promise<void>} Promise that resolves when all assets are loaded
+ * Flattens a manifest into a list of loadable entries.
+ * A manifest node with `src` is a single file, one with `files` is a sprite
+ * set (an array of frames) and one with `generate` is drawn in code; any
+ * other object is a group of named children.
+ * @param {Object} manifest - Parsed assets.json
+ * @returns {Array<Object>} Entries with kind ('sound', 'image', 'spriteSet' or 'generated'), path and descriptor
  */
-async function preloadAssets() {
-    const loadPromises = [];
-
-    // Load sound effects
-    const effects = ['poop', 'powerup', 'explosion', 'splat', 'crash', 'fire'];
-    effects.forEach(effect => {
-        const ext = effect === 'explosion' || effect === 'crash' ? 'mp3' : 'wav';
-        loadPromises.push(
-            loadAudio(`assets/sounds/effects/${effect}.${ext}`)
-                .then(audio => {
-                    assets.sounds.effects[effect] = audio;
-                    // Set volume for specific effects
-                    if (effect === 'fire') {
-                        audio.volume = 0.4; // Lower volume for ambient effect
-                        audio.loop = true;
-                    }
-                })
-                .catch(err => {
-                    console.warn(`Failed to load audio: ${effect}`, err);
-                    // Use explosion as fallback for crash and fire if they fail to load
-                    if ((effect === 'crash' || effect === 'fire') && assets.sounds.effects.explosion) {
-                        assets.sounds.effects[effect] = assets.sounds.effects.explosion;
-                        console.log(`Using explosion sound as fallback for ${effect}`);
-                    }
-                })
-        );
-    });
-    
-    // Load drop sprites (poop and pile)
-    ['poop', 'pile'].forEach(drop => {
-        loadPromises.push(
-            loadImage(`assets/visuals/drops/${drop}.png`)
-                .then(img => assets.visuals.drops[drop] = img)
-                .catch(err => console.warn(`Failed to load drop sprite: ${drop}`, err))
-        );
-    });
-    
-    // Create dropping sprite programmatically as a fallback
-    assets.visuals.droppings = createDroppingSprite();
-    
-    // Load game UI elements
-    loadPromises.push(
-        loadImage('assets/visuals/game/bird_ears.png')
-            .then(img => assets.visuals.game.bird_ears = img)
-            .catch(err => console.warn('Failed to load bird_ears.png', err))
-    );
-    
-    // Load hearing health visuals (different ear states based on health percentage)
-    const hearingHealthLevels = [10, 20, 30, 40, 50, 60, 70, 80, 100];
-    hearingHealthLevels.forEach(level => {
-        loadPromises.push(
-            loadImage(`assets/visuals/game/hearing health/${level}.png`)
-                .then(img => {
-                    assets.visuals.game.hearing_health[level] = img;
-                    console.log(`Loaded hearing health image for ${level}%`);
-                })
-                .catch(err => console.warn(`Failed to load hearing health image for ${level}%`, err))
-        );
-    });
-    
-    // Load food sprites
-    const foodItems = [
-        'apple', 'burger', 'carrot', 'cherry', 'egg', 
-        'fries', 'ham', 'pizza', 'strawberry', 'sushi', 'watermelon'
-    ];
-    foodItems.forEach(food => {
-        loadPromises.push(
-            loadImage(`assets/visuals/food/${food}.png`)
-                .then(img => assets.visuals.food[food] = img)
-                .catch(err => console.warn(`Failed to load food sprite: ${food}`, err))
-        );
-    });
+function listManifestEntries(manifest) {
+    const entries = [];
 
-    // Load UI sounds
-    ['start', 'gameover', 'click'].forEach(sound => {
-        loadPromises.push(
-            loadAudio(`assets/sounds/ui/${sound}.wav`)
-                .then(audio => assets.sounds.ui[sound] = audio)
-                .catch(err => console.warn(`Failed to load UI sound: ${sound}`, err))
-        );
-    });
+    const walk = (node, path, section) => {
+        if (node.src !== undefined) {
+            entries.push({ kind: section === 'sounds' ? 'sound' : 'image', path, descriptor: node, srcs: [node.src] });
+        } else if (node.files !== undefined) {
+            const srcs = node.files.map(file => `${node.dir}/${file}`);
+            entries.push({ kind: 'spriteSet', path, descriptor: node, srcs });
+        } else if (node.generate !== undefined) {
+            entries.push({ kind: 'generated', path, descriptor: node, srcs: [] });
+        } else {
+            for (const key of Object.keys(node)) {
+                walk(node[key], path.concat(key), section);
+            }
+        }
+    };
 
-    // Load vehicle sounds (using honk1-5 instead of vehicle-specific honks)
-    const honkSounds = [1, 2, 3, 4, 5];
-    honkSounds.forEach(num => {
-        loadPromises.push(
-            loadAudio(`assets/sounds/vehicles/honk${num}.wav`)
-                .then(audio => assets.sounds.vehicles[`honk${num}`] = audio)
-                .catch(err => console.warn(`Failed to load vehicle sound: honk${num}`, err))
-        );
-    });
+    for (const section of ['sounds', 'visuals']) {
+        if (manifest[section]) {
+            walk(manifest[section], [section], section);
+        }
+    }
+
+    return entries;
+}
 
-    // Load bird animation frames
-    for (let i = 0; i <= 16; i++) {
-        loadPromises.push(
-            loadImage(`assets/visuals/bird_flying/skeleton-01_fly_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.bird_flying[i] = img)
-                .catch(err => console.warn(`Failed to load bird frame: ${i}`, err))
-        );
+/**
+ * Stores a value in a nested object, creating intermediate objects as needed
+ * @param {Object} root - Object to write into (e.g. `assets`)
+ * @param {Array<string>} path - Keys leading to the value
+ * @param {*} value - Value to store
+ */
+function setAssetAtPath(root, path, value) {
+    let node = root;
+    for (const key of path.slice(0, -1)) {
+        if (!node[key]) node[key] = {};
+        node = node[key];
     }
+    node[path[path.length - 1]] = value;
+}
 
-    // Car sprites - only load the ones that exist
-    const carLeftFrames = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-    const carRightFrames = [1, 2, 3, 4, 5, 6, 7, 8];
-    
-    carLeftFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/car_sprites/car_left_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.car_sprites.left.push(img))
-                .catch(err => console.warn(`Failed to load car sprite: left_${i}`, err))
-        );
-    });
-    
-    carRightFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/car_sprites/car_right_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.car_sprites.right.push(img))
-                .catch(err => console.warn(`Failed to load car sprite: right_${i}`, err))
-        );
-    });
-    
-    // Bus sprites - only load the ones that exist
-    const busLeftFrames = [1, 2];
-    const busRightFrames = [1, 2, 3, 4];
-    
-    busLeftFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/bus_sprites/bus_left_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.bus_sprites.left.push(img))
-                .catch(err => console.warn(`Failed to load bus sprite: left_${i}`, err))
-        );
-    });
-    
-    busRightFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/bus_sprites/bus_right_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.bus_sprites.right.push(img))
-                .catch(err => console.warn(`Failed to load bus sprite: right_${i}`, err))
-        );
-    });
-    
-    // Truck sprites - only load the ones that exist
-    const truckLeftFrames = [1, 2];
-    const truckRightFrames = [1, 2, 3];
-    
-    truckLeftFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/truck_sprites/truck_left_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.truck_sprites.left.push(img))
-                .catch(err => console.warn(`Failed to load truck sprite: left_${i}`, err))
-        );
-    });
-    
-    truckRightFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/truck_sprites/truck_right_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.truck_sprites.right.push(img))
-                .catch(err => console.warn(`Failed to load truck sprite: right_${i}`, err))
-        );
-    });
-    
-    // Emergency sprites - only load the ones that exist
-    const emergencyLeftFrames = [1, 2, 3];
-    const emergencyRightFrames = [1, 2, 3, 4, 5];
-    
-    emergencyLeftFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/emergency_sprites/emergency_left_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.emergency_sprites.left.push(img))
-                .catch(err => console.warn(`Failed to load emergency sprite: left_${i}`, err))
-        );
-    });
-    
-    emergencyRightFrames.forEach(i => {
-        loadPromises.push(
-            loadImage(`assets/visuals/vehicles/emergency_sprites/emergency_right_${i.toString().padStart(2, '0')}.png`)
-                .then(img => assets.visuals.vehicles.emergency_sprites.right.push(img))
-                .catch(err => console.warn(`Failed to load emergency sprite: right_${i}`, err))
-        );
-    });
-    
-    // Function to create a fallback fire sprite
-    const createFireFallback = () => {
-        console.warn('Creating fallback fire sprite');
-        const placeholder = document.createElement('canvas');
-        placeholder.width = placeholder.height = 80; // Larger size
-        const ctx = placeholder.getContext('2d');
-        
-        // Create a more realistic flame shape
-        // Use a flame-shaped path instead of a circle
-        ctx.save();
-        
-        // Create base gradient (yellow to red)
-        const gradient = ctx.createRadialGradient(40, 40, 5, 40, 40, 35);
-        gradient.addColorStop(0, 'rgba(255, 255, 200, 0.95)'); // Light yellow center
-        gradient.addColorStop(0.4, 'rgba(255, 160, 0, 0.9)');  // Orange middle
-        gradient.addColorStop(0.7, 'rgba(255, 50, 0, 0.8)');   // Red-orange edge
-        gradient.addColorStop(1, 'rgba(200, 0, 0, 0)');        // Fade out to transparent
-        
-        ctx.fillStyle = gradient;
-        
-        // Draw flame shape
-        ctx.beginPath();
-        
-        // Start at bottom center
-        ctx.moveTo(40, 65);
-        
-        // Left side of flame (create curves)
-        ctx.bezierCurveTo(
-            30, 55, // Control point 1
-            20, 40, // Control point 2
-            30, 20  // End point
-        );
-        
-        // Flame tip (top)
-        ctx.bezierCurveTo(
-            35, 10, // Control point 1
-            45, 10, // Control point 2
-            50, 20  // End point
-        );
-        
-        // Right side of flame
-        ctx.bezierCurveTo(
-            60, 40, // Control point 1
-            50, 55, // Control point 2
-            40, 65  // End point (back to start)
-        );
-        
-        ctx.closePath();
-        ctx.fill();
-        
-        // Add inner glow/highlight
-        const innerGradient = ctx.createRadialGradient(40, 35, 2, 40, 35, 15);
-        innerGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
-        innerGradient.addColorStop(1, 'rgba(255, 255, 0, 0)');
-        
-        ctx.fillStyle = innerGradient;
-        ctx.beginPath();
-        ctx.arc(40, 35, 15, 0, Math.PI * 2);
-        ctx.fill();
-        
-        ctx.restore();
-        return placeholder;
+/**
+ * Reads a value from a nested object
+ * @param {Object} root - Object to read from
+ * @param {Array<string>} path - Keys leading to the value
+ * @returns {*} The value, or undefined if any key is missing
+ */
+function getAssetAtPath(root, path) {
+    return path.reduce((node, key) => (node ? node[key] : undefined), root);
+}
+
+/**
+ * Fetches and parses the asset manifest
+ * @param {string} url - Manifest location
+ * @returns {Promise<Object>} The parsed manifest
+ * @throws {Error} If the manifest can't be fetched
+ */
+async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load asset manifest: ${url} (${response.status})`);
+    }
+    return response.json();
+}
+
+/**
+ * Downloads a file while reporting how many of its bytes have arrived
+ * @param {string} url - File location
+ * @param {function(number, number): void} onBytes - Called with the bytes received so far and the file size (0 if unknown)
+ * @returns {Promise<string>} Object URL for the downloaded file
+ * @throws {Error} If the file can't be fetched
+ */
+async function downloadAsset(url, onBytes) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url} (${response.status})`);
+    }
+
+    const size = Number(response.headers.get('Content-Length')) || 0;
+    onBytes(0, size);
+
+    const chunks = [];
+    let received = 0;
+    const reader = response.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onBytes(received, size);
+    }
+
+    const blob = new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+    return URL.createObjectURL(blob);
+}
+
+/**
+ * Loads one manifest entry into the `assets` tree
+ * @param {Object} entry - Entry from listManifestEntries()
+ * @param {function(string): Promise<string>} fetchFile - Downloads a manifest path and returns a URL to load it from
+ * @returns {Promise<Object>} Load result: name, kind, required, optional, total files, failed files and the fallback used
+ */
+async function loadManifestEntry(entry, fetchFile) {
+    const { kind, path, descriptor } = entry;
+    const result = {
+        name: path.slice(1).join('.'),
+        kind,
+        required: descriptor.required === true,
+        optional: descriptor.optional === true,
+        total: entry.srcs.length,
+        failed: [],
+        fallback: null
     };
-    
-    // Simplified direct loading of fire sprites from the specific directory
-    const loadFireSprites = async () => {
-        console.log('Loading fire sprites from /assets/visuals/vehicles/fire_sprites');
-        
-        // Clear any existing fire sprites
-        assets.visuals.vehicles.fire_sprites = [];
-        
-        // List of file names to try in the fire_sprites directory
-        const fileNames = ['fire001.png', 'fire002.png', 'fire003.png', 'fire004.png'];
-        let spritesLoaded = 0;
-        
-        // Load each file directly from the fire_sprites directory
-        for (const fileName of fileNames) {
+
+    switch (kind) {
+        case 'sound':
             try {
-                const img = await loadImage(`assets/visuals/vehicles/fire_sprites/${fileName}`);
-                assets.visuals.vehicles.fire_sprites.push(img);
-                spritesLoaded++;
-                console.log(`Successfully loaded fire sprite: ${fileName}`);
+                setAssetAtPath(assets, path, {
+                    buffer: await loadAudio(await fetchFile(descriptor.src)),
+                    volume: descriptor.volume !== undefined ? descriptor.volume : 1,
+                    loop: descriptor.loop === true
+                });
             } catch (err) {
-                console.warn(`Failed to load fire sprite: ${fileName}`, err);
+                // Sound fallbacks point at other sounds, so they're resolved after everything has loaded
+                console.warn(`Failed to load sound: ${result.name}`, err);
+                result.failed.push(descriptor.src);
+                result.fallback = 'silent';
             }
-        }
-        
-        // If no sprites were loaded, try directory listing or fall back to placeholders
-        if (spritesLoaded === 0) {
-            console.warn('No fire sprites loaded, checking directory contents...');
-            
+            break;
+
+        case 'image':
             try {
-                // Try to load any PNG files from the directory
-                const directoryFiles = [
-                    'fire001.png', 'fire002.png', 'fire003.png', 'fire004.png',
-                    'fire005.png', 'fire006.png', 'fire007.png', 'fire008.png'
-                ];
-                
-                for (const file of directoryFiles) {
-                    try {
-                        const img = await loadImage(`assets/visuals/vehicles/fire_sprites/${file}`);
-                        assets.visuals.vehicles.fire_sprites.push(img);
-                        spritesLoaded++;
-                        console.log(`Successfully loaded fire sprite: ${file}`);
-                    } catch (err) {
-                        // Silently fail for these attempts
-                    }
-                }
+                setAssetAtPath(assets, path, await loadImage(await fetchFile(descriptor.src)));
             } catch (err) {
-                console.warn('Failed to check directory contents', err);
+                const generatorName = descriptor.fallback || 'placeholder';
+                setAssetAtPath(assets, path, ASSET_GENERATORS[generatorName]());
+                result.failed.push(descriptor.src);
+                result.fallback = `${generatorName} sprite`;
             }
-        }
-        
-        // If still no sprites, create fallbacks
-        if (spritesLoaded === 0) {
-            console.warn('No fire sprites could be loaded, using fallbacks');
-            for (let i = 0; i < 4; i++) {
-                assets.visuals.vehicles.fire_sprites.push(createFireFallback());
+            break;
+
+        case 'spriteSet': {
+            // Frames keep manifest order no matter which file finishes loading first
+            const frames = await Promise.all(
+                entry.srcs.map(src => fetchFile(src).then(loadImage).catch(() => null))
+            );
+            let loaded = frames.filter(Boolean);
+            result.failed = entry.srcs.filter((src, i) => !frames[i]);
+
+            if (loaded.length === 0 && descriptor.fallback) {
+                // A set that lists no files is drawn in code on purpose
+                if (entry.srcs.length > 0) {
+                    console.warn(`No sprites loaded for ${result.name}, using ${descriptor.fallback.generate} fallback`);
+                }
+                const generator = ASSET_GENERATORS[descriptor.fallback.generate];
+                loaded = Array.from({ length: descriptor.fallback.count || 1 }, (_, index) => generator(descriptor.fallback, index));
+                result.fallback = `${descriptor.fallback.generate} sprites`;
+            } else if (result.failed.length > 0) {
+                result.fallback = loaded.length > 0 ? `remaining ${loaded.length} frames` : 'not drawn';
             }
+
+            setAssetAtPath(assets, path, loaded);
+            break;
         }
-        
-        console.log(`Total fire sprites loaded: ${assets.visuals.vehicles.fire_sprites.length}`);
-    };
-    
-    // Add the fire sprite loading promise
-    loadPromises.push(loadFireSprites());
-    
+
+        case 'generated':
+            setAssetAtPath(assets, path, ASSET_GENERATORS[descriptor.generate](descriptor));
+            break;
+    }
+
+    return result;
+}
+
+/**
+ * @typedef {Object} AssetLoadProgress
+ * @property {number} filesLoaded - Files finished (loaded or failed)
+ * @property {number} filesTotal - Files listed in the manifest
+ * @property {number} bytesLoaded - Bytes received so far
+ * @property {number} bytesTotal - Size of every file whose download has started
+ */
+
+/**
+ * @typedef {Object} AssetLoadReport
+ * @property {Array<Object>} results - One result per manifest entry (see loadManifestEntry)
+ * @property {Array<Object>} failures - Results with at least one failed file
+ * @property {Array<Object>} missingRequired - Failures of entries marked `required`
+ * @property {string|null} error - Set when the manifest itself couldn't be loaded
+ */
+
+/**
+ * Preloads all game assets listed in the manifest
+ * @param {string} manifestUrl - Location of assets.json
+ * @param {Object} options - Loading options
+ * @param {function(AssetLoadProgress): void} options.onProgress - Called whenever bytes arrive or a file finishes
+ * @returns {Promise<AssetLoadReport>} Resolves with what loaded, what failed and which fallbacks were used
+ */
+async function preloadAssets(manifestUrl = ASSET_MANIFEST_URL, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const report = { results: [], failures: [], missingRequired: [], error: null };
+
+    let manifest;
     try {
-        await Promise.all(loadPromises);
-        console.log('All available assets loaded successfully');
+        manifest = await loadManifest(manifestUrl);
     } catch (error) {
         console.error('Error loading assets:', error);
+        report.error = error.message;
+        return report;
+    }
+
+    const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+    const entries = listManifestEntries(manifest);
+
+    const progress = { filesLoaded: 0, filesTotal: 0, bytesLoaded: 0, bytesTotal: 0 };
+    const fileBytes = new Map(); // src -> { received, size }
+    progress.filesTotal = entries.reduce((sum, entry) => sum + entry.srcs.length, 0);
+    onProgress({ ...progress });
+
+    const updateBytes = (src, received, size) => {
+        fileBytes.set(src, { received, size: Math.max(size, received) });
+        progress.bytesLoaded = 0;
+        progress.bytesTotal = 0;
+        for (const file of fileBytes.values()) {
+            progress.bytesLoaded += file.received;
+            progress.bytesTotal += file.size;
+        }
+        onProgress({ ...progress });
+    };
+
+    const fetchFile = async (src) => {
+        try {
+            return await downloadAsset(baseUrl + src, (received, size) => updateBytes(src, received, size));
+        } finally {
+            progress.filesLoaded++;
+            onProgress({ ...progress });
+        }
+    };
+
+    report.results = await Promise.all(entries.map(entry => loadManifestEntry(entry, fetchFile)));
+
+    // Point failed sounds at their fallback (e.g. crash -> explosion)
+    for (const entry of entries) {
+        const fallback = entry.kind === 'sound' && entry.descriptor.fallback;
+        if (fallback && !getAssetAtPath(assets, entry.path)) {
+            const replacement = getAssetAtPath(assets.sounds, fallback.split('.'));
+            if (replacement) {
+                setAssetAtPath(assets, entry.path, replacement);
+                report.results[entries.indexOf(entry)].fallback = `${fallback} sound`;
+            }
+        }
     }
+
+    report.failures = report.results.filter(result => result.failed.length > 0);
+    report.missingRequired = report.failures.filter(result => result.required);
+
+    for (const failure of report.failures) {
+        console.warn(`Asset ${failure.name}: ${failure.failed.length} of ${failure.total} files failed, using ${failure.fallback}`);
+    }
+
+    return report;
 }
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { assets, preloadAssets, loadImage, loadAudio, createPlaceholder };
-} 
\ No newline at end of file
+    module.exports = {
+        assets,
+        ASSET_MANIFEST_URL,
+        preloadAssets,
+        loadManifestEntry,
+        loadImage,
+        loadAudio,
+        createPlaceholder,
+        listManifestEntries,
+        setAssetAtPath,
+        getAssetAtPath
+    };
+}
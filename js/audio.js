@@ -0,0 +1,303 @@
+/**
+ * A preloaded sound in `assets.sounds`, with the playback defaults from the manifest
+ * @typedef {Object} Sound
+ * @property {AudioBuffer} buffer - The decoded sound
+ * @property {number} volume - Volume between 0 and 1
+ * @property {boolean} loop - Whether it repeats until stopped
+ */
+
+/**
+ * Where sounds are heard from: the bird, in a running game
+ * @typedef {Object} Listener
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} hearingRadius - Distance within which a honk hurts, see Game.getHearingRadius()
+ * @property {number} panRange - Distance to the side at which a sound is fully in one speaker
+ */
+
+/**
+ * Plays the preloaded sounds in `assets.sounds` through the mixer.
+ * Gameplay code talks to this instead of the global assets so a game can
+ * run without audio (see NullAudio).
+ * Sounds with a position are heard from the listener: panned by where they
+ * are to its left or right, and quieter the further away they are.
+ * @class
+ */
+class AudioPlayer {
+    // How positioned sounds fade with distance: at full volume within the radius
+    // where they hurt the bird, down to the floor at `falloff` times that distance
+    static DISTANCE = {
+        falloff: 3,
+        floor: 0.2
+    };
+
+    /**
+     * Creates a new AudioPlayer instance
+     * @param {Object} sounds - Sound collections by category (effects, ui, vehicles)
+     * @param {Mixer} mixer - Mixer to play through; the shared one if omitted
+     */
+    constructor(sounds, mixer = Mixer.getShared()) {
+        this.sounds = sounds;
+        this.mixer = mixer;
+        this.muted = false; // Set while fast-forwarding so skipped time stays silent
+        this.listener = null; // Without one, positioned sounds play centred at full volume
+    }
+
+    /**
+     * Looks up a loaded sound
+     * @param {string} category - Sound category (e.g. 'effects')
+     * @param {string} name - Sound name (e.g. 'splat')
+     * @returns {Sound|null} The sound or null if it isn't loaded
+     */
+    get(category, name) {
+        const collection = this.sounds && this.sounds[category];
+        return (collection && collection[name]) || null;
+    }
+
+    /**
+     * Lists the loaded sounds of a category
+     * @param {string} category - Sound category
+     * @param {string} prefix - Only return names starting with this prefix
+     * @returns {Array<string>} Sound names
+     */
+    names(category, prefix = '') {
+        const collection = (this.sounds && this.sounds[category]) || {};
+        return Object.keys(collection).filter(name => name.startsWith(prefix) && collection[name]);
+    }
+
+    /**
+     * Plays a sound from the start as a voice of its own
+     * @param {string} category - Sound category
+     * @param {string} name - Sound name
+     * @param {Object} options - Playback options, overriding the manifest's
+     * @param {string} options.bus - Mixer bus to play on ('sfx', 'honk' or 'music'); 'sfx' if omitted
+     * @param {number} options.volume - Volume between 0 and 1
+     * @param {boolean} options.loop - Whether the sound repeats until stopped
+     * @param {number} options.rate - Playback speed, which also shifts the pitch (1 plays it as recorded)
+     * @param {number} options.priority - Higher priority sounds cut off lower ones when the bus is full
+     * @param {function(): void} options.onEnded - Called once when playback ends, is stopped or is cut off
+     * @param {boolean} options.ducks - Whether the music is turned down while it plays
+     * @param {{x: number, y: number, radius: number}} options.position - Where the sound comes from; see setPosition()
+     * @returns {Voice|null} The playing voice, or null if nothing was played
+     */
+    play(category, name, options = {}) {
+        const sound = this.get(category, name);
+        if (!sound || this.muted) return null;
+
+        return this.playBuffer(sound.buffer, {
+            ...options,
+            volume: options.volume !== undefined ? options.volume : sound.volume,
+            loop: options.loop !== undefined ? options.loop : sound.loop
+        });
+    }
+
+    /**
+     * Sounds a synthesized horn, rendering it the first time
+     * @param {Horn} horn - The horn
+     * @param {Object} options - Playback options as for play()
+     * @returns {Voice|null} The playing voice, or null if nothing was played
+     */
+    playHorn(horn, options = {}) {
+        return this.playRendered(horn, Horn.SAMPLE_RATE, options);
+    }
+
+    /**
+     * Plays a synthesized sound, rendering it the first time
+     * @param {{buffer: AudioBuffer|null, render: function(): Float32Array}} sound - The sound, e.g. a Horn;
+     *     its buffer is kept on it once rendered
+     * @param {number} sampleRate - Samples per second it renders at
+     * @param {Object} options - Playback options as for play()
+     * @returns {Voice|null} The playing voice, or null if nothing was played
+     */
+    playRendered(sound, sampleRate, options = {}) {
+        if (this.muted || !this.mixer.getContext()) return null;
+
+        if (!sound.buffer) {
+            sound.buffer = this.mixer.createBuffer(sound.render(), sampleRate);
+        }
+        return this.playBuffer(sound.buffer, options);
+    }
+
+    /**
+     * Plays a buffer through the mixer, heard from its position if it has one
+     * @param {AudioBuffer} buffer - The sound
+     * @param {Object} options - Playback options as for play()
+     * @returns {Voice|null} The playing voice, or null if nothing was played
+     */
+    playBuffer(buffer, options) {
+        const { position, ...playOptions } = options;
+        if (position) {
+            playOptions.pan = this.getPan(position.x);
+            playOptions.gain = this.getDistanceGain(position.x, position.y, position.radius);
+        }
+        return this.mixer.play(buffer, playOptions);
+    }
+
+    /**
+     * @returns {boolean} Whether the player wants synthesized horns mixed in with the recorded honks
+     */
+    mixesSynthHorns() {
+        return this.mixer.isSynthHornsEnabled();
+    }
+
+    /**
+     * Plays a steady tone until it is stopped
+     * @param {number} frequency - Pitch in Hz
+     * @param {Object} options - Playback options as for play(), apart from loop, rate and position
+     * @returns {Voice|null} The playing voice, or null if nothing was played
+     */
+    playTone(frequency, options = {}) {
+        if (this.muted) return null;
+        return this.mixer.playTone(frequency, options);
+    }
+
+    /**
+     * Turns a playing sound up or down
+     * @param {Voice} voice - A voice returned by play() or playTone()
+     * @param {number} gain - Factor on the volume it was played at, from 0 (silent) to 1
+     */
+    setGain(voice, gain) {
+        this.mixer.setGain(voice, gain);
+    }
+
+    /**
+     * Sets where sounds are heard from; positions are then panned and faded relative to it
+     * @param {Listener|null} listener - The listener, or null to play everything centred at full volume
+     */
+    setListener(listener) {
+        this.listener = listener;
+    }
+
+    /**
+     * Moves a playing sound, e.g. to follow the vehicle honking it
+     * @param {Voice} voice - A voice returned by play()
+     * @param {number} x - X position of the source
+     * @param {number} y - Y position of the source
+     * @param {number} radius - Distance within which this source hurts the bird; the listener's hearing radius if omitted
+     */
+    setPosition(voice, x, y, radius) {
+        this.mixer.setPan(voice, this.getPan(x));
+        this.mixer.setGain(voice, this.getDistanceGain(x, y, radius));
+    }
+
+    /**
+     * Works out how far into the left or right speaker a source is heard
+     * @param {number} x - X position of the source
+     * @returns {number} From -1 (left) to 1 (right); 0 without a listener
+     */
+    getPan(x) {
+        if (!this.listener) return 0;
+
+        const pan = (x - this.listener.x) / this.listener.panRange;
+        return Math.max(-1, Math.min(1, pan));
+    }
+
+    /**
+     * Works out how loud a source is heard at the listener's distance
+     * @param {number} x - X position of the source
+     * @param {number} y - Y position of the source
+     * @param {number} radius - Distance within which this source hurts the bird; the listener's hearing radius if omitted
+     * @returns {number} Gain from AudioPlayer.DISTANCE.floor to 1; 1 without a listener
+     */
+    getDistanceGain(x, y, radius) {
+        if (!this.listener) return 1;
+
+        const { falloff, floor } = AudioPlayer.DISTANCE;
+        const hearingRadius = radius !== undefined ? radius : this.listener.hearingRadius;
+        const distance = Math.hypot(x - this.listener.x, y - this.listener.y);
+        if (distance <= hearingRadius) return 1;
+
+        const fade = (distance - hearingRadius) / (hearingRadius * (falloff - 1));
+        return Math.max(floor, 1 - fade * (1 - floor));
+    }
+
+    /**
+     * @returns {boolean} Whether a sound the music ducks under (a siren or an explosion) is playing
+     */
+    isDucking() {
+        return this.mixer.isDucking();
+    }
+
+    /**
+     * Muffles the sounds of the world to match the bird's hearing
+     * @param {number} amount - From 0 (clear) to 1 (as muffled as it gets)
+     */
+    setMuffle(amount) {
+        this.mixer.setMuffle(amount);
+    }
+
+    /**
+     * Turns the sounds of the world down while the bird is deafened
+     * @param {number} amount - From 0 (not at all) to 1 (silent)
+     */
+    setDeafness(amount) {
+        this.mixer.setDeafness(amount);
+    }
+
+    /**
+     * Stops a sound returned by play()
+     * @param {Voice} voice - The voice to stop
+     */
+    stop(voice) {
+        this.mixer.stop(voice);
+    }
+}
+
+/**
+ * Silent stand-in for AudioPlayer, used by headless simulations
+ * @class
+ */
+class NullAudio {
+    constructor() {
+        this.muted = true;
+    }
+
+    get() {
+        return null;
+    }
+
+    names() {
+        return [];
+    }
+
+    play() {
+        return null;
+    }
+
+    playTone() {
+        return null;
+    }
+
+    playHorn() {
+        return null;
+    }
+
+    playRendered() {
+        return null;
+    }
+
+    mixesSynthHorns() {
+        return false;
+    }
+
+    setGain() {}
+
+    setListener() {}
+
+    setPosition() {}
+
+    setMuffle() {}
+
+    setDeafness() {}
+
+    isDucking() {
+        return false;
+    }
+
+    stop() {}
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioPlayer, NullAudio };
+}
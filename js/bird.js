@@ -1,3 +1,23 @@
+/**
+ * Dropping types the bird can switch between. Every type except 'normal'
+ * uses one ammo per drop; ammo is earned by eating food.
+ * @type {Object.<string, Object>}
+ */
+const DROPPING_TYPES = {
+    normal: { name: 'Normal', count: 1, speed: 300, sizeScale: 1, splashBonus: 0, cooldownScale: 1, color: '#8B4513' },
+    // A fan of small droppings
+    spread: { name: 'Spread', count: 5, spreadSpeed: 120, speed: 300, sizeScale: 0.6, splashBonus: 0, cooldownScale: 1.2, color: '#D2691E' },
+    // Slow and heavy, with a big splash
+    bomb: { name: 'Bomb', count: 1, speed: 220, sizeScale: 1.6, splashBonus: 80, cooldownScale: 2.5, color: '#3E2723' },
+    // Slows down whatever it hits
+    sticky: { name: 'Sticky', count: 1, speed: 300, sizeScale: 1, splashBonus: 0, cooldownScale: 1, slowFactor: 0.4, slowDuration: 4, color: '#C8A000' },
+    // Curves toward the nearest honking vehicle
+    homing: { name: 'Homing', count: 1, speed: 250, sizeScale: 0.9, splashBonus: 0, cooldownScale: 1.5, turnRate: 500, maxTurnSpeed: 220, color: '#E040FB' }
+};
+
+/** @type {Array<string>} Order the cycle key steps through the dropping types */
+const DROPPING_TYPE_ORDER = ['normal', 'spread', 'bomb', 'sticky', 'homing'];
+
 /**
  * Represents the player-controlled bird
  * @class
@@ -9,12 +29,19 @@ class Bird {
      * @param {number} y - Initial y position
      * @param {number} canvasWidth - Canvas width for boundary checking
      * @param {number} canvasHeight - Canvas height for boundary checking
+     * @param {Object} options - Optional settings
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player shared with the game
+     * @param {Object} options.visuals - Sprite collections shared with the game
+     * @param {EventBus} options.events - Game event bus for power level changes and death
      */
-    constructor(x = 400, y = 200, canvasWidth = 800, canvasHeight = 400) {
+    constructor(x = 400, y = 200, canvasWidth = 800, canvasHeight = 400, options = {}) {
         this.x = x;
         this.y = y;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.visuals = options.visuals || assets.visuals;
+        this.events = options.events || new EventBus();
         this.speed = 200; // pixels per second
         
         // Set fixed size for the bird (was too large before)
@@ -26,6 +53,8 @@ class Bird {
         this.movingRight = false;
         this.movingUp = false;
         this.movingDown = false;
+        this.vx = 0; // Velocity over the last update, pixels per second
+        this.vy = 0;
         
         // Animation state
         this.currentFrame = 0;
@@ -35,6 +64,13 @@ class Bird {
         
         // Dropping state
         this.activeDropping = null;
+        this.volley = []; // Extra droppings released together with the active one
+        
+        // Selected dropping type and the ammo for each special type
+        this.poopType = 'normal';
+        this.poopCount = 1;
+        this.maxAmmo = 20;
+        this.ammo = { spread: 0, bomb: 0, sticky: 0, homing: 0 };
         
         // Power-up properties
         this.bellyPoints = 0;
@@ -46,11 +82,14 @@ class Bird {
         
         // Dropping cooldown timer
         this.droppingCooldownTimer = 0;
+        this.cooldownMultiplier = 1; // Lowered by the rapid-fire power-up
         
         // Health system
         this.maxHealth = 100;
         this.health = this.maxHealth;
         this.isDead = false;
+        this.honkDamagePerSecond = 12; // Health lost per second of nearby honking
+        this.hearing = new Hearing({ audio: this.audio }); // How the player hears the game through the bird's ears
     }
 
     /**
@@ -86,6 +125,11 @@ class Bird {
         // Increase belly points
         this.bellyPoints += food.bellyPoints;
         
+        // Some foods also give ammo for a special dropping type
+        if (food.ammo) {
+            this.addAmmo(food.ammo.type, food.ammo.amount);
+        }
+        
         // Heal 10% of max health when eating food
         const healAmount = this.maxHealth * 0.1; // 10% of max health
         this.heal(healAmount);
@@ -95,15 +139,50 @@ class Bird {
         
         // Check if level increased
         if (newLevel > this.powerUpLevel) {
+            const previousLevel = this.powerUpLevel;
             this.powerUpLevel = newLevel;
             this.updatePowerUpProperties();
             
-            // Play power-up sound
-            if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.powerup) {
-                assets.sounds.effects.powerup.currentTime = 0;
-                assets.sounds.effects.powerup.play();
+            // The game plays the power-up sound in response
+            this.events.emit(GameEvents.POWER_LEVEL_CHANGED, { level: newLevel, previousLevel });
+        }
+    }
+
+    /**
+     * Adds ammo for a special dropping type
+     * @param {string} type - Key of DROPPING_TYPES (other than 'normal')
+     * @param {number} amount - Droppings to add
+     */
+    addAmmo(type, amount) {
+        if (!(type in this.ammo)) return;
+        this.ammo[type] = Math.min(this.maxAmmo, this.ammo[type] + amount);
+    }
+
+    /**
+     * Selects a dropping type
+     * @param {string} type - Key of DROPPING_TYPES
+     */
+    setDroppingType(type) {
+        this.poopType = type;
+        this.poopCount = DROPPING_TYPES[type].count;
+    }
+
+    /**
+     * Switches to the next dropping type that has ammo ('normal' always does)
+     * @returns {string} The selected type
+     */
+    cycleDroppingType() {
+        const start = DROPPING_TYPE_ORDER.indexOf(this.poopType);
+        
+        for (let i = 1; i <= DROPPING_TYPE_ORDER.length; i++) {
+            const type = DROPPING_TYPE_ORDER[(start + i) % DROPPING_TYPE_ORDER.length];
+            if (type === 'normal' || this.ammo[type] > 0) {
+                this.setDroppingType(type);
+                break;
             }
         }
+        
+        return this.poopType;
     }
 
     /**
@@ -163,27 +242,42 @@ class Bird {
     }
 
     /**
-     * Creates a dropping at the bird's position
-     * @returns {Object|null} The dropping object or null if one already exists or on cooldown
+     * Stop moving in every direction (e.g. when the game is paused)
      */
-    drop() {
-        if (this.activeDropping || this.droppingCooldownTimer > 0) {
-            return null; // Only one dropping at a time or on cooldown
-        }
+    stopAllMovement() {
+        this.movingLeft = false;
+        this.movingRight = false;
+        this.movingUp = false;
+        this.movingDown = false;
+    }
+
+    /**
+     * Creates one dropping of the selected type
+     * @param {Object} definition - Entry of DROPPING_TYPES
+     * @param {number} vx - Horizontal velocity in pixels per second
+     * @returns {Object} The dropping
+     */
+    createDropping(definition, vx) {
+        const visuals = this.visuals;
+        const size = this.poopSize * definition.sizeScale;
         
-        // Create dropping at bird's center with current power-up properties
-        this.activeDropping = {
+        return {
+            type: this.poopType,
             x: this.x + this.width / 2,
             y: this.y + this.height / 2,
-            width: this.poopSize,
-            height: this.poopSize,
-            speed: 300, // pixels per second
-            splashRadius: this.splashRadius,
+            vx: vx,
+            width: size,
+            height: size,
+            speed: definition.speed, // downward velocity in pixels per second; gravity adds to it
+            splashRadius: this.splashRadius + definition.splashBonus,
+            sticky: definition.slowFactor ? { factor: definition.slowFactor, duration: definition.slowDuration } : null,
+            homing: definition.turnRate ? { turnRate: definition.turnRate, maxSpeed: definition.maxTurnSpeed } : null,
+            color: definition.color,
             draw: function(ctx) {
                 // Use the poop sprite if available, fallback to drawing a circle
-                if (assets && assets.visuals && assets.visuals.drops && assets.visuals.drops.poop) {
+                if (visuals && visuals.drops && visuals.drops.poop) {
                     ctx.drawImage(
-                        assets.visuals.drops.poop,
+                        visuals.drops.poop,
                         this.x - this.width / 2,
                         this.y - this.height / 2,
                         this.width,
@@ -196,21 +290,67 @@ class Bird {
                     ctx.arc(this.x, this.y, this.width / 2, 0, Math.PI * 2);
                     ctx.fill();
                 }
+                
+                // Special droppings get a ring in their type's color
+                if (this.type !== 'normal') {
+                    ctx.strokeStyle = this.color;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(this.x, this.y, this.width / 2 + 2, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
             }
         };
+    }
+
+    /**
+     * Creates a dropping (or a volley of them) at the bird's position
+     * @returns {Object|null} The dropping object or null if one already exists or on cooldown
+     */
+    drop() {
+        if (this.activeDropping || this.droppingCooldownTimer > 0) {
+            return null; // Only one dropping at a time or on cooldown
+        }
+        
+        const definition = DROPPING_TYPES[this.poopType];
+        
+        // A volley fans out evenly; the middle dropping falls straight down
+        const droppings = [];
+        for (let i = 0; i < definition.count; i++) {
+            const spread = definition.count > 1 ? (i / (definition.count - 1)) * 2 - 1 : 0;
+            droppings.push(this.createDropping(definition, this.vx + spread * (definition.spreadSpeed || 0)));
+        }
+        const middle = Math.floor(definition.count / 2);
+        this.activeDropping = droppings[middle];
+        this.volley = droppings.filter((dropping, i) => i !== middle);
         
         // Start cooldown
-        this.droppingCooldownTimer = this.poopCooldown;
+        this.droppingCooldownTimer = this.poopCooldown * definition.cooldownScale * this.cooldownMultiplier;
         
-        // Play sound effect
-        if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.poop) {
-            assets.sounds.effects.poop.currentTime = 0;
-            assets.sounds.effects.poop.play();
+        // Special types use ammo, and fall back to normal droppings when it runs out
+        if (this.poopType !== 'normal') {
+            this.ammo[this.poopType]--;
+            if (this.ammo[this.poopType] <= 0) {
+                this.setDroppingType('normal');
+            }
         }
         
+        // Play sound effect
+        this.audio.play('effects', 'poop');
+        
         return this.activeDropping;
     }
 
+    /**
+     * Hands over the extra droppings of the last volley
+     * @returns {Array<Object>} Droppings released alongside the active one
+     */
+    takeVolley() {
+        const volley = this.volley;
+        this.volley = [];
+        return volley;
+    }
+
     /**
      * Updates bird position and animation state
      * @param {number} deltaTime - Time elapsed since last update in seconds
@@ -223,6 +363,9 @@ class Bird {
             this.frameTimer = 0;
         }
 
+        // Health is hearing health, and the game sounds the way the bird hears it
+        this.hearing.update(deltaTime, this.health / this.maxHealth);
+
         // Calculate velocity based on movement state
         let vx = 0;
         let vy = 0;
@@ -240,6 +383,8 @@ class Bird {
         }
         
         // Update position
+        const previousX = this.x;
+        const previousY = this.y;
         this.x += vx * deltaTime;
         this.y += vy * deltaTime;
         
@@ -247,14 +392,10 @@ class Bird {
         this.x = Math.max(0, Math.min(this.canvasWidth - this.width, this.x));
         this.y = Math.max(0, Math.min(this.canvasHeight - this.height, this.y));
         
-        // Update active dropping
-        if (this.activeDropping) {
-            this.activeDropping.y += this.activeDropping.speed * deltaTime;
-            
-            // Remove dropping if it goes off screen
-            if (this.activeDropping.y > this.canvasHeight) {
-                this.activeDropping = null;
-            }
+        // Actual velocity after clamping; droppings inherit it
+        if (deltaTime > 0) {
+            this.vx = (this.x - previousX) / deltaTime;
+            this.vy = (this.y - previousY) / deltaTime;
         }
         
         // Update dropping cooldown
@@ -272,8 +413,8 @@ class Bird {
      */
     draw(ctx) {
         // Draw bird
-        if (assets && assets.visuals && assets.visuals.bird_flying) {
-            const currentSprite = assets.visuals.bird_flying[this.currentFrame];
+        if (this.visuals && this.visuals.bird_flying) {
+            const currentSprite = this.visuals.bird_flying[this.currentFrame];
             if (currentSprite) {
                 ctx.save();
                 
@@ -388,24 +529,30 @@ class Bird {
         // Check if bird has died
         if (this.health <= 0 && !this.isDead) {
             this.isDead = true;
+            this.hearing.reset();
+            this.events.emit(GameEvents.BIRD_DIED, { bird: this });
         }
     }
     
     /**
      * Called when a honk is experienced by the bird
+     * @param {number} deltaTime - How long the honk was heard in seconds
      */
-    experienceHonk() {
-        // Reduce health by 0.2% when experiencing a honk (reduced from 1%)
-        // This makes the health decrease 5 times slower
-        this.damage(0.2);
+    experienceHonk(deltaTime = 1 / 60) {
+        // Reduce health by 12% per second of honking (the old 0.2% per frame at 60 FPS)
+        // Scaling by time keeps damage identical regardless of the update rate
+        const amount = this.honkDamagePerSecond * deltaTime;
+        this.hearing.expose(amount);
+        this.damage(amount);
     }
     
     /**
-     * Heals the bird
+     * Heals the bird, which also stops its ears ringing and brings back hearing lost to a burst of honking
      * @param {number} amount - Amount of health to recover
      */
     heal(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
+        this.hearing.recover();
     }
     
     /**
@@ -428,12 +575,13 @@ class Bird {
             poopCooldown: this.poopCooldown,
             splashRadius: this.splashRadius,
             poopType: this.poopType,
-            poopCount: this.poopCount
+            poopCount: this.poopCount,
+            ammo: { ...this.ammo }
         };
     }
 }
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Bird };
+    module.exports = { DROPPING_TYPES, DROPPING_TYPE_ORDER, Bird };
 } 
\ No newline at end of file
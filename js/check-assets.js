@@ -0,0 +1,249 @@
+/**
+ * Asset checker: compares the files under assets/ with what the game loads
+ * (assets/assets.json) and reports missing, unused, misnamed and wrongly
+ * sized files.
+ *
+ *   node js/check-assets.js [--root assets] [--strict]
+ *
+ * Exits with 1 if there are errors, or any warnings when --strict is given.
+ */
+const fs = require('fs');
+const path = require('path');
+const { listManifestEntries } = require('./assets');
+const { readPngSize } = require('./headless');
+const { Vehicle } = require('./vehicle');
+
+/** @type {number} Height a vehicle of an unknown type is drawn at, see Vehicle.calculateVehicleDimensions() */
+const VEHICLE_DRAW_HEIGHT = 30;
+/** @type {number} Narrowest a vehicle is drawn before its sprite gets stretched */
+const VEHICLE_MIN_WIDTH = 40;
+/** @type {number} Widest a vehicle is drawn before its sprite gets squashed */
+const VEHICLE_MAX_WIDTH = 120;
+/** @type {number} How far a vehicle sprite's height may differ from the others of its type */
+const VEHICLE_HEIGHT_TOLERANCE = 0.25;
+
+/** @type {Array<string>} Vehicle sounds played by name rather than picked from the honk pool */
+const NAMED_VEHICLE_SOUNDS = ['siren'];
+
+/** @type {Array<string>} Files at the top of the asset folder that describe the assets */
+const ASSET_TREE_DOCS = ['README.txt', 'assets.json'];
+
+/** @type {Array<string>} Files the operating system leaves behind in any folder */
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+/**
+ * Lists every file below a directory
+ * @param {string} root - Directory to walk
+ * @param {string} prefix - Path of `root` relative to the walk's start
+ * @returns {Array<string>} Relative paths with forward slashes, as used in the manifest
+ */
+function listFiles(root, prefix = '') {
+    const files = [];
+    for (const dirent of fs.readdirSync(root, { withFileTypes: true })) {
+        const relative = prefix + dirent.name;
+        if (IGNORED_FILES.includes(dirent.name)) continue;
+        if (dirent.isDirectory()) {
+            files.push(...listFiles(path.join(root, dirent.name), relative + '/'));
+        } else {
+            files.push(relative);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Returns the middle value of a list of numbers
+ * @param {Array<number>} values - Numbers to look at
+ * @returns {number} The median
+ */
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Checks an asset folder against its manifest
+ * @param {string} assetRoot - Path to the assets directory holding assets.json
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}} Issues with kind, file and message
+ */
+function checkAssets(assetRoot = path.join(__dirname, '..', 'assets')) {
+    const errors = [];
+    const warnings = [];
+    const report = (severity, kind, file, message) => {
+        (severity === 'error' ? errors : warnings).push({ kind, file, message });
+    };
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(assetRoot, 'assets.json'), 'utf8'));
+    } catch (error) {
+        report('error', 'manifest', 'assets.json', `Could not read the manifest: ${error.message}`);
+        return { errors, warnings };
+    }
+
+    const entries = listManifestEntries(manifest);
+    const files = listFiles(assetRoot).filter(file => !ASSET_TREE_DOCS.includes(file));
+    const fileSet = new Set(files);
+    const used = new Set();
+
+    // Missing files, and the near misses that were probably meant instead
+    for (const entry of entries) {
+        const name = entry.path.slice(1).join('.');
+        for (const src of entry.srcs) {
+            if (fileSet.has(src)) {
+                used.add(src);
+                continue;
+            }
+
+            const dir = path.posix.dirname(src);
+            const stem = path.posix.basename(src, path.posix.extname(src)).toLowerCase();
+            const lookalike = files.find(file =>
+                !used.has(file) &&
+                path.posix.dirname(file).toLowerCase() === dir.toLowerCase() &&
+                path.posix.basename(file, path.posix.extname(file)).toLowerCase() === stem
+            );
+
+            if (lookalike) {
+                used.add(lookalike);
+                report('error', 'misnamed', lookalike, `The loader expects ${src} (${name}); rename the file or fix assets.json`);
+            } else {
+                report(entry.descriptor.optional ? 'warning' : 'error', 'missing', src, `Listed in assets.json as ${name} but does not exist`);
+            }
+        }
+
+        // Honks are picked by name prefix, see Vehicle.playHonkSound()
+        if (entry.kind === 'sound' && entry.path[1] === 'vehicles' && !entry.path[2].startsWith('honk') &&
+            !NAMED_VEHICLE_SOUNDS.includes(entry.path[2])) {
+            report('warning', 'misnamed', entry.srcs[0], `sounds.vehicles.${entry.path[2]} is never played; honk names must start with "honk"`);
+        }
+
+        // Vehicle skins follow <type>_<direction>_<number>.png
+        const vehicleSet = entry.kind === 'spriteSet' && entry.path[1] === 'vehicles' && entry.path[3];
+        if (vehicleSet) {
+            const type = entry.path[2].replace(/_sprites$/, '');
+            const pattern = new RegExp(`^${type}_${entry.path[3]}_\\d+\\.png$`);
+            for (const src of entry.srcs) {
+                if (!pattern.test(path.posix.basename(src))) {
+                    report('warning', 'misnamed', src, `Expected a name like ${type}_${entry.path[3]}_01.png`);
+                }
+            }
+        }
+    }
+
+    // Names that need escaping in URLs break easily on web servers and in scripts
+    const unsafeNames = new Set();
+    for (const file of files) {
+        const segments = file.split('/');
+        segments.forEach((segment, i) => {
+            if (/[^A-Za-z0-9._-]/.test(segment)) {
+                unsafeNames.add(segments.slice(0, i + 1).join('/'));
+            }
+        });
+    }
+    for (const name of unsafeNames) {
+        const suggestion = path.posix.basename(name).replace(/[^A-Za-z0-9._-]+/g, '_');
+        report('warning', 'misnamed', name, `Name contains spaces or special characters; rename to ${suggestion}`);
+    }
+
+    // Files nobody loads, grouped by folder
+    const unusedByDir = new Map();
+    for (const file of files.filter(file => !used.has(file))) {
+        const dir = path.posix.dirname(file);
+        if (!unusedByDir.has(dir)) unusedByDir.set(dir, []);
+        unusedByDir.get(dir).push(path.posix.basename(file));
+    }
+    for (const [dir, names] of unusedByDir) {
+        const shown = names.slice(0, 5).join(', ') + (names.length > 5 ? `, ... (${names.length - 5} more)` : '');
+        report('warning', 'unused', dir, `${names.length} file(s) not listed in assets.json: ${shown}`);
+    }
+
+    // Sprite sizes
+    const vehicleSizes = new Map(); // vehicle type -> [{ src, width, height }]
+    for (const entry of entries) {
+        if (entry.kind !== 'image' && entry.kind !== 'spriteSet') continue;
+
+        const sizes = [];
+        for (const src of entry.srcs.filter(src => fileSet.has(src))) {
+            try {
+                sizes.push({ src, ...readPngSize(path.join(assetRoot, src)) });
+            } catch (error) {
+                report('error', 'format', src, 'Not a PNG image');
+            }
+        }
+
+        if (entry.path[1] === 'vehicles' && entry.path[3]) {
+            const type = entry.path[2].replace(/_sprites$/, '');
+            vehicleSizes.set(type, (vehicleSizes.get(type) || []).concat(sizes));
+        } else if (entry.kind === 'spriteSet' && sizes.length > 1) {
+            // Animation frames are drawn in turn, so they must line up
+            const first = sizes[0];
+            for (const size of sizes.slice(1)) {
+                if (size.width !== first.width || size.height !== first.height) {
+                    report('warning', 'size', size.src, `Frame is ${size.width}x${size.height}, the first frame is ${first.width}x${first.height}`);
+                }
+            }
+        }
+    }
+
+    // Vehicles of a type are all drawn at the same height, so odd proportions show up on the road
+    for (const [type, sizes] of vehicleSizes) {
+        const typicalHeight = median(sizes.map(size => size.height));
+        const drawHeight = Vehicle.TYPES[type] ? Vehicle.TYPES[type].height : VEHICLE_DRAW_HEIGHT;
+        for (const size of sizes) {
+            const drawnWidth = Math.round(drawHeight * size.width / size.height);
+            if (drawnWidth < VEHICLE_MIN_WIDTH || drawnWidth > VEHICLE_MAX_WIDTH) {
+                report('warning', 'size', size.src,
+                    `${size.width}x${size.height} would be drawn ${drawnWidth}px wide and gets clamped to ${VEHICLE_MIN_WIDTH}-${VEHICLE_MAX_WIDTH}px, distorting it`);
+            }
+            if (Math.abs(size.height - typicalHeight) / typicalHeight > VEHICLE_HEIGHT_TOLERANCE) {
+                report('warning', 'size', size.src,
+                    `${size.height}px tall while ${type} sprites are usually ${typicalHeight}px; it will look out of scale next to them`);
+            }
+        }
+    }
+
+    // The README is what artists read, so files it names should exist
+    const readmePath = path.join(assetRoot, 'README.txt');
+    if (fs.existsSync(readmePath)) {
+        const basenames = new Set(files.map(file => path.posix.basename(file)));
+        const documented = fs.readFileSync(readmePath, 'utf8').match(/[\w-]+\.(?:wav|mp3|png)\b/g) || [];
+        for (const name of new Set(documented)) {
+            if (!basenames.has(name)) {
+                report('warning', 'docs', 'README.txt', `Documents ${name}, which does not exist`);
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Command line entry point
+ */
+function main() {
+    const argv = process.argv.slice(2);
+    const rootIndex = argv.indexOf('--root');
+    const assetRoot = rootIndex !== -1 ? path.resolve(argv[rootIndex + 1]) : undefined;
+    const strict = argv.includes('--strict');
+
+    const { errors, warnings } = checkAssets(assetRoot);
+
+    for (const issue of errors) {
+        console.log(`ERROR    ${issue.kind.padEnd(9)} ${issue.file}: ${issue.message}`);
+    }
+    for (const issue of warnings) {
+        console.log(`WARNING  ${issue.kind.padEnd(9)} ${issue.file}: ${issue.message}`);
+    }
+    console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+
+    process.exitCode = errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    checkAssets
+};
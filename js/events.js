@@ -0,0 +1,176 @@
+/**
+ * Names of the gameplay events published on a Game's event bus
+ * @enum {string}
+ */
+const GameEvents = Object.freeze({
+    VEHICLE_SPAWNED: 'vehicleSpawned',
+    VEHICLE_HIT: 'vehicleHit',
+    VEHICLE_CRASHED: 'vehicleCrashed',
+    HONK_STARTED: 'honkStarted',
+    FOOD_EATEN: 'foodEaten',
+    POWER_LEVEL_CHANGED: 'powerLevelChanged',
+    WAVE_STARTED: 'waveStarted',
+    BIRD_DIED: 'birdDied',
+    POWERUP_STARTED: 'powerupStarted',
+    POWERUP_ENDED: 'powerupEnded',
+    LIGHT_CHANGED: 'lightChanged'
+});
+
+/**
+ * @typedef {Object} VehicleSpawnedEvent
+ * @property {Vehicle} vehicle - The new vehicle
+ */
+
+/**
+ * @typedef {Object} VehicleHitEvent
+ * @property {Vehicle} vehicle - The vehicle that was hit
+ * @property {number} x - X position of the dropping
+ * @property {number} y - Y position of the dropping
+ * @property {number} points - Points awarded (negative for a quiet vehicle)
+ * @property {boolean} wasHonking - Whether the vehicle was honking when hit
+ * @property {boolean} finalHit - Whether this hit cleared the vehicle (sturdy vehicles take several)
+ */
+
+/**
+ * @typedef {Object} VehicleCrashedEvent
+ * @property {Vehicle} vehicle - The vehicle that crashed
+ * @property {number} x - X position of the crash
+ * @property {number} y - Y position of the crash
+ */
+
+/**
+ * @typedef {Object} HonkStartedEvent
+ * @property {Vehicle} vehicle - The honking vehicle
+ */
+
+/**
+ * @typedef {Object} FoodEatenEvent
+ * @property {Food} food - The food that was eaten
+ * @property {number} x - X position of the food
+ * @property {number} y - Y position of the food
+ */
+
+/**
+ * @typedef {Object} PowerLevelChangedEvent
+ * @property {number} level - New power-up level
+ * @property {number} previousLevel - Power-up level before the change
+ */
+
+/**
+ * @typedef {Object} WaveStartedEvent
+ * @property {number} wave - The wave that just started (2 and up; wave 1 starts with the game)
+ */
+
+/**
+ * @typedef {Object} BirdDiedEvent
+ * @property {Bird} bird - The bird
+ */
+
+/**
+ * @typedef {Object} PowerupStartedEvent
+ * @property {string} type - Power-up that was collected (key of POWERUP_TYPES)
+ * @property {number} stacks - Number of stacks now active
+ * @property {number} remaining - Seconds left on its timer
+ */
+
+/**
+ * @typedef {Object} PowerupEndedEvent
+ * @property {string} type - Power-up whose timer ran out
+ */
+
+/**
+ * @typedef {Object} LightChangedEvent
+ * @property {Intersection} intersection - The intersection whose light changed
+ * @property {string} phase - The new phase: 'green', 'yellow' or 'red'
+ */
+
+/** @type {Set<string>} Every known event name, used to reject typos */
+const KNOWN_EVENTS = new Set(Object.values(GameEvents));
+
+/**
+ * Synchronous publish/subscribe bus for gameplay events.
+ * Each Game owns one, so listeners never leak between games.
+ * @class
+ */
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Throws for event names that aren't in GameEvents
+     * @param {string} type - Event name
+     * @throws {Error} If the event name is unknown
+     */
+    static assertKnown(type) {
+        if (!KNOWN_EVENTS.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+
+    /**
+     * Subscribes to an event
+     * @param {string} type - Event name from GameEvents
+     * @param {function(Object): void} listener - Called with the event payload
+     * @returns {function(): void} Unsubscribes the listener
+     */
+    on(type, listener) {
+        EventBus.assertKnown(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribes from an event
+     * @param {string} type - Event name from GameEvents
+     * @param {function(Object): void} listener - The listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Publishes an event to every listener in subscription order
+     * @param {string} type - Event name from GameEvents
+     * @param {Object} payload - Event data
+     */
+    emit(type, payload = {}) {
+        EventBus.assertKnown(type);
+
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while the event is being delivered
+        for (const listener of listeners.slice()) {
+            try {
+                listener(payload);
+            } catch (error) {
+                // A failing subscriber (e.g. analytics) must not break the others or the game
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Removes every listener
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEvents, EventBus };
+}
@@ -10,14 +10,22 @@ class Fire {
      * @param {number} width - Width of the fire
      * @param {number} height - Height of the fire
      * @param {number} duration - Duration in seconds before the fire is removed
+     * @param {Object} options - Optional settings
+     * @param {Random} options.rng - Random number generator shared with the game
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player shared with the game
+     * @param {Object} options.visuals - Sprite collections shared with the game
      */
-    constructor(x, y, width, height, duration = 5) {
+    constructor(x, y, width, height, duration = 5, options = {}) {
         this.x = x;
         this.y = y;
         this.width = width;
         this.height = height;
         this.duration = duration;
         this.timer = 0;
+        this.rng = options.rng || new Random();
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.visuals = options.visuals || assets.visuals;
+        this.sound = null;
         
         // Animation properties
         this.animationFrame = 0;
@@ -27,14 +35,6 @@ class Fire {
         // Pre-calculate animation frames to prevent flickering
         this.frameSequence = this.generateFrameSequence();
         
-        // Verify fire sprites are loaded
-        const fireSprites = assets.visuals.vehicles.fire_sprites;
-        if (fireSprites && fireSprites.length > 0) {
-            console.log(`Fire created with ${fireSprites.length} sprites available`);
-        } else {
-            console.warn('Fire created but no sprites are available');
-        }
-        
         // Particle effect properties
         this.particles = [];
         this.initParticles();
@@ -48,7 +48,7 @@ class Fire {
      * @returns {Array} Array of frame indices
      */
     generateFrameSequence() {
-        const fireSprites = assets.visuals.vehicles.fire_sprites;
+        const fireSprites = this.visuals.vehicles.fire_sprites;
         const frameCount = fireSprites && fireSprites.length > 0 ? fireSprites.length : 4;
         const totalFrames = Math.ceil(this.duration / this.animationSpeed);
         const sequence = [];
@@ -72,13 +72,13 @@ class Fire {
         for (let i = 0; i < particleCount; i++) {
             // Pre-calculate all particle positions and properties for the entire lifetime
             // This prevents random flickering from particles being regenerated
-            const baseX = Math.random() * this.width - this.width / 2;
-            const baseY = Math.random() * this.height / 2 - this.height / 4;
-            const size = Math.random() * 10 + 5;
-            const speedX = (Math.random() - 0.5) * 10;
-            const speedY = -Math.random() * 20 - 10;
-            const lifetime = Math.random() * maxLifetime;
-            const startTime = Math.random() * (this.duration - lifetime);
+            const baseX = this.rng.next() * this.width - this.width / 2;
+            const baseY = this.rng.next() * this.height / 2 - this.height / 4;
+            const size = this.rng.range(5, 15);
+            const speedX = this.rng.range(-5, 5);
+            const speedY = -this.rng.range(10, 30);
+            const lifetime = this.rng.next() * maxLifetime;
+            const startTime = this.rng.next() * (this.duration - lifetime);
             
             this.particles.push({
                 x: baseX,
@@ -88,7 +88,7 @@ class Fire {
                 speedY: speedY,
                 lifetime: lifetime,
                 startTime: startTime,
-                initialOpacity: Math.random() * 0.5 + 0.5,
+                initialOpacity: this.rng.range(0.5, 1),
                 // Pre-calculated trajectory
                 positions: this.calculateParticleTrajectory(baseX, baseY, speedX, speedY, lifetime)
             });
@@ -130,34 +130,13 @@ class Fire {
      * Plays fire crackling sound effect
      */
     playFireSound() {
-        // Play fire sound if available
-        if (assets.sounds && assets.sounds.effects && assets.sounds.effects.fire) {
-            const fireSound = assets.sounds.effects.fire;
-            fireSound.currentTime = 0;
-            fireSound.volume = 0.4; // Lower volume for ambient effect
-            fireSound.loop = true;
-            try {
-                fireSound.play().catch(err => {
-                    // Silently fail if autoplay is blocked
-                    console.debug('Fire sound autoplay blocked:', err);
-                });
-            } catch (err) {
-                // Silently fail if play() throws an error
-                console.debug('Fire sound play failed:', err);
-            }
-        } else if (assets.sounds && assets.sounds.effects && assets.sounds.effects.explosion) {
-            // Fall back to explosion sound if fire sound isn't available
-            const explosionSound = assets.sounds.effects.explosion;
-            explosionSound.currentTime = 0;
-            try {
-                explosionSound.play().catch(err => {
-                    // Silently fail if autoplay is blocked
-                    console.debug('Explosion sound autoplay blocked:', err);
-                });
-            } catch (err) {
-                // Silently fail if play() throws an error
-                console.debug('Explosion sound play failed:', err);
-            }
+        // Loop the crackling at a lower volume for an ambient effect
+        const position = { x: this.x, y: this.y };
+        this.sound = this.audio.play('effects', 'fire', { volume: 0.4, loop: true, position });
+        
+        // Fall back to explosion sound if fire sound isn't available
+        if (!this.sound) {
+            this.audio.play('effects', 'explosion', { position, ducks: true });
         }
     }
     
@@ -165,10 +144,9 @@ class Fire {
      * Stops the fire sound
      */
     stopFireSound() {
-        if (assets.sounds && assets.sounds.effects && assets.sounds.effects.fire) {
-            const fireSound = assets.sounds.effects.fire;
-            fireSound.pause();
-            fireSound.currentTime = 0;
+        if (this.sound) {
+            this.audio.stop(this.sound);
+            this.sound = null;
         }
     }
     
@@ -187,6 +165,11 @@ class Fire {
             return false;
         }
         
+        // The fire stays put but the bird flies around it
+        if (this.sound) {
+            this.audio.setPosition(this.sound, this.x, this.y);
+        }
+        
         // Update fire animation
         this.animationTimer += deltaTime;
         if (this.animationTimer >= this.animationSpeed) {
@@ -228,7 +211,7 @@ class Fire {
      */
     drawFireSprite(ctx) {
         // Get fire sprite array from /assets/visuals/vehicles/fire_sprites
-        const fireSprites = assets.visuals.vehicles.fire_sprites;
+        const fireSprites = this.visuals.vehicles.fire_sprites;
         
         if (fireSprites && fireSprites.length > 0) {
             // Make sure animation frame is within bounds
@@ -6,22 +6,58 @@ class Game {
     /**
      * Creates a new Game instance
      * @param {HTMLCanvasElement} canvas - The game canvas
+     * @param {Object} options - Optional settings
+     * @param {number} options.seed - Seed for all gameplay randomness; a random seed is used if omitted
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player; defaults to the preloaded browser sounds
+     * @param {Object} options.visuals - Sprite collections that decide vehicle types and sizes; defaults to the preloaded sprites
+     * @param {number} options.wind - Sideways acceleration of droppings
+     * @param {string} options.road - Road layout to play on (a key of ROAD_LAYOUTS)
      */
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
+        
+        // Single seeded generator passed to every spawner so a seed reproduces the whole run
+        this.seed = typeof options.seed === 'number' ? options.seed >>> 0 : Random.generateSeed();
+        this.rng = new Random(this.seed);
+        
+        // Audio and sprites are injected so the simulation can run without a browser (see headless.js)
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.visuals = options.visuals || assets.visuals;
+        
+        // Gameplay events (see events.js); owned by this game so listeners die with it
+        this.events = new EventBus();
+        this.subscribeToEvents();
+        
+        // Lanes, directions and speed limits shared by spawning, driving and drawing
+        this.road = new Road(canvas.width, canvas.height, options.road);
+        
+        // Traffic-light crossings from the road layout; lights further along start later in their cycle
+        this.intersections = this.road.intersectionPositions.map((x, index) =>
+            new Intersection(x, this.road, { events: this.events, elapsed: index * 3 }));
+        
+        // Everything an entity needs from the game, passed to each one on creation
+        this.entityOptions = {
+            rng: this.rng,
+            audio: this.audio,
+            visuals: this.visuals,
+            events: this.events,
+            road: this.road,
+            intersections: this.intersections
+        };
+        
+        // A null context (headless canvas) turns draw() into a no-op
         this.ctx = canvas.getContext('2d');
-        this.bird = new Bird(canvas.width / 2, canvas.height / 2, canvas.width, canvas.height);
+        this.bird = new Bird(canvas.width / 2, canvas.height / 2, canvas.width, canvas.height, this.entityOptions);
         this.vehicles = [];
         this.foods = [];
         this.droppings = [];
         this.effects = []; // For visual effects like fires
+        this.powerups = new PowerupManager(canvas.width, canvas.height, this.entityOptions);
         this.scoreAnimations = []; // Array to track floating score animations
         
-        // Test the fire sprites at game start
-        this.testFireEffect();
-        
         // Scoring and progression
         this.score = 0;
+        this.tick = 0; // Simulation steps run so far, used to key recorded input
         this.wave = 1;
         this.vehiclesPerWave = 10; // Doubled from 5
         this.vehiclesSpawned = 0;
@@ -36,66 +72,122 @@ class Game {
         this.baseSpawnInterval = 2; // Initial seconds between vehicle spawns
         this.maxVehicles = 20; // Doubled from 10 to accommodate more vehicles
         
-        // Emergency mode tracking (after crashes)
-        this.emergencyMode = false;
-        this.emergencyVehiclesRemaining = 0;
+        // Responders and tow trucks sent to wrecks, one job at a time
+        this.dispatchTimer = 0;
+        this.dispatchInterval = 1.5; // Seconds between dispatched vehicles
+        this.missingSprites = new Set(); // Types that couldn't be dispatched for lack of sprites, warned about once
         
         // Food spawning
         this.foodSpawnTimer = 0;
         this.foodSpawnInterval = 10; // Seconds between food spawns
         this.maxFoods = 3; // Maximum number of food items allowed
         
+        // Dropping physics
+        this.gravity = 600; // Downward acceleration of droppings in pixels per second squared
+        this.wind = options.wind || 0; // Sideways acceleration of droppings (positive blows right)
+        
         // Initialize background elements
         this.initializeBackgroundElements();
+    }
+
+    /**
+     * Connects the game's own reactions (scoring, effects, sounds, emergency response)
+     * to the event bus. HUD, achievements or analytics subscribe to `game.events` the same way.
+     */
+    subscribeToEvents() {
+        const events = this.events;
         
-        // Set up event listener for vehicle crashes
-        if (typeof window !== 'undefined') {
-            window.addEventListener('vehicleCrash', (event) => {
-                this.enterEmergencyMode();
-                
-                // Create a special effect at the crash location
-                if (event.detail && typeof event.detail.x === 'number' && typeof event.detail.y === 'number') {
-                    // Add a more dramatic crash effect
-                    this.createCrashEffect(event.detail.x, event.detail.y);
-                }
-            });
+        // Scoring
+        events.on(GameEvents.VEHICLE_HIT, ({ x, y, points }) => {
+            this.score = Math.max(0, this.score + points); // Ensure score doesn't go below 0
+            this.createScoreAnimation(x, y, points);
+        });
+        
+        // Effects and sounds
+        events.on(GameEvents.VEHICLE_HIT, ({ x, y, wasHonking, finalHit }) => {
+            // Explosion for clearing a honking vehicle, splat for a quiet one or a partial hit;
+            // the music ducks under explosions
+            const explosion = wasHonking && finalHit;
+            this.audio.play('effects', explosion ? 'explosion' : 'splat', { ducks: explosion });
+            this.createHitEffect(x, y, wasHonking);
+        });
+        events.on(GameEvents.FOOD_EATEN, ({ x, y }) => this.createHealEffect(x, y));
+        events.on(GameEvents.POWER_LEVEL_CHANGED, () => this.audio.play('effects', 'powerup'));
+        events.on(GameEvents.POWERUP_STARTED, () => this.audio.play('effects', 'powerup'));
+        events.on(GameEvents.WAVE_STARTED, () => this.audio.play('ui', 'start'));
+        
+        // Honks irritate the vehicles around them, so honking spreads through traffic
+        events.on(GameEvents.HONK_STARTED, ({ vehicle }) => {
+            for (const other of this.vehicles) {
+                other.hearHonk(vehicle);
+            }
+        });
+        
+        // An air horn blasted close by leaves the bird's ears ringing
+        events.on(GameEvents.HONK_STARTED, ({ vehicle }) => {
+            if (vehicle.getProfile().honk.loud && !this.powerups.blocksHonkDamage() && this.isWithinHearing(vehicle)) {
+                this.bird.hearing.ring();
+            }
+        });
+        
+        // Crash effects; responders and tow trucks are dispatched from update()
+        events.on(GameEvents.VEHICLE_CRASHED, ({ x, y }) => this.createCrashEffect(x, y));
+    }
+
+    /**
+     * Stops any audio owned by this game and drops all event listeners.
+     * Called before the game is replaced by a new one on restart.
+     */
+    destroy() {
+        this.events.clear();
+        
+        // Silence honks, sirens and burning wrecks
+        for (const vehicle of this.vehicles) {
+            vehicle.stopHonkSound();
+            vehicle.stopSiren();
+            if (vehicle.fire) {
+                vehicle.fire.stopFireSound();
+            }
         }
+        
+        this.vehicles = [];
+        this.droppings = [];
+        this.effects = [];
+        
+        // The siren sound is shared by all vehicles, start the next game without one
+        Siren.playing = null;
+        
+        // Hear the next game with fresh ears
+        this.audio.setListener(null);
+        this.bird.hearing.reset();
     }
 
     /**
      * Initialize the fixed background elements to prevent flickering
      */
     initializeBackgroundElements() {
-        // Define fixed lane positions with 6 lanes (4 regular + 2 emergency)
-        this.fixedLaneData = {
-            laneStartY: this.canvas.height / 2 - 75, // Position road in middle with more sky view
-            laneHeight: 40, // Slightly smaller lanes to fit 6 lanes
-            totalLanes: 6  // 6 lanes total (4 regular + 2 emergency)
-        };
-        
         // Pre-generate cloud positions for the sky
         this.clouds = [];
         const numClouds = 8;
         
         for (let i = 0; i < numClouds; i++) {
             this.clouds.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * (this.fixedLaneData.laneStartY - 50),
-                width: 60 + Math.random() * 40,
-                height: 30 + Math.random() * 20,
-                opacity: 0.5 + Math.random() * 0.3
+                x: this.rng.next() * this.canvas.width,
+                y: this.rng.next() * (this.road.top - 50),
+                width: this.rng.range(60, 100),
+                height: this.rng.range(30, 50),
+                opacity: this.rng.range(0.5, 0.8)
             });
         }
         
         // Pre-generate grass tufts to prevent flickering
         this.grassTufts = [];
-        const roadEndY = this.fixedLaneData.laneStartY + (this.fixedLaneData.laneHeight * this.fixedLaneData.totalLanes);
         const numTufts = Math.floor(this.canvas.width / 15);
         
         for (let i = 0; i < numTufts; i++) {
-            const x = i * 15 + (Math.random() * 10 - 5);
-            const height = 5 + Math.random() * 10;
-            const greenValue = 100 + Math.floor(Math.random() * 155);
+            const x = i * 15 + this.rng.range(-5, 5);
+            const height = this.rng.range(5, 15);
+            const greenValue = 100 + this.rng.int(155);
             
             this.grassTufts.push({
                 x: x,
@@ -113,7 +205,7 @@ class Game {
         
         for (let i = 0; i < height; i += 2) {
             for (let j = 0; j < this.canvas.width; j += 2) {
-                if (Math.random() < 0.1) {
+                if (this.rng.chance(0.1)) {
                     texturePoints.push({x: j, y: y + i});
                 }
             }
@@ -136,6 +228,11 @@ class Game {
      * @param {number} deltaTime - Time elapsed since last update in seconds
      */
     update(deltaTime) {
+        this.tick++;
+        
+        // Remember where everything was so draw() can interpolate between steps
+        this.storePreviousPositions();
+        
         // Update wave timer and progression
         this.waveTimer += deltaTime;
         if (this.waveTimer >= this.waveDuration) {
@@ -149,6 +246,7 @@ class Game {
         
         // Update bird
         this.bird.update(deltaTime);
+        this.updateListener();
         
         // Get and track active dropping from bird
         const birdDropping = this.bird.getActiveDropping();
@@ -164,9 +262,21 @@ class Game {
         if (this.vehicleSpawnTimer >= currentSpawnInterval && 
             this.vehicles.length < this.maxVehicles && 
             this.vehiclesSpawned < this.vehiclesPerWave) {
-            this.spawnVehicle();
-            this.vehicleSpawnTimer = 0;
-            this.vehiclesSpawned++;
+            // Retried every tick while traffic is backed up to the edge of the road
+            if (this.spawnVehicle()) {
+                this.vehicleSpawnTimer = 0;
+                this.vehiclesSpawned++;
+            }
+        }
+        
+        // Send a responder or tow truck to any wreck that still needs one, however busy the road is
+        this.dispatchTimer += deltaTime;
+        if (this.dispatchTimer >= this.dispatchInterval) {
+            const job = this.findDispatchJob();
+            // Retried every tick while traffic is backed up to the edge of the road
+            if (job && this.dispatchVehicle(job)) {
+                this.dispatchTimer = 0;
+            }
         }
         
         // Spawn food
@@ -176,13 +286,20 @@ class Game {
             this.foodSpawnTimer = 0;
         }
 
-        // Update vehicles
+        // Update power-up timers and pickups
+        this.powerups.update(deltaTime, { wave: this.wave, bird: this.bird, foods: this.foods });
+        
+        // Update traffic lights and vehicles (slow-motion traffic runs them on a slower clock)
+        const trafficDeltaTime = deltaTime * this.powerups.getTrafficTimeScale();
+        for (const intersection of this.intersections) {
+            intersection.update(trafficDeltaTime);
+        }
         this.vehicles = this.vehicles.filter(vehicle => {
-            return vehicle.update(deltaTime, this.vehicles);
+            return vehicle.update(trafficDeltaTime, this.vehicles);
         });
         
         // Check for honking vehicles near the bird
-        this.checkHonkingVehiclesNearBird();
+        this.checkHonkingVehiclesNearBird(deltaTime);
         
         // Update food items
         this.foods = this.foods.filter(food => {
@@ -194,9 +311,7 @@ class Game {
             if (food.checkCollision(this.bird)) {
                 // Bird ate the food
                 this.bird.eatFood(food);
-                
-                // Create healing effect
-                this.createHealEffect(food.x, food.y);
+                this.events.emit(GameEvents.FOOD_EATEN, { food, x: food.x, y: food.y });
                 
                 return false; // Remove the food
             }
@@ -206,7 +321,7 @@ class Game {
         // Update droppings and check collisions
         this.droppings = this.droppings.filter(dropping => {
             // Update dropping position
-            dropping.y += dropping.speed * deltaTime;
+            this.updateDropping(dropping, deltaTime);
             
             // Check for collision with any vehicle
             let hasCollided = false;
@@ -236,33 +351,24 @@ class Game {
                 const wasHonking = vehicle.isHonking;
                 const points = vehicle.handleHit(this.bird.getPowerUpState().powerUpLevel);
                 
-                // Add score based on honking state
-                this.score = Math.max(0, this.score + points); // Ensure score doesn't go below 0
-                
-                // Create score animation at the hit location
-                this.createScoreAnimation(dropping.x, dropping.y, points);
-                
-                // Play appropriate sound effect
-                if (wasHonking) {
-                    // Play hit sound
-                    if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.explosion) {
-                        assets.sounds.effects.explosion.currentTime = 0;
-                        assets.sounds.effects.explosion.play();
-                    }
-                } else {
-                    // Play miss sound
-                    if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.splat) {
-                        assets.sounds.effects.splat.currentTime = 0;
-                        assets.sounds.effects.splat.play();
-                    }
+                if (dropping.sticky) {
+                    vehicle.stick(dropping.sticky.duration, dropping.sticky.factor);
                 }
                 
-                // Create visual effect at the hit location
-                this.createHitEffect(dropping.x, dropping.y, wasHonking);
+                // Score, sounds and effects are handled by event listeners
+                this.events.emit(GameEvents.VEHICLE_HIT, {
+                    vehicle,
+                    x: dropping.x,
+                    y: dropping.y,
+                    points,
+                    wasHonking,
+                    finalHit: vehicle.hitByPoop
+                });
             }
             
             // Keep the dropping if it's still on screen and hasn't collided
-            return !hasCollided && dropping.y < this.canvas.height;
+            return !hasCollided && dropping.y < this.canvas.height &&
+                dropping.x > -dropping.width && dropping.x < this.canvas.width + dropping.width;
         });
         
         // Update effects (like fire and healing animations)
@@ -282,14 +388,48 @@ class Game {
     }
 
     /**
-     * Checks if any honking vehicles are near the bird
+     * Stores the current position of every moving entity for render interpolation
      */
-    checkHonkingVehiclesNearBird() {
-        // Get bird position
-        const birdPos = this.bird.getPosition();
-        const birdX = birdPos.x + this.bird.width / 2;
-        const birdY = birdPos.y + this.bird.height / 2;
+    storePreviousPositions() {
+        const movers = [this.bird, ...this.vehicles, ...this.droppings];
         
+        for (const entity of movers) {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        }
+    }
+    
+    /**
+     * Moves entities to their interpolated render positions
+     * @param {number} alpha - Interpolation factor between the previous (0) and current (1) step
+     * @returns {function(): void} Restores the simulated positions
+     */
+    applyInterpolation(alpha) {
+        const movers = [this.bird, ...this.vehicles, ...this.droppings];
+        const saved = [];
+        
+        for (const entity of movers) {
+            // Entities created during the last step have no previous position yet
+            if (typeof entity.prevX !== 'number') continue;
+            
+            saved.push({ entity, x: entity.x, y: entity.y });
+            entity.x = entity.prevX + (entity.x - entity.prevX) * alpha;
+            entity.y = entity.prevY + (entity.y - entity.prevY) * alpha;
+        }
+        
+        return () => {
+            for (const { entity, x, y } of saved) {
+                entity.x = x;
+                entity.y = y;
+            }
+        };
+    }
+
+    /**
+     * Gets the distance within which a honk hurts the bird
+     * @returns {number} Radius in pixels
+     */
+    getHearingRadius() {
         // Get effective wave number, capped at 3
         const effectiveWave = Math.min(this.wave, 3);
         
@@ -297,38 +437,69 @@ class Game {
         const baseRadius = 100; // Starting radius at wave 1
         const waveMultiplier = 1.0 + (effectiveWave - 1) * 0.2; // 20% increase per wave
         
+        return baseRadius * waveMultiplier;
+    }
+
+    /**
+     * Hears the game from the bird: honks, sirens and fires are panned and faded
+     * relative to it (the bird's hearing does the rest, see Hearing)
+     */
+    updateListener() {
+        const birdPos = this.bird.getPosition();
+        this.audio.setListener({
+            x: birdPos.x + this.bird.width / 2,
+            y: birdPos.y + this.bird.height / 2,
+            hearingRadius: this.getHearingRadius(),
+            panRange: this.canvas.width / 2
+        });
+    }
+
+    /**
+     * Checks if any honking vehicles or sirens are near the bird
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    checkHonkingVehiclesNearBird(deltaTime) {
+        // Earmuffs block all honk damage
+        if (this.powerups.blocksHonkDamage()) {
+            return;
+        }
+        
+        // Get bird position
+        const birdPos = this.bird.getPosition();
+        const birdX = birdPos.x + this.bird.width / 2;
+        const birdY = birdPos.y + this.bird.height / 2;
+        
         // Check each vehicle
         for (const vehicle of this.vehicles) {
-            // Only check vehicles that are currently honking
-            if (vehicle.isHonking) {
-                // Calculate distance between bird and vehicle
-                const dx = vehicle.x - birdX;
-                const dy = vehicle.y - birdY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+            // Sirens are legitimate noise: they carry further than a honk but do less harm
+            if (vehicle.siren && vehicle.siren.isHeardAt(birdX, birdY)) {
+                this.bird.experienceHonk(deltaTime * Siren.SETTINGS.hearingDamage);
                 
-                // Apply different detection radius based on vehicle type
-                let detectionRadius = baseRadius * waveMultiplier;
-                
-                // Emergency vehicles have 70% larger detection radius
-                if (vehicle.type === 'emergency') {
-                    detectionRadius *= 1.7;
-                }
-                
-                // If the bird is within the scaled detection radius of a honking vehicle, damage it
-                if (distance < detectionRadius) {
-                    // Emergency vehicles cause more hearing damage
-                    if (vehicle.type === 'emergency') {
-                        // Double damage for emergency vehicles
-                        this.bird.experienceHonk();
-                        this.bird.experienceHonk();
-                    } else {
-                        this.bird.experienceHonk();
-                    }
+                // Right next to the bird it rings in its ears like an air horn
+                if (this.isWithinHearing(vehicle)) {
+                    this.bird.hearing.ring();
                 }
             }
+            
+            // If the bird is within the scaled detection radius of a honking vehicle, damage it
+            if (vehicle.isHonking && this.isWithinHearing(vehicle)) {
+                this.bird.experienceHonk(deltaTime);
+            }
         }
     }
 
+    /**
+     * Checks if a vehicle is close enough to the bird for its honk to hurt
+     * @param {Vehicle} vehicle - The vehicle to check
+     * @returns {boolean} True if it is within the hearing radius of the bird
+     */
+    isWithinHearing(vehicle) {
+        const birdPos = this.bird.getPosition();
+        const dx = vehicle.x - (birdPos.x + this.bird.width / 2);
+        const dy = vehicle.y - (birdPos.y + this.bird.height / 2);
+        return Math.sqrt(dx * dx + dy * dy) < this.getHearingRadius();
+    }
+
     /**
      * Creates a visual hit effect
      * @param {number} x - X position of the effect
@@ -375,17 +546,18 @@ class Game {
         // Update the Vehicle class with the new wave number
         Vehicle.setCurrentWave(this.wave);
         
-        // Play wave start sound
-        if (assets && assets.sounds && assets.sounds.ui && assets.sounds.ui.start) {
-            assets.sounds.ui.start.currentTime = 0;
-            assets.sounds.ui.start.play();
-        }
+        this.events.emit(GameEvents.WAVE_STARTED, { wave: this.wave });
     }
 
     /**
      * Draws the game state to the canvas
+     * @param {number} alpha - Interpolation factor between the last two simulation steps (1 = latest)
      */
-    draw() {
+    draw(alpha = 1) {
+        if (!this.ctx) return;
+        
+        const restorePositions = this.applyInterpolation(alpha);
+        
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -397,11 +569,17 @@ class Game {
             food.draw(this.ctx);
         }
         
+        // Draw power-up pickups
+        this.powerups.draw(this.ctx);
+        
         // Draw vehicles
         for (const vehicle of this.vehicles) {
             vehicle.draw(this.ctx);
         }
         
+        // Show where the next dropping would land
+        this.drawImpactMarker();
+        
         // Draw droppings
         for (const dropping of this.droppings) {
             dropping.draw(this.ctx);
@@ -423,19 +601,14 @@ class Game {
         // Draw HUD
         this.drawHUD();
         
-        // Draw game over screen if bird is dead
-        if (this.bird.isDead) {
-            this.drawGameOverScreen();
-        }
+        restorePositions();
     }
     
     /**
      * Draws all static background elements in a fixed order
      */
     drawBackground() {
-        const { laneStartY, laneHeight, totalLanes } = this.fixedLaneData;
-        const roadHeight = laneHeight * totalLanes;
-        const roadEndY = laneStartY + roadHeight;
+        const { top: laneStartY, bottom: roadEndY, height: roadHeight } = this.road;
         
         // 1. SKY SPACE - Draw blue sky with clouds
         const skyGradient = this.ctx.createLinearGradient(0, 0, 0, laneStartY);
@@ -465,8 +638,11 @@ class Game {
         this.ctx.lineTo(this.canvas.width, roadEndY);
         this.ctx.stroke();
         
-        // 3. Draw lane separators
+        // 3. Draw lane separators and intersections
         this.drawLaneSeparators();
+        for (const intersection of this.intersections) {
+            intersection.draw(this.ctx);
+        }
         
         // 4. BOTTOM SPACE - Draw grass
         this.drawGrass(roadEndY);
@@ -512,34 +688,77 @@ class Game {
     }
     
     /**
-     * Draw lane separators with specified styles
+     * Draw lane separators in the style the road calls for: a solid line along
+     * emergency lanes, a double yellow line between opposite directions, a
+     * median divider where the layout has one and dashed lines everywhere else
      */
     drawLaneSeparators() {
-        const { laneStartY, laneHeight, totalLanes } = this.fixedLaneData;
+        const { lanes } = this.road;
         
-        for (let i = 1; i < totalLanes; i++) {
-            const y = laneStartY + (i * laneHeight);
+        for (let i = 1; i < lanes.length; i++) {
+            const above = lanes[i - 1];
+            const below = lanes[i];
+            const y = above.top + this.road.laneHeight;
             
-            if (i === 1) {
-                // Straight white line between emergency bottom lane and first regular lane
-                this.ctx.strokeStyle = '#ffffff';
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            
+            if (this.road.isMedianBetween(above.index, below.index)) {
+                // Concrete median with a yellow edge line on both sides
+                this.ctx.fillStyle = '#9e9e9e';
+                this.ctx.fillRect(0, y, this.canvas.width, below.top - y);
+                this.ctx.strokeStyle = '#ffd600';
+                this.ctx.moveTo(0, y);
+                this.ctx.lineTo(this.canvas.width, y);
+                this.ctx.moveTo(0, below.top);
+                this.ctx.lineTo(this.canvas.width, below.top);
+            } else if (above.emergency || below.emergency) {
+                // Straight white line along emergency lanes
                 this.ctx.lineWidth = 3;
-                this.ctx.beginPath();
                 this.ctx.moveTo(0, y);
                 this.ctx.lineTo(this.canvas.width, y);
-                this.ctx.stroke();
+            } else if (above.direction !== below.direction && above.direction !== 'both' && below.direction !== 'both') {
+                // Double yellow line between opposite directions
+                this.ctx.strokeStyle = '#ffd600';
+                this.ctx.moveTo(0, y - 2);
+                this.ctx.lineTo(this.canvas.width, y - 2);
+                this.ctx.moveTo(0, y + 2);
+                this.ctx.lineTo(this.canvas.width, y + 2);
             } else {
                 // Dotted white lines between all other lanes
-                this.ctx.strokeStyle = '#ffffff';
-                this.ctx.lineWidth = 2;
                 this.ctx.setLineDash([15, 10]); // 15px dash, 10px gap
-                this.ctx.beginPath();
                 this.ctx.moveTo(0, y);
                 this.ctx.lineTo(this.canvas.width, y);
-                this.ctx.stroke();
-                this.ctx.setLineDash([]); // Reset to solid line
             }
+            
+            this.ctx.stroke();
+            this.ctx.setLineDash([]); // Reset to solid line
         }
+        
+        this.drawSpeedLimits();
+    }
+    
+    /**
+     * Paints the speed limit at the start of every lane that has one
+     */
+    drawSpeedLimits() {
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = `bold ${Math.round(this.road.laneHeight * 0.5)}px Arial`;
+        this.ctx.textBaseline = 'middle';
+        
+        for (const lane of this.road.lanes) {
+            if (lane.speedLimit === Infinity) continue;
+            
+            // Painted where the traffic in the lane comes from
+            const fromRight = lane.direction === 'left';
+            this.ctx.textAlign = fromRight ? 'right' : 'left';
+            this.ctx.fillText(String(lane.speedLimit), fromRight ? this.canvas.width - 10 : 10, lane.centerY);
+        }
+        
+        this.ctx.restore();
     }
     
     /**
@@ -596,7 +815,7 @@ class Game {
      */
     getHearingHealthImage(healthPercent) {
         // If assets aren't loaded yet, return null
-        if (!assets || !assets.visuals || !assets.visuals.game || !assets.visuals.game.hearing_health) {
+        if (!this.visuals.game || !this.visuals.game.hearing_health) {
             return null;
         }
         
@@ -616,7 +835,7 @@ class Game {
         }
         
         // Return the corresponding image
-        return assets.visuals.game.hearing_health[selectedLevel];
+        return this.visuals.game.hearing_health[selectedLevel];
     }
 
     /**
@@ -716,7 +935,10 @@ class Game {
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.font = elementFont;
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Power: ${powerState.powerUpLevel}`, powerX + 10, powerY + elementHeight / 2 + 4);
+        // Show the selected dropping type and its ammo next to the power level
+        const droppingLabel = powerState.poopType === 'normal' ? '' :
+            ` | ${DROPPING_TYPES[powerState.poopType].name} x${powerState.ammo[powerState.poopType]}`;
+        this.ctx.fillText(`Power: ${powerState.powerUpLevel}${droppingLabel}`, powerX + 10, powerY + elementHeight / 2 + 4);
         
         // Reset shadow
         if (textShadow) {
@@ -726,6 +948,9 @@ class Game {
             this.ctx.shadowOffsetY = 0;
         }
         
+        // ============= ACTIVE POWER-UP TIMERS =============
+        this.drawPowerupTimers(powerX, powerY + elementHeight + 10);
+        
         // ============= WAVE DISPLAY =============
         const waveX = (this.canvas.width - elementWidth) / 2;
         const waveY = 10;
@@ -815,9 +1040,9 @@ class Game {
             // Position the ear icon above the health bar
             const earY = healthBarY - earSize - 2; // 2px gap between icon and bar
             this.ctx.drawImage(hearingImage, earX, earY, earSize, earSize);
-        } else if (assets && assets.visuals && assets.visuals.game && assets.visuals.game.bird_ears) {
+        } else if (this.visuals.game && this.visuals.game.bird_ears) {
             // Fallback to bird_ears.png if hearing health images aren't loaded
-            const earImg = assets.visuals.game.bird_ears;
+            const earImg = this.visuals.game.bird_ears;
             const earSize = 40;
             // Center the ear icon horizontally over the health bar
             const earX = healthBarX + (healthBarWidth / 2) - (earSize / 2);
@@ -900,6 +1125,51 @@ class Game {
         this.ctx.restore();
     }
     
+    /**
+     * Draws a row of badges for the running power-ups, each with a draining timer bar
+     * @param {number} x - Left edge of the row
+     * @param {number} y - Top edge of the row
+     */
+    drawPowerupTimers(x, y) {
+        const badgeWidth = 70;
+        const badgeHeight = 22;
+        const iconSize = 16;
+        
+        this.ctx.save();
+        
+        for (const powerup of this.powerups.getActive()) {
+            // Badge background
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            this.roundRect(x, y, badgeWidth, badgeHeight, 4);
+            
+            // Icon: the pickup sprite if loaded, otherwise a colored dot
+            const icon = this.visuals.powerups && this.visuals.powerups[powerup.type];
+            if (icon) {
+                this.ctx.drawImage(icon, x + 3, y + 2, iconSize, iconSize);
+            } else {
+                this.ctx.fillStyle = powerup.color;
+                this.ctx.beginPath();
+                this.ctx.arc(x + 3 + iconSize / 2, y + 2 + iconSize / 2, iconSize / 2, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+            
+            // Seconds left, with the stack count for stackable power-ups
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = 'bold 11px Arial';
+            this.ctx.textAlign = 'left';
+            const stacks = powerup.stacks > 1 ? ` x${powerup.stacks}` : '';
+            this.ctx.fillText(`${Math.ceil(powerup.remaining)}s${stacks}`, x + iconSize + 8, y + 13);
+            
+            // Timer bar drains as the power-up runs out
+            this.ctx.fillStyle = powerup.color;
+            this.ctx.fillRect(x + 3, y + badgeHeight - 3, (badgeWidth - 6) * (powerup.remaining / powerup.duration), 2);
+            
+            x += badgeWidth + 5;
+        }
+        
+        this.ctx.restore();
+    }
+    
     /**
      * Draws an ear symbol next to the health bar
      * @param {number} x - X coordinate
@@ -973,108 +1243,99 @@ class Game {
     }
 
     /**
-     * Activates emergency mode after a crash
+     * Finds the next wreck that needs a vehicle sent to it. A responder goes to
+     * each crash site first (wrecks close together share one), then a tow truck
+     * to every wreck.
+     * @returns {{wreck: Vehicle, role: string}|null} The job, or null if every wreck is covered
      */
-    enterEmergencyMode() {
-        // Set emergency mode
-        this.emergencyMode = true;
-        this.emergencyVehiclesRemaining = 10;
+    findDispatchJob() {
+        const wrecks = this.vehicles.filter(vehicle => vehicle.hasCrashed && !vehicle.isCleared);
         
-        console.log("⚠️ CRASH DETECTED! Entering emergency mode. Next 10 vehicles will be emergency vehicles.");
+        const uncovered = wrecks.find(wreck => !wrecks.some(other =>
+            other.responder && Math.abs(other.x - wreck.x) < 150));
+        if (uncovered) {
+            return { wreck: uncovered, role: 'responder' };
+        }
+        
+        const untowed = wrecks.find(wreck => !wreck.towTruck);
+        return untowed ? { wreck: untowed, role: 'tow' } : null;
+    }
+    
+    /**
+     * Sends an emergency vehicle or tow truck onto the road toward a wreck.
+     * Dispatched vehicles don't count toward the wave.
+     * @param {{wreck: Vehicle, role: string}} job - The wreck and what to send to it
+     * @returns {Vehicle|null} The dispatched vehicle, or null if it can't enter yet
+     */
+    dispatchVehicle({ wreck, role }) {
+        // Come from whichever end traffic in the wreck's lane drives in from
+        const directions = this.road.getDirections()
+            .filter(direction => this.road.allowsDirection(wreck.lane, direction));
+        const vehicle = this.createVehicleOfType(role === 'tow' ? 'truck' : 'emergency', directions);
+        
+        if (!vehicle || !vehicle.findEntryLane(this.vehicles)) {
+            return null;
+        }
+        
+        vehicle.dispatchTo(wreck, role);
+        this.vehicles.push(vehicle);
+        this.events.emit(GameEvents.VEHICLE_SPAWNED, { vehicle });
+        return vehicle;
+    }
+    
+    /**
+     * Creates a vehicle of a given type entering from one of the given directions
+     * @param {string} type - Vehicle type, e.g. 'emergency' or 'truck'
+     * @param {Array<string>} directions - Directions it may drive in
+     * @returns {Vehicle|null} The vehicle, or null if there are no sprites for it
+     */
+    createVehicleOfType(type, directions) {
+        // Only directions it has sprites for
+        const withSprites = directions.filter(direction => Vehicle.hasAssets(type, direction, null, this.visuals));
+        
+        if (withSprites.length === 0) {
+            // Dispatch is retried every tick, so only the first failure is worth a warning
+            if (!this.missingSprites.has(type)) {
+                this.missingSprites.add(type);
+                console.warn(`No valid ${type} sprites found, nothing dispatched`);
+            }
+            return null;
+        }
+        
+        const vehicle = new Vehicle(this.canvas.width, this.canvas.height, {
+            ...this.entityOptions,
+            type,
+            directions: withSprites
+        });
+        
+        // Responders are in a hurry
+        const speed = type === 'emergency' ? this.rng.range(110, 150) : this.rng.range(70, 110);
+        vehicle.speed = speed * vehicle.getHeading();
+        vehicle.originalSpeed = vehicle.speed;
+        
+        return vehicle;
     }
     
     /**
      * Spawns a new vehicle
-     * @returns {Vehicle} The spawned vehicle
+     * @returns {Vehicle|null} The spawned vehicle, or null if traffic is backed up to the edge of the road
      */
     spawnVehicle() {
-        // Create a new vehicle based on current mode
-        let vehicle;
+        // Create a normal vehicle (random type based on probabilities)
+        const vehicle = new Vehicle(this.canvas.width, this.canvas.height, this.entityOptions);
         
-        if (this.emergencyMode && this.emergencyVehiclesRemaining > 0) {
-            // Check for valid emergency vehicle sprites
-            const leftSprites = assets.visuals.vehicles?.emergency_sprites?.left || [];
-            const rightSprites = assets.visuals.vehicles?.emergency_sprites?.right || [];
-            
-            // Find valid sprite indices (non-null sprites)
-            const validLeftIndices = [];
-            const validRightIndices = [];
-            
-            for (let i = 0; i < leftSprites.length; i++) {
-                if (leftSprites[i]) validLeftIndices.push(i);
-            }
-            
-            for (let i = 0; i < rightSprites.length; i++) {
-                if (rightSprites[i]) validRightIndices.push(i);
-            }
-            
-            let emergencyDirection = null;
-            let spriteIndex = null;
-            
-            // Determine if we can create an emergency vehicle and which direction to use
-            if (validLeftIndices.length > 0 && validRightIndices.length > 0) {
-                // Both directions are valid, choose randomly
-                emergencyDirection = Math.random() < 0.5 ? 'left' : 'right';
-                spriteIndex = emergencyDirection === 'left' 
-                    ? validLeftIndices[Math.floor(Math.random() * validLeftIndices.length)]
-                    : validRightIndices[Math.floor(Math.random() * validRightIndices.length)];
-            } else if (validLeftIndices.length > 0) {
-                // Only left direction is valid
-                emergencyDirection = 'left';
-                spriteIndex = validLeftIndices[Math.floor(Math.random() * validLeftIndices.length)];
-            } else if (validRightIndices.length > 0) {
-                // Only right direction is valid
-                emergencyDirection = 'right';
-                spriteIndex = validRightIndices[Math.floor(Math.random() * validRightIndices.length)];
-            }
-            
-            if (emergencyDirection) {
-                // Create the emergency vehicle with verified assets
-                vehicle = new Vehicle(this.canvas.width, this.canvas.height);
-                
-                // Override the direction and sprite index
-                vehicle.direction = emergencyDirection;
-                vehicle.spriteIndex = spriteIndex;
-                
-                // Make sure the position is correct for the direction
-                if (vehicle.direction === 'left') {
-                    vehicle.x = this.canvas.width + vehicle.width / 2;
-                    vehicle.speed = -(Math.random() * 100 + 50); // -150 to -50 pixels per second
-                } else {
-                    vehicle.x = -vehicle.width / 2;
-                    vehicle.speed = Math.random() * 100 + 50; // 50 to 150 pixels per second
-                }
-                vehicle.originalSpeed = vehicle.speed;
-                vehicle.targetSpeed = vehicle.speed;
-                
-                // Set the type to emergency
-                vehicle.type = 'emergency';
-            } else {
-                // No valid emergency sprites found, create a regular vehicle
-                vehicle = new Vehicle(this.canvas.width, this.canvas.height);
-                console.warn('No valid emergency vehicle sprites found, spawning normal vehicle instead');
-            }
-            
-            // Decrement counter
-            this.emergencyVehiclesRemaining--;
-            
-            // Exit emergency mode when counter reaches zero
-            if (this.emergencyVehiclesRemaining <= 0) {
-                this.emergencyMode = false;
-                console.log("Emergency response complete. Returning to normal traffic patterns.");
-            }
-        } else {
-            // Create a normal vehicle (random type based on probabilities)
-            vehicle = new Vehicle(this.canvas.width, this.canvas.height);
+        // Vehicles only enter where they won't run into the back of a queue
+        if (!vehicle.findEntryLane(this.vehicles)) {
+            return null;
         }
         
         // Add to vehicles array
         this.vehicles.push(vehicle);
+        this.events.emit(GameEvents.VEHICLE_SPAWNED, { vehicle });
         
         // If the vehicle is honking, make it honk immediately
         if (vehicle.isHonking) {
             vehicle.playHonkSound();
-            vehicle.lastHonkTime = Date.now();
         }
         
         return vehicle;
@@ -1085,16 +1346,135 @@ class Game {
      */
     spawnFood() {
         // Create a new food item and add it to the array
-        const food = new Food(this.canvas.width, this.canvas.height);
+        const food = new Food(this.canvas.width, this.canvas.height, this.entityOptions);
         this.foods.push(food);
         return food;
     }
 
+    /**
+     * Moves a dropping for one tick; homing droppings steer toward the
+     * nearest honking vehicle
+     * @param {Object} dropping - Dropping to move
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    updateDropping(dropping, deltaTime) {
+        if (dropping.homing) {
+            let target = null;
+            let closestDistance = Infinity;
+            for (const vehicle of this.vehicles) {
+                if (!vehicle.isHonking || vehicle.y < dropping.y) continue;
+                const distance = Math.abs(vehicle.x - dropping.x);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    target = vehicle;
+                }
+            }
+            
+            if (target) {
+                const direction = Math.sign(target.x - dropping.x);
+                const { turnRate, maxSpeed } = dropping.homing;
+                dropping.vx = Math.max(-maxSpeed, Math.min(maxSpeed, dropping.vx + direction * turnRate * deltaTime));
+            }
+        }
+        
+        // Wind pushes sideways and gravity speeds up the fall
+        dropping.vx += this.wind * deltaTime;
+        dropping.speed += this.gravity * deltaTime;
+        
+        dropping.x += dropping.vx * deltaTime;
+        dropping.y += dropping.speed * deltaTime;
+    }
+
+    /**
+     * Predicts where a dropping reaches a given height, ignoring homing
+     * @param {number} x - Starting x position
+     * @param {number} y - Starting y position
+     * @param {number} vx - Horizontal velocity in pixels per second
+     * @param {number} vy - Downward velocity in pixels per second
+     * @param {number} targetY - Height to predict the crossing for
+     * @returns {{x: number, time: number}|null} Crossing point and seconds until it, or null if it never gets there
+     */
+    predictDroppingImpact(x, y, vx, vy, targetY) {
+        const distance = targetY - y;
+        if (distance <= 0) return null;
+        
+        // Solve distance = vy*t + gravity*t²/2 for the positive root
+        const time = this.gravity > 0
+            ? (-vy + Math.sqrt(vy * vy + 2 * this.gravity * distance)) / this.gravity
+            : distance / vy;
+        
+        return { x: x + vx * time + this.wind * time * time / 2, time };
+    }
+
+    /**
+     * Draws a faint marker on the road where a dropping released now would land,
+     * so players can lead moving vehicles
+     */
+    drawImpactMarker() {
+        if (this.bird.isDead || this.bird.droppingCooldownTimer > 0) return;
+        
+        // Aim at the middle of the road
+        const targetY = this.road.top + this.road.height / 2;
+        const definition = DROPPING_TYPES[this.bird.poopType];
+        const impact = this.predictDroppingImpact(
+            this.bird.x + this.bird.width / 2,
+            this.bird.y + this.bird.height / 2,
+            this.bird.vx,
+            definition.speed,
+            targetY
+        );
+        if (!impact) return;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.strokeStyle = definition.color === DROPPING_TYPES.normal.color ? '#FFFFFF' : definition.color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.ellipse(impact.x, targetY, 12, 4, 0, 0, Math.PI * 2);
+        this.ctx.moveTo(impact.x, targetY - 8);
+        this.ctx.lineTo(impact.x, targetY + 8);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Applies one tick of player input. All input goes through here, once per
+     * simulation step, so a recorded run can be replayed exactly.
+     * @param {Object} input - Input frame with left, right, up, down, drop and cycle flags
+     */
+    applyInput(input) {
+        this.bird.movingLeft = input.left;
+        this.bird.movingRight = input.right;
+        this.bird.movingUp = input.up;
+        this.bird.movingDown = input.down;
+        
+        if (input.cycle) {
+            this.bird.cycleDroppingType();
+        }
+        
+        if (input.drop) {
+            this.handleSpacebar();
+        }
+    }
+
     /**
      * Handles spacebar press to trigger bird dropping
      */
     handleSpacebar() {
-        this.bird.drop();
+        // Rapid-fire shortens the cooldown that starts with this drop
+        this.bird.cooldownMultiplier = this.powerups.getDropCooldownMultiplier();
+        const dropping = this.bird.drop();
+        if (!dropping) return;
+        
+        // Spread droppings fan out around the bird's own
+        this.droppings.push(...this.bird.takeVolley());
+        
+        // Triple-drop releases extra droppings beside the bird's own
+        for (const offset of this.powerups.getDropOffsets()) {
+            if (offset !== 0) {
+                this.droppings.push({ ...dropping, x: dropping.x + offset });
+            }
+        }
     }
 
     /**
@@ -1110,69 +1490,14 @@ class Game {
             vehicleCount: this.vehicles.length,
             foodCount: this.foods.length,
             droppingCount: this.droppings.length,
+            seed: this.seed,
+            tick: this.tick,
             birdPosition: this.bird.getPosition(),
-            powerUpLevel: this.bird.getPowerUpState().powerUpLevel
+            powerUpLevel: this.bird.getPowerUpState().powerUpLevel,
+            activePowerups: this.powerups.getActive().map(powerup => powerup.type)
         };
     }
 
-    /**
-     * Tests the fire animation by creating a crash
-     * This is for development purposes to verify fire sprites are loading correctly
-     */
-    testFireAnimation() {
-        console.log('Testing fire animation with sprites from /assets/visuals/vehicles/fire_sprites');
-        
-        // Create two vehicles in the same lane moving toward each other
-        const vehicle1 = this.spawnVehicle();
-        vehicle1.x = this.canvas.width / 3;
-        vehicle1.direction = 'right';
-        vehicle1.lane = 2;
-        vehicle1.y = vehicle1.laneStartY + (vehicle1.lane * vehicle1.laneHeight) + (vehicle1.laneHeight / 2);
-        
-        const vehicle2 = this.spawnVehicle();
-        vehicle2.x = this.canvas.width * 2 / 3;
-        vehicle2.direction = 'left';
-        vehicle2.lane = 2;
-        vehicle2.y = vehicle2.laneStartY + (vehicle2.lane * vehicle2.laneHeight) + (vehicle2.laneHeight / 2);
-        
-        // Force a crash
-        vehicle1.crash();
-        vehicle2.crash();
-        
-        console.log('Created test crash with fire animation');
-    }
-
-    /**
-     * Creates a test fire effect to verify fire sprites are loading correctly
-     */
-    testFireEffect() {
-        console.log('Testing fire effect with sprites from /assets/visuals/vehicles/fire_sprites');
-        
-        // Log fire sprites info
-        const fireSprites = assets.visuals.vehicles.fire_sprites;
-        console.log(`Game initialized with ${fireSprites ? fireSprites.length : 0} fire sprites`);
-        
-        // Create a test fire that will display for a few seconds
-        const testFire = new Fire(
-            this.canvas.width / 2, 
-            this.canvas.height / 2, 
-            100,  // width 
-            120,  // height
-            3     // duration (seconds)
-        );
-        
-        // Add to effects array with both update and draw methods
-        this.effects.push({
-            fire: testFire,
-            update: function(deltaTime) {
-                return this.fire.update(deltaTime);
-            },
-            draw: function(ctx) {
-                this.fire.draw(ctx);
-            }
-        });
-    }
-
     /**
      * Draws trees along the side of the road with more variety
      * @param {number} x - X position to start drawing trees
@@ -1502,9 +1827,15 @@ class Game {
         this.ctx.font = '24px Arial';
         this.ctx.fillText(`Wave Reached: ${this.wave}`, this.canvas.width / 2, this.canvas.height / 2 + 50);
         
+        // Seed, so a run can be reproduced from a bug report
+        this.ctx.font = '14px Arial';
+        this.ctx.fillText(`Seed: ${this.seed}`, this.canvas.width / 2, this.canvas.height / 2 + 80);
+        
         // Restart instructions
         this.ctx.font = '18px Arial';
-        this.ctx.fillText('Refresh the page to play again', this.canvas.width / 2, this.canvas.height * 3/4);
+        this.ctx.fillText('Press SPACE to play again', this.canvas.width / 2, this.canvas.height * 3/4);
+        this.ctx.font = '14px Arial';
+        this.ctx.fillText('R: watch replay   S: save replay file', this.canvas.width / 2, this.canvas.height * 3/4 + 28);
         
         this.ctx.restore();
     }
@@ -1556,13 +1887,8 @@ class Game {
             }
         });
         
-        // Play healing sound if available
-        if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.powerup) {
-            // Use powerup sound for healing
-            const sound = assets.sounds.effects.powerup;
-            sound.currentTime = 0;
-            sound.play().catch(e => console.warn('Could not play healing sound:', e));
-        }
+        // Use powerup sound for healing
+        this.audio.play('effects', 'powerup');
     }
 
     /**
@@ -1574,16 +1900,16 @@ class Game {
         // Create multiple explosion effects for a more dramatic crash
         for (let i = 0; i < 3; i++) {
             // Random offset for each explosion
-            const offsetX = (Math.random() - 0.5) * 40;
-            const offsetY = (Math.random() - 0.5) * 20;
+            const offsetX = this.rng.range(-20, 20);
+            const offsetY = this.rng.range(-10, 10);
             
             // Create explosion with random size and duration
             this.effects.push({
                 x: x + offsetX,
                 y: y + offsetY,
-                radius: 30 + Math.random() * 20, // 30-50 pixel radius
-                color: `rgba(${200 + Math.random() * 55}, ${100 + Math.random() * 50}, 0, 0.8)`, // Orange-red
-                lifetime: 0.8 + Math.random() * 0.4, // 0.8-1.2 seconds
+                radius: this.rng.range(30, 50), // 30-50 pixel radius
+                color: `rgba(${this.rng.range(200, 255)}, ${this.rng.range(100, 150)}, 0, 0.8)`, // Orange-red
+                lifetime: this.rng.range(0.8, 1.2), // 0.8-1.2 seconds
                 timer: 0,
                 update: function(deltaTime) {
                     this.timer += deltaTime;
@@ -1605,11 +1931,8 @@ class Game {
             });
         }
         
-        // Play a crash sound if available
-        if (assets && assets.sounds && assets.sounds.effects && assets.sounds.effects.crash) {
-            assets.sounds.effects.crash.currentTime = 0;
-            assets.sounds.effects.crash.play();
-        }
+        // Play a crash sound if available, ducking the music under it
+        this.audio.play('effects', 'crash', { ducks: true });
     }
 
     // Add helper method for drawing rounded rectangles if it doesn't exist
@@ -0,0 +1,232 @@
+/**
+ * Headless simulation mode: runs the Game in plain Node with a null renderer
+ * and null audio, for balancing and tests.
+ *
+ *   node js/headless.js --seed 42 --runs 100 --waves 5
+ *
+ * Prints one JSON line per run followed by a summary line.
+ */
+const fs = require('fs');
+const path = require('path');
+const { listManifestEntries, setAssetAtPath } = require('./assets');
+
+// The game scripts are written for the browser and find each other as globals
+Object.assign(
+    global,
+    require('./random'),
+    require('./events'),
+    require('./audio'),
+    require('./hearing'),
+    require('./road'),
+    require('./intersection'),
+    require('./fire'),
+    require('./siren'),
+    require('./horn'),
+    require('./vehicle'),
+    require('./bird'),
+    require('./powerups'),
+    require('./game')
+);
+
+/** @type {Object.<string, boolean>} Input frame with no keys held */
+const NO_INPUT = { left: false, right: false, up: false, down: false, drop: false, cycle: false };
+
+/**
+ * Canvas stand-in whose 2D context is null, so Game.draw() does nothing
+ * @class
+ */
+class NullCanvas {
+    /**
+     * Creates a new NullCanvas instance
+     * @param {number} width - Playfield width in pixels
+     * @param {number} height - Playfield height in pixels
+     */
+    constructor(width = 800, height = 400) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * @returns {null} Always null; there is nothing to draw on
+     */
+    getContext() {
+        return null;
+    }
+}
+
+/** @type {Buffer} The eight bytes every PNG file starts with */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Reads the pixel size from a PNG header
+ * @param {string} file - Path to the PNG file
+ * @returns {{width: number, height: number}} Image size
+ * @throws {Error} If the file is not a PNG
+ */
+function readPngSize(file) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(file, 'r');
+    try {
+        fs.readSync(fd, header, 0, 24, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (!header.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error(`Not a PNG file: ${file}`);
+    }
+    // Width and height are the first two fields of the IHDR chunk
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Builds the sprite collections the simulation needs (vehicle types and sizes)
+ * from the asset manifest. Entries only carry a width and height, not images.
+ * @param {string} assetRoot - Path to the assets directory holding assets.json
+ * @returns {Object} Visuals in the same shape as `assets.visuals`
+ */
+function loadSpriteCatalog(assetRoot = path.join(__dirname, '..', 'assets')) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(assetRoot, 'assets.json'), 'utf8'));
+    const catalog = {};
+
+    for (const entry of listManifestEntries(manifest)) {
+        // Only vehicle sprites affect the simulation; frames missing on disk are skipped like failed loads
+        if (entry.kind !== 'spriteSet' || entry.path[1] !== 'vehicles') continue;
+
+        let frames = entry.srcs
+            .map(src => path.join(assetRoot, src))
+            .filter(file => fs.existsSync(file))
+            .map(readPngSize);
+
+        // Sets drawn in code when there are no files take their size from the fallback
+        const { fallback } = entry.descriptor;
+        if (frames.length === 0 && fallback && fallback.width && fallback.height) {
+            frames = Array.from({ length: fallback.count || 1 }, () => ({ width: fallback.width, height: fallback.height }));
+        }
+        setAssetAtPath(catalog, entry.path.slice(1), frames);
+    }
+
+    return catalog;
+}
+
+let defaultCatalog = null;
+
+/**
+ * Creates a Game that runs without a DOM, canvas or audio
+ * @param {Object} options - Game options
+ * @param {number} options.seed - Seed for the run
+ * @param {number} options.wind - Sideways acceleration of droppings
+ * @param {string} options.road - Road layout (a key of ROAD_LAYOUTS)
+ * @param {number} options.width - Playfield width in pixels
+ * @param {number} options.height - Playfield height in pixels
+ * @param {Object} options.visuals - Sprite catalog; read from the assets directory if omitted
+ * @returns {Game} The headless game
+ */
+function createHeadlessGame(options = {}) {
+    if (!options.visuals && !defaultCatalog) {
+        defaultCatalog = loadSpriteCatalog();
+    }
+
+    return new Game(new NullCanvas(options.width, options.height), {
+        seed: options.seed,
+        wind: options.wind,
+        road: options.road,
+        audio: new NullAudio(),
+        visuals: options.visuals || defaultCatalog
+    });
+}
+
+/**
+ * Runs one game as fast as possible until the bird dies, the wave limit is passed or time runs out
+ * @param {Object} options - Simulation options (also passed to createHeadlessGame)
+ * @param {number} options.waves - Stop once this many waves are completed
+ * @param {number} options.maxSeconds - Stop after this much simulated time
+ * @param {number} options.step - Fixed simulation step in seconds
+ * @param {function(Game): Object} options.policy - Returns the input for each tick; idle if omitted
+ * @returns {Object} Result of the run
+ */
+function simulate(options = {}) {
+    const { waves = 10, maxSeconds = 3600, step = 1 / 120, policy = null } = options;
+    const game = createHeadlessGame(options);
+    const maxTicks = Math.ceil(maxSeconds / step);
+
+    while (!game.bird.isDead && game.wave <= waves && game.tick < maxTicks) {
+        game.applyInput(policy ? policy(game) : NO_INPUT);
+        game.update(step);
+    }
+
+    const result = {
+        seed: game.seed,
+        ticks: game.tick,
+        seconds: game.tick * step,
+        wave: game.wave,
+        score: game.score,
+        health: game.bird.health,
+        died: game.bird.isDead
+    };
+
+    game.destroy();
+    return result;
+}
+
+/**
+ * Parses `--name value` pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object.<string, string>} Parsed arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Command line entry point
+ */
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const runs = Number(args.runs || 1);
+    const firstSeed = args.seed !== undefined ? Random.parseSeed(args.seed) : Random.generateSeed();
+    const options = {
+        waves: Number(args.waves || 10),
+        maxSeconds: Number(args['max-seconds'] || 3600),
+        wind: Number(args.wind || 0),
+        road: args.road
+    };
+
+    const started = Date.now();
+    const results = [];
+
+    for (let i = 0; i < runs; i++) {
+        const result = simulate({ ...options, seed: (firstSeed + i) >>> 0 });
+        results.push(result);
+        process.stdout.write(JSON.stringify(result) + '\n');
+    }
+
+    const elapsed = (Date.now() - started) / 1000;
+    const mean = (key) => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+    process.stdout.write(JSON.stringify({
+        runs,
+        meanScore: mean('score'),
+        meanWave: mean('wave'),
+        deaths: results.filter(result => result.died).length,
+        simulatedSeconds: mean('seconds') * runs,
+        realSeconds: elapsed
+    }) + '\n');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    NullCanvas,
+    readPngSize,
+    loadSpriteCatalog,
+    createHeadlessGame,
+    simulate
+};
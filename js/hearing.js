@@ -0,0 +1,131 @@
+/**
+ * What the bird's ears do to the sound of the game. Its hearing health dulls
+ * the world as it drops; an air horn or siren up close leaves the ears ringing,
+ * and a burst of honking from all sides deafens the bird for a moment.
+ * Eating brings the hearing back, see recover().
+ * @class
+ */
+class Hearing {
+    // Hearing loss tuning
+    static SETTINGS = {
+        ringFrequency: 4200, // pitch of the tinnitus tone in Hz
+        ringVolume: 0.12,    // volume of the tone when it starts
+        ringDuration: 4,     // seconds the ringing takes to fade away
+        burstDecay: 10,      // honk damage per second the ears shrug off
+        burstThreshold: 8,   // damage built up faster than it fades that deafens the bird
+        deafDuration: 2.5,   // seconds of deafness after a burst
+        deafFade: 0.5,       // seconds over which hearing returns at the end of it
+        deafness: 0.85       // how much quieter the world is while deaf, from 0 to 1
+    };
+
+    /**
+     * Creates a new Hearing instance
+     * @param {Object} options - Optional settings
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player shared with the game
+     */
+    constructor(options = {}) {
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.exposure = 0; // Recent honk damage not yet shrugged off
+        this.deafTimer = 0;
+        this.ringTimer = 0;
+        this.ringSound = null;
+    }
+
+    /**
+     * Fades the ringing and deafness and sets the mix to match the bird's hearing
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {number} health - Hearing health from 0 (deaf) to 1 (perfect)
+     */
+    update(deltaTime, health) {
+        const { burstDecay, ringDuration, deafFade, deafness } = Hearing.SETTINGS;
+        this.exposure = Math.max(0, this.exposure - burstDecay * deltaTime);
+        this.deafTimer = Math.max(0, this.deafTimer - deltaTime);
+
+        this.ringTimer = Math.max(0, this.ringTimer - deltaTime);
+        if (this.ringTimer > 0) {
+            this.audio.setGain(this.ringSound, this.ringTimer / ringDuration);
+        } else {
+            this.stopRinging();
+        }
+
+        this.audio.setMuffle(1 - health);
+        this.audio.setDeafness(deafness * Math.min(1, this.deafTimer / deafFade));
+    }
+
+    /**
+     * Takes in honk damage; too much of it at once deafens the bird for a moment
+     * @param {number} damage - Hearing health just lost to honking
+     */
+    expose(damage) {
+        const { burstThreshold, deafDuration } = Hearing.SETTINGS;
+        this.exposure += damage;
+        if (this.exposure >= burstThreshold) {
+            this.exposure = 0;
+            this.deafTimer = deafDuration;
+        }
+    }
+
+    /**
+     * Sets the ears ringing, or starts the fade again if they already are
+     */
+    ring() {
+        const { ringFrequency, ringVolume, ringDuration } = Hearing.SETTINGS;
+        this.ringTimer = ringDuration;
+        if (!this.ringSound) {
+            this.ringSound = this.audio.playTone(ringFrequency, {
+                bus: 'ears',
+                volume: ringVolume,
+                onEnded: () => { this.ringSound = null; }
+            });
+        }
+    }
+
+    /**
+     * Stops the ringing sound
+     */
+    stopRinging() {
+        if (this.ringSound) {
+            this.audio.stop(this.ringSound);
+            this.ringSound = null;
+        }
+        this.ringTimer = 0;
+    }
+
+    /**
+     * Ends any ringing and deafness, e.g. when the bird eats
+     */
+    recover() {
+        this.stopRinging();
+        this.exposure = 0;
+        this.deafTimer = 0;
+    }
+
+    /**
+     * Recovers and clears the mix of hearing loss, for when nobody is listening
+     * through the bird's ears any more (it died or the game ended)
+     */
+    reset() {
+        this.recover();
+        this.audio.setMuffle(0);
+        this.audio.setDeafness(0);
+    }
+
+    /**
+     * @returns {boolean} True while the bird is deafened by a burst of honking
+     */
+    isDeaf() {
+        return this.deafTimer > 0;
+    }
+
+    /**
+     * @returns {boolean} True while the bird's ears are ringing
+     */
+    isRinging() {
+        return this.ringTimer > 0;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Hearing };
+}
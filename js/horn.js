@@ -0,0 +1,157 @@
+/**
+ * A synthesized vehicle horn. Every vehicle that gets one has a pitch and a
+ * way of pressing it of its own, and the sound is worked out sample by sample,
+ * so it needs no files: it stands in when the recorded honks fail to load and
+ * can be mixed in with them so traffic doesn't all sound alike.
+ * @class
+ */
+class Horn {
+    // Timbres, one per kind of horn:
+    //   notes     - notes sounded together, as ratios of the base pitch
+    //   harmonics - strength of each harmonic of every note, from the fundamental up
+    //   pitch     - range the base pitch is picked from, in Hz
+    //   attack    - seconds the sound takes to swell when pressed
+    //   release   - seconds it takes to die away when let go
+    //   vibrato   - depth (fraction of the pitch) and rate (Hz) of the wobble
+    //   sag       - how far the pitch drops as the sound dies away, as a fraction
+    //   patterns  - rhythms a driver might press it in (keys of Horn.PATTERNS)
+    static TIMBRES = {
+        // Two bright notes a third apart, like most cars
+        beep: {
+            notes: [1, 1.26], harmonics: [1, 0, 0.33, 0, 0.2, 0, 0.14], pitch: [380, 480],
+            attack: 0.01, release: 0.02, vibrato: [0, 0], sag: 0, patterns: ['hold', 'double', 'beeps']
+        },
+        // Two buzzing notes, lower and slower to speak
+        dualTone: {
+            notes: [1, 1.25], harmonics: [1, 0.5, 0.33, 0.25, 0.2], pitch: [250, 320],
+            attack: 0.03, release: 0.05, vibrato: [0, 0], sag: 0.02, patterns: ['hold', 'longShort']
+        },
+        // A low, brassy chord that takes a moment to build and sags as the air runs out
+        airHorn: {
+            notes: [1, 1.26, 1.5], harmonics: [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12], pitch: [140, 190],
+            attack: 0.12, release: 0.15, vibrato: [0.004, 5], sag: 0.08, patterns: ['hold', 'blasts']
+        },
+        // A thin, wobbly squeal
+        squeak: {
+            notes: [1], harmonics: [1, 0.6, 0.2], pitch: [750, 1050],
+            attack: 0.005, release: 0.02, vibrato: [0.03, 12], sag: 0, patterns: ['beeps', 'hold']
+        }
+    };
+
+    // Rhythms as [press, gap] lengths in seconds, played in turn (over and over if they
+    // repeat); once they run out the horn is held down for as long as the honk lasts
+    static PATTERNS = {
+        hold: { presses: [], repeat: false },
+        double: { presses: [[0.1, 0.08]], repeat: false },
+        beeps: { presses: [[0.18, 0.12]], repeat: true },
+        longShort: { presses: [[0.5, 0.1], [0.15, 0.1]], repeat: true },
+        blasts: { presses: [[0.6, 0.2]], repeat: true }
+    };
+
+    /** @type {number} Sample rate horns are rendered at; plenty for the harmonics they have */
+    static SAMPLE_RATE = 22050;
+
+    /** @type {number} Loudest a rendered horn gets, leaving room for the mix */
+    static PEAK = 0.6;
+
+    /** @type {number} Share of vehicles with a synthesized horn when they are mixed in with recorded honks */
+    static MIX_SHARE = 0.5;
+
+    /** @type {number} Samples in the table holding one cycle of a timbre's waveform */
+    static TABLE_SIZE = 1024;
+
+    /**
+     * Creates a new Horn instance
+     * @param {string} timbre - Kind of horn (a key of Horn.TIMBRES)
+     * @param {number} length - Longest it is ever held, in seconds
+     * @param {function(): number} random - Source of random numbers in [0, 1); horns are
+     *     cosmetic, so this is Math.random rather than the gameplay generator
+     */
+    constructor(timbre, length, random = Math.random) {
+        this.timbre = Horn.TIMBRES[timbre] ? timbre : 'beep';
+        this.length = length;
+
+        const { pitch, notes, patterns } = Horn.TIMBRES[this.timbre];
+        this.frequency = pitch[0] + random() * (pitch[1] - pitch[0]);
+        // Notes slightly out of tune with each other beat against each other like real horns
+        this.detune = notes.map(() => 1 + (random() - 0.5) * 0.01);
+        this.pattern = patterns[Math.floor(random() * patterns.length)];
+        this.cycle = Horn.PATTERNS[this.pattern].presses.reduce((sum, [press, gap]) => sum + press + gap, 0);
+        this.buffer = null; // Rendered by the audio player the first time the horn sounds
+    }
+
+    /**
+     * Checks whether the horn is pressed at a point in the honk
+     * @param {number} time - Seconds since the honk started
+     * @returns {boolean} True if pressed
+     */
+    isPressed(time) {
+        const { presses, repeat } = Horn.PATTERNS[this.pattern];
+        if (this.cycle === 0 || (!repeat && time >= this.cycle)) return true;
+
+        let t = repeat ? time % this.cycle : time;
+        for (const [press, gap] of presses) {
+            if (t < press) return true;
+            if (t < press + gap) return false;
+            t -= press + gap;
+        }
+        return true;
+    }
+
+    /**
+     * Works out the sound of the horn held for its full length
+     * @param {number} sampleRate - Samples per second
+     * @returns {Float32Array} Mono samples between -Horn.PEAK and Horn.PEAK
+     */
+    render(sampleRate = Horn.SAMPLE_RATE) {
+        const { notes, harmonics, attack, release, vibrato, sag } = Horn.TIMBRES[this.timbre];
+        const samples = new Float32Array(Math.ceil(this.length * sampleRate));
+        const table = Horn.createWaveTable(harmonics);
+        const size = Horn.TABLE_SIZE;
+        const phases = notes.map(() => 0);
+
+        // The envelope eases toward pressed (1) or released (0) at the attack or release speed
+        const attackStep = 1 - Math.exp(-1 / (attack * sampleRate));
+        const releaseStep = 1 - Math.exp(-1 / (release * sampleRate));
+        let envelope = 0;
+
+        for (let i = 0; i < samples.length; i++) {
+            const time = i / sampleRate;
+            const target = this.isPressed(time) ? 1 : 0;
+            envelope += (target - envelope) * (target > envelope ? attackStep : releaseStep);
+
+            const wobble = vibrato[0] > 0 ? 1 + vibrato[0] * Math.sin(2 * Math.PI * vibrato[1] * time) : 1;
+            const frequency = this.frequency * wobble * (1 - sag * (1 - envelope));
+
+            let value = 0;
+            for (let n = 0; n < notes.length; n++) {
+                value += table[Math.floor(phases[n]) % size];
+                phases[n] = (phases[n] + frequency * notes[n] * this.detune[n] * size / sampleRate) % size;
+            }
+            samples[i] = value / notes.length * envelope * Horn.PEAK;
+        }
+
+        return samples;
+    }
+
+    /**
+     * Builds one cycle of a waveform from the strengths of its harmonics
+     * @param {Array<number>} harmonics - Strength of each harmonic, from the fundamental up
+     * @returns {Float32Array} Horn.TABLE_SIZE samples peaking at 1
+     */
+    static createWaveTable(harmonics) {
+        const table = new Float32Array(Horn.TABLE_SIZE);
+        let peak = 0;
+        for (let i = 0; i < table.length; i++) {
+            const angle = 2 * Math.PI * i / table.length;
+            table[i] = harmonics.reduce((sum, strength, h) => sum + strength * Math.sin(angle * (h + 1)), 0);
+            peak = Math.max(peak, Math.abs(table[i]));
+        }
+        return table.map(value => value / peak);
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Horn };
+}
@@ -0,0 +1,127 @@
+/**
+ * A crossing on the road controlled by a cycling traffic light. Vehicles stop
+ * at the line while it is red, get impatient the longer they wait and surge
+ * off when it turns green, so intersections are where honking starts.
+ * @class
+ */
+class Intersection {
+    // Light cycle and layout, in seconds and pixels
+    static TIMING = {
+        green: 9,
+        yellow: 2,
+        red: 7,
+        width: 50,          // crossing width; each direction stops at its near edge
+        queueDistance: 250, // stopped this close to a red light counts as waiting at it
+        surgeDuration: 1.5, // seconds of hard acceleration after a long wait
+        surgeBoost: 1.6     // acceleration multiplier while surging
+    };
+
+    /** @type {Array<string>} Light phases in the order they cycle */
+    static PHASES = ['green', 'yellow', 'red'];
+
+    /**
+     * Creates a new Intersection instance
+     * @param {number} x - Center of the crossing
+     * @param {Road} road - The road the crossing is on
+     * @param {Object} options - Optional settings
+     * @param {EventBus} options.events - Game event bus for light changes
+     * @param {string} options.phase - Phase the light starts in
+     * @param {number} options.elapsed - Seconds already spent in that phase
+     */
+    constructor(x, road, options = {}) {
+        this.x = x;
+        this.road = road;
+        this.events = options.events || new EventBus();
+        this.phase = options.phase || 'green';
+        this.timer = options.elapsed || 0;
+    }
+
+    /**
+     * Advances the light cycle
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        this.timer += deltaTime;
+
+        while (this.timer >= Intersection.TIMING[this.phase]) {
+            this.timer -= Intersection.TIMING[this.phase];
+            const next = (Intersection.PHASES.indexOf(this.phase) + 1) % Intersection.PHASES.length;
+            this.phase = Intersection.PHASES[next];
+            this.events.emit(GameEvents.LIGHT_CHANGED, { intersection: this, phase: this.phase });
+        }
+    }
+
+    /**
+     * X coordinate where traffic going the given way stops
+     * @param {string} direction - 'left' or 'right'
+     * @returns {number} The stop line on the near side of the crossing
+     */
+    getStopLineX(direction) {
+        const halfWidth = Intersection.TIMING.width / 2;
+        return direction === 'right' ? this.x - halfWidth : this.x + halfWidth;
+    }
+
+    /**
+     * Whether a driver approaching the stop line should stop. On yellow only
+     * drivers who can still stop comfortably do; the rest carry on through.
+     * @param {number} gap - Distance from the front bumper to the stop line
+     * @param {number} speed - Speed (magnitude) of the vehicle
+     * @param {number} comfortableBraking - Deceleration the driver is happy to use
+     * @returns {boolean} True if the driver should stop at the line
+     */
+    tellsToStop(gap, speed, comfortableBraking) {
+        if (this.phase === 'red') return true;
+        if (this.phase === 'yellow') return gap > speed * speed / (2 * comfortableBraking);
+        return false;
+    }
+
+    /**
+     * Draws the crossing, the stop lines and the light heads
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    draw(ctx) {
+        const { top, bottom } = this.road;
+        const { width } = Intersection.TIMING;
+        const left = this.x - width / 2;
+
+        ctx.save();
+
+        // Zebra crossing over the whole road
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+        for (let y = top + 4; y < bottom - 4; y += 12) {
+            ctx.fillRect(left + 8, y, width - 16, 6);
+        }
+
+        // Stop lines on both sides
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(left - 4, top, 4, bottom - top);
+        ctx.fillRect(left + width, top, 4, bottom - top);
+
+        // A pole with a light head on each side of the crossing, above the road
+        for (const poleX of [left - 12, left + width + 12]) {
+            ctx.fillStyle = '#424242';
+            ctx.fillRect(poleX - 2, top - 30, 4, 30);
+            ctx.fillStyle = '#212121';
+            ctx.fillRect(poleX - 7, top - 66, 14, 38);
+
+            Intersection.PHASES.forEach((phase, index) => {
+                // Red on top, green at the bottom
+                const lampY = top - 59 + (2 - index) * 12;
+                ctx.fillStyle = phase !== this.phase ? '#333333'
+                    : phase === 'green' ? '#00e676'
+                    : phase === 'yellow' ? '#ffd600'
+                    : '#ff1744';
+                ctx.beginPath();
+                ctx.arc(poleX, lampY, 4.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        ctx.restore();
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Intersection };
+}
@@ -0,0 +1,47 @@
+/**
+ * Fixed-step accumulator that decouples simulation updates from rendering.
+ * The simulation always advances in steps of the same size, no matter how
+ * often the browser paints, so gameplay is identical on every monitor.
+ * @class
+ */
+class FixedTimestep {
+    /**
+     * Creates a new FixedTimestep instance
+     * @param {number} stepsPerSecond - Simulation updates per second
+     * @param {number} maxFrameTime - Longest frame (in seconds) fed into the accumulator
+     */
+    constructor(stepsPerSecond = 120, maxFrameTime = 0.25) {
+        this.step = 1 / stepsPerSecond;
+        this.maxFrameTime = maxFrameTime; // Prevents a "spiral of death" after tab switches or hitches
+        this.accumulator = 0;
+    }
+
+    /**
+     * Adds a frame's elapsed time and runs as many fixed steps as fit into it
+     * @param {number} frameTime - Real time elapsed since the previous frame in seconds
+     * @param {function(number): void} update - Called once per fixed step with the step size
+     * @returns {number} Interpolation factor (0-1) between the previous and current simulation state
+     */
+    advance(frameTime, update) {
+        this.accumulator += Math.min(Math.max(0, frameTime), this.maxFrameTime);
+
+        while (this.accumulator >= this.step) {
+            update(this.step);
+            this.accumulator -= this.step;
+        }
+
+        return this.accumulator / this.step;
+    }
+
+    /**
+     * Discards any leftover time (e.g. after the loop was suspended)
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FixedTimestep };
+}
@@ -0,0 +1,521 @@
+/**
+ * Web Audio mixer. Every sound plays as its own voice from a decoded buffer
+ * (or a plain tone), routed through a bus (music, sound effects, honks or the
+ * bird's ringing ears) into the master bus.
+ * Each bus has a fixed pool of channels; when they are all busy a new sound
+ * steals the channel of the least important, oldest voice. Bus volumes,
+ * mutes and the other sound options are player settings, kept in localStorage.
+ * Sounds of the world (not the music) pass through a low-pass filter that
+ * muffles them as the bird's hearing suffers, and a gain that all but
+ * silences them while it is deafened, unless the player turns hearing loss off.
+ * Sounds played to duck the music (sirens, explosions) are counted while they
+ * play so the music can turn itself down under them.
+ * @class
+ */
+class Mixer {
+    // Buses in the order the settings list them; all but master feed into master,
+    // the muffled ones through the hearing filter
+    static BUSES = {
+        master: { label: 'Master', channels: 0 },
+        music: { label: 'Music', channels: 6 },
+        sfx: { label: 'Effects', channels: 12, muffled: true },
+        honk: { label: 'Honks', channels: 4, muffled: true },
+        ears: { label: 'Ear ringing', channels: 1 }
+    };
+
+    // Hearing filter cutoff in Hz, with perfect hearing and none at all
+    static MUFFLE_CUTOFF = { open: 20000, closed: 600 };
+
+    /** @type {string} localStorage key holding the bus settings */
+    static STORAGE_KEY = 'honkPatrol.audio';
+
+    /** @type {Mixer|null} Mixer the game's sounds play through, see getShared() */
+    static shared = null;
+
+    /**
+     * @returns {Mixer} The mixer shared by every AudioPlayer, created on first use
+     */
+    static getShared() {
+        if (!Mixer.shared) {
+            Mixer.shared = new Mixer();
+        }
+        return Mixer.shared;
+    }
+
+    /**
+     * Creates a new Mixer instance. The audio context is only created when a
+     * sound is first decoded or played.
+     * @param {Object} options - Optional settings
+     * @param {Storage|null} options.storage - Where settings are kept; localStorage if omitted
+     * @param {Function|null} options.contextClass - AudioContext constructor; the browser's if omitted
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : Mixer.getLocalStorage();
+        this.contextClass = options.contextClass !== undefined ? options.contextClass : Mixer.getContextClass();
+        this.context = null;
+        this.buses = {}; // name -> { gain, channels }, built with the context
+        this.voicesStarted = 0; // Numbers voices so the oldest can be stolen first
+        this.muffler = null; // Low-pass filter in front of the muffled buses, built with the context
+        this.deafener = null; // Gain after the filter that turns the muffled buses down while deaf
+        this.muffle = 0; // How muffled the world sounds, from 0 (clear) to 1
+        this.deafness = 0; // How much quieter the world sounds, from 0 (not at all) to 1 (silent)
+        this.ducking = 0; // Voices playing that the music ducks under
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * @returns {Storage|null} The browser's localStorage, or null where there is none or it is blocked
+     */
+    static getLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Function|null} The browser's AudioContext constructor, or null without Web Audio
+     */
+    static getContextClass() {
+        if (typeof window === 'undefined') return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+
+    /**
+     * Creates the audio context and bus graph the first time they are needed
+     * @returns {AudioContext|null} The context, or null if Web Audio isn't available
+     */
+    getContext() {
+        if (this.context || !this.contextClass) return this.context;
+
+        try {
+            this.context = new this.contextClass();
+        } catch (error) {
+            console.warn('Web Audio is not available, playing without sound:', error);
+            this.contextClass = null;
+            return null;
+        }
+
+        this.muffler = this.context.createBiquadFilter();
+        this.muffler.type = 'lowpass';
+        this.deafener = this.context.createGain();
+        this.muffler.connect(this.deafener);
+        for (const [name, bus] of Object.entries(Mixer.BUSES)) {
+            const gain = this.context.createGain();
+            if (name === 'master') {
+                gain.connect(this.context.destination);
+                this.deafener.connect(gain);
+            } else {
+                gain.connect(bus.muffled ? this.muffler : this.buses.master.gain);
+            }
+            this.buses[name] = { gain, channels: [] };
+        }
+        this.applySettings();
+        return this.context;
+    }
+
+    /**
+     * Starts the audio context if the browser suspended it; browsers only allow
+     * this after the player has interacted with the page
+     */
+    resume() {
+        const context = this.getContext();
+        if (context && context.state === 'suspended') {
+            context.resume().catch(error => console.debug('Could not resume audio:', error));
+        }
+    }
+
+    /**
+     * Decodes a downloaded sound file
+     * @param {ArrayBuffer} data - The file's contents
+     * @returns {Promise<AudioBuffer>} The decoded sound
+     * @throws {Error} If Web Audio isn't available or the data isn't a sound
+     */
+    async decode(data) {
+        const context = this.getContext();
+        if (!context) {
+            throw new Error('Web Audio is not available');
+        }
+        return context.decodeAudioData(data);
+    }
+
+    /**
+     * Plays a decoded sound on a bus
+     * @param {AudioBuffer} buffer - The sound
+     * @param {Object} options - Playback options
+     * @param {string} options.bus - Bus to play on (a key of Mixer.BUSES other than master); 'sfx' if omitted
+     * @param {number} options.volume - Volume between 0 and 1
+     * @param {number} options.gain - Factor on the volume that can be changed while it plays, see setGain()
+     * @param {boolean} options.loop - Whether the sound repeats until stopped
+     * @param {number} options.rate - Playback speed, which also shifts the pitch (1 plays it as recorded)
+     * @param {number} options.pan - From -1 (left) to 1 (right)
+     * @param {number} options.priority - Voices only steal channels from voices of lower or equal priority
+     * @param {boolean} options.ducks - Whether the music ducks under it while it plays, see isDucking()
+     * @param {function(): void} options.onEnded - Called once when the sound ends, is stopped or is stolen
+     * @returns {Voice|null} The playing voice, or null if there is no sound or no free channel
+     */
+    play(buffer, options = {}) {
+        if (!buffer) return null;
+
+        return this.startVoice(options, (context) => {
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.loop = options.loop === true;
+            source.playbackRate.value = options.rate !== undefined ? options.rate : 1;
+            return source;
+        });
+    }
+
+    /**
+     * Wraps rendered samples in a buffer that can be played
+     * @param {Float32Array} samples - Mono samples between -1 and 1
+     * @param {number} sampleRate - Samples per second
+     * @returns {AudioBuffer|null} The buffer, or null without Web Audio
+     */
+    createBuffer(samples, sampleRate) {
+        const context = this.getContext();
+        if (!context) return null;
+
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        buffer.getChannelData(0).set(samples);
+        return buffer;
+    }
+
+    /**
+     * Plays a steady sine tone on a bus until it is stopped
+     * @param {number} frequency - Pitch in Hz
+     * @param {Object} options - Playback options as for play(), apart from loop and rate
+     * @returns {Voice|null} The playing voice, or null if there is no free channel
+     */
+    playTone(frequency, options = {}) {
+        return this.startVoice(options, (context) => {
+            const source = context.createOscillator();
+            source.type = 'sine';
+            source.frequency.value = frequency;
+            return source;
+        });
+    }
+
+    /**
+     * Finds a channel for a new voice and starts it playing
+     * @param {Object} options - Playback options, see play()
+     * @param {function(AudioContext): AudioScheduledSourceNode} createSource - Makes the node that plays the sound
+     * @returns {Voice|null} The playing voice, or null if there is no free channel
+     */
+    startVoice(options, createSource) {
+        const context = this.getContext();
+        const bus = this.buses[options.bus || 'sfx'];
+        if (!context || !bus || bus === this.buses.master) return null;
+
+        const priority = options.priority || 0;
+        const channel = this.findChannel(options.bus || 'sfx', priority);
+        if (!channel) return null;
+
+        const source = createSource(context);
+        source.connect(channel.gain);
+        channel.panner.pan.value = Math.max(-1, Math.min(1, options.pan || 0));
+
+        const voice = new Voice(channel, source, priority, this.voicesStarted++, options.onEnded);
+        voice.volume = options.volume !== undefined ? options.volume : 1;
+        voice.ducks = options.ducks === true;
+        if (voice.ducks) this.ducking++;
+        this.setGain(voice, options.gain !== undefined ? options.gain : 1);
+        channel.voice = voice;
+        source.onended = () => this.release(voice);
+        source.start();
+        return voice;
+    }
+
+    /**
+     * Finds a channel for a new voice: a free one, a new one while the pool isn't
+     * full, or the one playing the least important and then oldest voice
+     * @param {string} busName - The bus to play on
+     * @param {number} priority - Priority of the new voice
+     * @returns {Object|null} The channel, or null if every voice matters more
+     */
+    findChannel(busName, priority) {
+        const bus = this.buses[busName];
+        const free = bus.channels.find(channel => !channel.voice);
+        if (free) return free;
+
+        if (bus.channels.length < Mixer.BUSES[busName].channels) {
+            const panner = this.context.createStereoPanner();
+            const gain = this.context.createGain();
+            gain.connect(panner).connect(bus.gain);
+            const channel = { gain, panner, voice: null };
+            bus.channels.push(channel);
+            return channel;
+        }
+
+        let victim = null;
+        for (const channel of bus.channels) {
+            const voice = channel.voice;
+            if (voice.priority > priority) continue;
+            if (!victim || voice.priority < victim.voice.priority ||
+                (voice.priority === victim.voice.priority && voice.serial < victim.voice.serial)) {
+                victim = channel;
+            }
+        }
+        if (victim) {
+            this.stop(victim.voice);
+        }
+        return victim;
+    }
+
+    /**
+     * Stops a voice. Does nothing if it has already ended or was stolen.
+     * @param {Voice} voice - A voice returned by play()
+     */
+    stop(voice) {
+        if (!voice || voice.ended) return;
+
+        try {
+            voice.source.stop();
+        } catch (error) {
+            console.debug('Error stopping sound:', error);
+        }
+        this.release(voice);
+    }
+
+    /**
+     * Frees a voice's channel once it has ended
+     * @param {Voice} voice - The voice that ended
+     */
+    release(voice) {
+        if (voice.ended) return;
+
+        voice.ended = true;
+        if (voice.ducks) this.ducking--;
+        voice.source.onended = null;
+        voice.source.disconnect();
+        if (voice.channel.voice === voice) {
+            voice.channel.voice = null;
+        }
+        if (voice.onEnded) voice.onEnded();
+    }
+
+    /**
+     * Stops every voice on every bus
+     */
+    stopAll() {
+        for (const bus of Object.values(this.buses)) {
+            for (const channel of bus.channels) {
+                this.stop(channel.voice);
+            }
+        }
+    }
+
+    /**
+     * Places a playing voice between the left and right speakers
+     * @param {Voice} voice - A voice returned by play()
+     * @param {number} pan - From -1 (left) to 1 (right)
+     */
+    setPan(voice, pan) {
+        if (!voice || voice.ended) return;
+        voice.channel.panner.pan.value = Math.max(-1, Math.min(1, pan));
+    }
+
+    /**
+     * Turns a playing voice up or down, e.g. as its source moves away from the listener
+     * @param {Voice} voice - A voice returned by play()
+     * @param {number} gain - Factor on the voice's volume, from 0 (silent) to 1
+     */
+    setGain(voice, gain) {
+        if (!voice || voice.ended) return;
+        voice.channel.gain.gain.value = voice.volume * Math.max(0, Math.min(1, gain));
+    }
+
+    /**
+     * @returns {boolean} Whether a voice the music ducks under is playing
+     */
+    isDucking() {
+        return this.ducking > 0;
+    }
+
+    /**
+     * Sets how muffled the world sounds; has no effect while the player has hearing loss turned off
+     * @param {number} amount - From 0 (clear) to 1 (as muffled as it gets)
+     */
+    setMuffle(amount) {
+        this.muffle = Math.max(0, Math.min(1, amount));
+        this.applyHearing();
+    }
+
+    /**
+     * Sets how much quieter the world sounds; has no effect while the player has hearing loss turned off
+     * @param {number} amount - From 0 (not at all) to 1 (silent)
+     */
+    setDeafness(amount) {
+        this.deafness = Math.max(0, Math.min(1, amount));
+        this.applyHearing();
+    }
+
+    /**
+     * Sets the hearing filter cutoff from the muffle amount, falling
+     * exponentially so each step sounds about as big as the last, and
+     * the gain after it from the deafness
+     */
+    applyHearing() {
+        if (!this.muffler) return;
+
+        const { open, closed } = Mixer.MUFFLE_CUTOFF;
+        const enabled = this.settings.muffle;
+        this.muffler.frequency.value = open * Math.pow(closed / open, enabled ? this.muffle : 0);
+        this.deafener.gain.value = 1 - (enabled ? this.deafness : 0);
+    }
+
+    /**
+     * @returns {boolean} Whether world sounds get muffled and deafened as the bird's hearing suffers
+     */
+    isMuffleEnabled() {
+        return this.settings.muffle;
+    }
+
+    /**
+     * Turns hearing loss on or off and saves the settings
+     * @param {boolean} enabled - Whether world sounds get muffled and deafened as the bird's hearing suffers
+     */
+    setMuffleEnabled(enabled) {
+        this.settings.muffle = enabled;
+        this.applyHearing();
+        this.saveSettings();
+    }
+
+    /**
+     * @returns {boolean} Whether synthesized horns are mixed in with the recorded honks
+     */
+    isSynthHornsEnabled() {
+        return this.settings.synthHorns;
+    }
+
+    /**
+     * Turns mixing synthesized horns in with the recorded honks on or off and saves the settings
+     * @param {boolean} enabled - Whether some vehicles honk with synthesized horns even when recordings loaded
+     */
+    setSynthHornsEnabled(enabled) {
+        this.settings.synthHorns = enabled;
+        this.saveSettings();
+    }
+
+    /**
+     * @param {string} busName - A key of Mixer.BUSES
+     * @returns {number} The bus volume between 0 and 1
+     */
+    getVolume(busName) {
+        return this.settings[busName].volume;
+    }
+
+    /**
+     * Sets a bus volume and saves the settings
+     * @param {string} busName - A key of Mixer.BUSES
+     * @param {number} volume - Volume between 0 and 1
+     */
+    setVolume(busName, volume) {
+        // Rounded so stepping up and down in tenths lands back on the same value
+        this.settings[busName].volume = Math.round(Math.max(0, Math.min(1, volume)) * 100) / 100;
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    /**
+     * @param {string} busName - A key of Mixer.BUSES
+     * @returns {boolean} Whether the bus is muted
+     */
+    isMuted(busName) {
+        return this.settings[busName].muted;
+    }
+
+    /**
+     * Mutes or unmutes a bus and saves the settings
+     * @param {string} busName - A key of Mixer.BUSES
+     * @param {boolean} muted - Whether the bus should be silent
+     */
+    setMuted(busName, muted) {
+        this.settings[busName].muted = muted;
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    /**
+     * Sets each bus gain from its volume and mute setting, and the hearing filter
+     */
+    applySettings() {
+        for (const [name, bus] of Object.entries(this.buses)) {
+            const { volume, muted } = this.settings[name];
+            bus.gain.gain.value = muted ? 0 : volume;
+        }
+        this.applyHearing();
+    }
+
+    /**
+     * Reads the saved settings, falling back to full volume (and muffling on) for anything missing or invalid
+     * @returns {Object} Volume and mute by bus name, `muffle`: whether hearing loss is on, and
+     *     `synthHorns`: whether synthesized horns are mixed in
+     */
+    loadSettings() {
+        let saved = {};
+        try {
+            saved = (this.storage && JSON.parse(this.storage.getItem(Mixer.STORAGE_KEY))) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable audio settings:', error);
+        }
+
+        const settings = {};
+        for (const name of Object.keys(Mixer.BUSES)) {
+            const bus = saved[name] || {};
+            settings[name] = {
+                volume: Number.isFinite(bus.volume) ? Math.max(0, Math.min(1, bus.volume)) : 1,
+                muted: bus.muted === true
+            };
+        }
+        settings.muffle = saved.muffle !== false;
+        settings.synthHorns = saved.synthHorns === true;
+        return settings;
+    }
+
+    /**
+     * Saves the bus settings for the next visit
+     */
+    saveSettings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Mixer.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save audio settings:', error);
+        }
+    }
+}
+
+/**
+ * One sound playing through the mixer, returned by Mixer.play() as a handle
+ * for stopping and panning it. Its channel is reused once it has ended, so
+ * the handle does nothing afterwards.
+ * @class
+ */
+class Voice {
+    /**
+     * Creates a new Voice instance
+     * @param {Object} channel - Pooled channel (gain and panner) it plays through
+     * @param {AudioScheduledSourceNode} source - The playing sound or tone
+     * @param {number} priority - How reluctant the mixer is to steal its channel
+     * @param {number} serial - How many voices the mixer started before this one
+     * @param {function(): void} onEnded - Called once when it ends, is stopped or is stolen
+     */
+    constructor(channel, source, priority, serial, onEnded) {
+        this.channel = channel;
+        this.source = source;
+        this.priority = priority;
+        this.serial = serial;
+        this.volume = 1; // Volume it was played at, before setGain()
+        this.ducks = false; // Whether the music ducks under it
+        this.onEnded = onEnded || null;
+        this.ended = false;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Mixer, Voice };
+}
@@ -0,0 +1,352 @@
+/**
+ * The game's music, synthesized like the horns so it needs no files. Stems of
+ * one loop play in step on the music bus and fade in and out with the game: a
+ * calm pad while paused or between waves, and in play a bass line joined by
+ * drums and then an arpeggio as honking spreads and the waves go on. Stingers
+ * mark the start of a wave and the end of the game, and the stems duck under
+ * sirens, explosions and the stingers themselves.
+ * @class
+ */
+class Music {
+    // Music tuning
+    static SETTINGS = {
+        fullHonking: 6,  // honking vehicles that take the music to full intensity on their own
+        waveStep: 0.1,   // intensity every wave after the first adds
+        rise: 0.5,       // intensity gained per second as the road gets louder
+        fall: 0.1,       // intensity lost per second as it quietens down
+        layerSpan: 0.15, // intensity below a stem's threshold over which it fades in
+        fade: 1.5,       // seconds a stem takes to fade fully in or out
+        duck: 0.35,      // level of the stems while ducked
+        duckFade: 0.25   // seconds the stems take to duck and to come back
+    };
+
+    // Stems of the loop: the mood they play in, the intensity at which they are
+    // fully in and their volume
+    static STEMS = {
+        pad: { mood: 'calm', threshold: 0, volume: 0.5 },
+        bass: { mood: 'action', threshold: 0, volume: 0.6 },
+        drums: { mood: 'action', threshold: 0.3, volume: 0.5 },
+        arpeggio: { mood: 'action', threshold: 0.6, volume: 0.3 }
+    };
+
+    // Short phrases over the loop: notes in semitones from A3, played a step apart,
+    // the last one held
+    static STINGERS = {
+        // Rising fanfare as a wave starts
+        wave: { notes: [12, 15, 19, 24], step: 0.1, hold: 0.6, instrument: 'brass', volume: 0.6 },
+        // Falling away to a low note as the bird goes down
+        gameOver: { notes: [7, 3, 0, -12], step: 0.35, hold: 1.2, instrument: 'brass', volume: 0.6 }
+    };
+
+    // Instruments notes are played on:
+    //   harmonics - strength of each harmonic, from the fundamental up
+    //   attack    - seconds a note takes to swell
+    //   decay     - seconds it takes to die away to a third while held (0 holds it steady)
+    //   release   - seconds it takes to die away once let go
+    static INSTRUMENTS = {
+        pad: { harmonics: [1, 0.2, 0.05], attack: 0.4, decay: 0, release: 0.6 },
+        bass: { harmonics: [1, 0.5, 0.33, 0.25], attack: 0.005, decay: 0.3, release: 0.05 },
+        arpeggio: { harmonics: [1, 0, 0.11, 0, 0.04], attack: 0.005, decay: 0.15, release: 0.05 },
+        brass: { harmonics: [1, 0.6, 0.4, 0.25, 0.15], attack: 0.01, decay: 0, release: 0.3 }
+    };
+
+    // One chord per bar of the loop, as semitones from A3 with the root first: Am, F, C, G
+    static CHORDS = [[0, 3, 7], [-4, 0, 3], [3, 7, 10], [-2, 2, 5]];
+
+    /** @type {number} Beats per minute */
+    static TEMPO = 120;
+
+    /** @type {number} Beats in a bar */
+    static BEATS = 4;
+
+    /** @type {number} Sample rate the music is rendered at */
+    static SAMPLE_RATE = 22050;
+
+    /** @type {number} Loudest a rendered stem or stinger gets, leaving room for the mix */
+    static PEAK = 0.6;
+
+    /** @type {Object<string, Float32Array>} Waveform of each instrument, see getWaveTable() */
+    static waveTables = {};
+
+    /**
+     * Creates a new Music instance
+     * @param {Object} options - Optional settings
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player to play through
+     */
+    constructor(options = {}) {
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.intensity = 0; // How heated the game sounds, from 0 to 1; held while not in play
+        this.duckLevel = 1;
+        this.stingerTimer = 0; // Seconds left of the stinger playing
+
+        // Rendered by the audio player the first time they play, see AudioPlayer.playRendered()
+        this.stems = Object.keys(Music.STEMS).map(name => ({
+            name,
+            level: 0, // Fades between 0 (silent) and 1
+            voice: null,
+            buffer: null,
+            render: () => Music.renderStem(name)
+        }));
+        this.stingers = {};
+        for (const name of Object.keys(Music.STINGERS)) {
+            this.stingers[name] = { buffer: null, render: () => Music.renderStinger(name) };
+        }
+    }
+
+    /**
+     * Fades the stems toward the mood of the screen and the intensity of the game
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {string} mood - 'action' in play, 'calm' while paused or between waves, 'off' elsewhere
+     * @param {Game|null} game - The game in play, which sets the intensity in the 'action' mood
+     */
+    update(deltaTime, mood, game) {
+        const { rise, fall, layerSpan, fade, duck, duckFade } = Music.SETTINGS;
+
+        if (mood === 'action') {
+            const target = Music.getIntensity(game);
+            this.intensity += Math.max(-fall * deltaTime, Math.min(rise * deltaTime, target - this.intensity));
+        }
+
+        for (const stem of this.stems) {
+            const { mood: stemMood, threshold } = Music.STEMS[stem.name];
+            const target = stemMood !== mood ? 0 :
+                Math.max(0, Math.min(1, 1 - (threshold - this.intensity) / layerSpan));
+            stem.level += Math.max(-deltaTime / fade, Math.min(deltaTime / fade, target - stem.level));
+        }
+
+        this.stingerTimer = Math.max(0, this.stingerTimer - deltaTime);
+        const duckTarget = this.audio.isDucking() || this.stingerTimer > 0 ? duck : 1;
+        const duckStep = deltaTime * (1 - duck) / duckFade;
+        this.duckLevel += Math.max(-duckStep, Math.min(duckStep, duckTarget - this.duckLevel));
+
+        // The stems only keep in step if they start together, so a missing one restarts them all
+        if (!this.stems.some(stem => stem.level > 0)) {
+            this.stop();
+            return;
+        }
+        if (this.stems.some(stem => !stem.voice)) {
+            this.start();
+        }
+        for (const stem of this.stems) {
+            this.audio.setGain(stem.voice, stem.level * this.duckLevel);
+        }
+    }
+
+    /**
+     * Starts every stem from the top of the loop
+     */
+    start() {
+        this.stop();
+        for (const stem of this.stems) {
+            stem.voice = this.audio.playRendered(stem, Music.SAMPLE_RATE, {
+                bus: 'music',
+                volume: Music.STEMS[stem.name].volume,
+                gain: 0,
+                loop: true,
+                priority: 1,
+                onEnded: () => { stem.voice = null; }
+            });
+        }
+    }
+
+    /**
+     * Stops every stem
+     */
+    stop() {
+        for (const stem of this.stems) {
+            if (stem.voice) {
+                this.audio.stop(stem.voice);
+                stem.voice = null;
+            }
+        }
+    }
+
+    /**
+     * Plays a stinger over the loop, ducking the stems while it lasts
+     * @param {string} name - A key of Music.STINGERS
+     */
+    playStinger(name) {
+        const { notes, step, hold, volume } = Music.STINGERS[name];
+        const voice = this.audio.playRendered(this.stingers[name], Music.SAMPLE_RATE, { bus: 'music', volume });
+        if (voice) {
+            this.stingerTimer = (notes.length - 1) * step + hold;
+        }
+    }
+
+    /**
+     * Works out how heated the game sounds from its honking and its wave
+     * @param {Game} game - The game in play
+     * @returns {number} Intensity from 0 to 1
+     */
+    static getIntensity(game) {
+        const { fullHonking, waveStep } = Music.SETTINGS;
+        const honking = game.vehicles.filter(vehicle => vehicle.isHonking).length;
+        return Math.min(1, honking / fullHonking + (game.wave - 1) * waveStep);
+    }
+
+    /**
+     * @returns {number} Seconds the loop lasts
+     */
+    static getLoopLength() {
+        return Music.CHORDS.length * Music.BEATS * 60 / Music.TEMPO;
+    }
+
+    /**
+     * Works out the sound of one stem over the whole loop; notes ringing past
+     * its end wrap around to the start so it loops without a seam
+     * @param {string} name - A key of Music.STEMS
+     * @returns {Float32Array} Mono samples between -Music.PEAK and Music.PEAK
+     */
+    static renderStem(name) {
+        const samples = new Float32Array(Math.round(Music.getLoopLength() * Music.SAMPLE_RATE));
+        const beat = 60 / Music.TEMPO;
+
+        Music.CHORDS.forEach((chord, bar) => {
+            const start = bar * Music.BEATS * beat;
+            const root = chord[0];
+
+            if (name === 'pad') {
+                // The chord held for the whole bar
+                for (const note of chord) {
+                    Music.addNote(samples, start, Music.BEATS * beat, note, 'pad');
+                }
+            } else if (name === 'bass') {
+                // Eighths on the root two octaves down, jumping up an octave and to the fifth
+                [0, 0, 12, 0, 0, 0, 12, 7].forEach((offset, i) => {
+                    Music.addNote(samples, start + i * beat / 2, beat * 0.45, root - 24 + offset, 'bass');
+                });
+            } else if (name === 'arpeggio') {
+                // Sixteenths up and down the chord an octave up
+                const tones = [...chord, root + 12].map(note => note + 12);
+                for (let i = 0; i < Music.BEATS * 4; i++) {
+                    const index = [0, 1, 2, 3, 2, 1][i % 6];
+                    Music.addNote(samples, start + i * beat / 4, beat * 0.2, tones[index], 'arpeggio');
+                }
+            } else if (name === 'drums') {
+                // Kick on one and three, snare on two and four, hi-hat on every eighth
+                for (let i = 0; i < Music.BEATS; i++) {
+                    Music.addDrum(samples, start + i * beat, i % 2 === 0 ? 'kick' : 'snare');
+                }
+                for (let i = 0; i < Music.BEATS * 2; i++) {
+                    Music.addDrum(samples, start + i * beat / 2, 'hat');
+                }
+            }
+        });
+
+        return Music.normalize(samples);
+    }
+
+    /**
+     * Works out the sound of a stinger
+     * @param {string} name - A key of Music.STINGERS
+     * @returns {Float32Array} Mono samples between -Music.PEAK and Music.PEAK
+     */
+    static renderStinger(name) {
+        const { notes, step, hold, instrument } = Music.STINGERS[name];
+        const length = (notes.length - 1) * step + hold + Music.INSTRUMENTS[instrument].release;
+        const samples = new Float32Array(Math.ceil(length * Music.SAMPLE_RATE));
+
+        notes.forEach((note, i) => {
+            const last = i === notes.length - 1;
+            Music.addNote(samples, i * step, last ? hold : step, note, instrument);
+        });
+
+        return Music.normalize(samples);
+    }
+
+    /**
+     * Mixes a note into rendered samples, wrapping past the end to the start
+     * @param {Float32Array} samples - Samples to add to
+     * @param {number} start - Seconds into the samples the note starts
+     * @param {number} duration - Seconds it is held
+     * @param {number} note - Pitch in semitones from A3 (220 Hz)
+     * @param {string} instrument - A key of Music.INSTRUMENTS
+     */
+    static addNote(samples, start, duration, note, instrument) {
+        const { harmonics, attack, decay, release } = Music.INSTRUMENTS[instrument];
+        const rate = Music.SAMPLE_RATE;
+        const table = Music.getWaveTable(instrument);
+        const step = 220 * Math.pow(2, note / 12) * table.length / rate;
+        const first = Math.round(start * rate);
+        const count = Math.ceil((duration + release) * rate);
+        const fading = decay > 0 ? Math.exp(-1 / (decay * rate)) : 1; // Decay left after each sample
+        let sustain = 1;
+        let phase = 0;
+
+        for (let i = 0; i < count; i++) {
+            const time = i / rate;
+            let envelope = Math.min(1, time / attack) * sustain;
+            if (time > duration) envelope *= Math.max(0, 1 - (time - duration) / release);
+            sustain *= fading;
+
+            samples[(first + i) % samples.length] += table[Math.floor(phase)] * envelope;
+            phase = (phase + step) % table.length;
+        }
+    }
+
+    /**
+     * Builds an instrument's waveform the first time it is played, the way the horns build theirs
+     * @param {string} instrument - A key of Music.INSTRUMENTS
+     * @returns {Float32Array} One cycle of the waveform, peaking at 1
+     */
+    static getWaveTable(instrument) {
+        if (!Music.waveTables[instrument]) {
+            Music.waveTables[instrument] = Horn.createWaveTable(Music.INSTRUMENTS[instrument].harmonics);
+        }
+        return Music.waveTables[instrument];
+    }
+
+    /**
+     * Mixes a drum hit into rendered samples, wrapping past the end to the start
+     * @param {Float32Array} samples - Samples to add to
+     * @param {number} start - Seconds into the samples it is hit
+     * @param {string} drum - 'kick', 'snare' or 'hat'
+     */
+    static addDrum(samples, start, drum) {
+        const rate = Music.SAMPLE_RATE;
+        const first = Math.round(start * rate);
+        const count = Math.ceil((drum === 'hat' ? 0.05 : 0.3) * rate);
+        let phase = 0;
+        let noise = 0;
+
+        for (let i = 0; i < count; i++) {
+            const time = i / rate;
+            let value;
+            if (drum === 'kick') {
+                // A thump falling from 110 to 45 Hz
+                phase += 2 * Math.PI * (45 + 65 * Math.exp(-time / 0.03)) / rate;
+                value = Math.sin(phase) * Math.exp(-time / 0.12);
+            } else if (drum === 'snare') {
+                // A burst of noise over a short tone
+                value = (Math.random() * 2 - 1) * 0.5 * Math.exp(-time / 0.08) +
+                    Math.sin(2 * Math.PI * 180 * time) * 0.3 * Math.exp(-time / 0.05);
+            } else {
+                // A tick of noise with the low end taken out
+                const next = Math.random() * 2 - 1;
+                value = (next - noise) * 0.15 * Math.exp(-time / 0.02);
+                noise = next;
+            }
+            samples[(first + i) % samples.length] += value;
+        }
+    }
+
+    /**
+     * Scales samples so the loudest is at Music.PEAK
+     * @param {Float32Array} samples - The samples, scaled in place
+     * @returns {Float32Array} The same samples
+     */
+    static normalize(samples) {
+        const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        if (peak > 0) {
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] *= Music.PEAK / peak;
+            }
+        }
+        return samples;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Music };
+}
@@ -1,13 +1,371 @@
 /**
- * Manages game powerups and their effects
+ * Timed power-ups the bird can pick up.
+ * Stacking rules when a power-up is collected while already active:
+ * - 'extend': adds its duration to the time left, up to maxDuration
+ * - 'refresh': restarts the timer at full duration
+ * - 'stack': adds a stack (up to maxStacks) and restarts the timer
+ * @type {Object.<string, Object>}
+ */
+const POWERUP_TYPES = {
+    earmuffs: { name: 'Earmuffs', duration: 8, stacking: 'extend', maxDuration: 20, color: '#E91E63' },
+    rapidFire: { name: 'Rapid Fire', duration: 10, stacking: 'stack', maxStacks: 3, color: '#FF9800' },
+    slowMotion: { name: 'Slow Traffic', duration: 6, stacking: 'refresh', color: '#2196F3' },
+    magnet: { name: 'Magnet', duration: 12, stacking: 'extend', maxDuration: 24, color: '#9C27B0' },
+    tripleDrop: { name: 'Triple Drop', duration: 10, stacking: 'refresh', color: '#4CAF50' }
+};
+
+/**
+ * Relative chance of each power-up spawning, by the first wave the row applies to.
+ * Stronger power-ups only show up once traffic gets heavy.
+ * @type {Array<{fromWave: number, weights: Object.<string, number>}>}
+ */
+const POWERUP_SPAWN_WEIGHTS = [
+    { fromWave: 1, weights: { earmuffs: 3, rapidFire: 3, magnet: 2, slowMotion: 0, tripleDrop: 0 } },
+    { fromWave: 2, weights: { earmuffs: 3, rapidFire: 3, magnet: 2, slowMotion: 2, tripleDrop: 1 } },
+    { fromWave: 4, weights: { earmuffs: 4, rapidFire: 2, magnet: 2, slowMotion: 3, tripleDrop: 3 } }
+];
+
+/**
+ * A power-up waiting to be picked up
+ * @class
+ */
+class PowerupPickup {
+    /**
+     * Creates a new PowerupPickup instance
+     * @param {string} type - Key of POWERUP_TYPES
+     * @param {number} x - Center x position
+     * @param {number} y - Center y position
+     * @param {Object} visuals - Sprite collections shared with the game
+     */
+    constructor(type, x, y, visuals) {
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.visuals = visuals;
+        this.width = 30;
+        this.height = 30;
+        
+        // Disappears if not collected in time
+        this.lifespan = 10; // seconds
+        this.timeAlive = 0;
+    }
+    
+    /**
+     * Updates the pickup's lifetime
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @returns {boolean} True if the pickup is still active, false if it should be removed
+     */
+    update(deltaTime) {
+        this.timeAlive += deltaTime;
+        return this.timeAlive < this.lifespan;
+    }
+    
+    /**
+     * Draws the pickup on the canvas
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    draw(ctx) {
+        ctx.save();
+        
+        // Pulse gently, and blink during the last 3 seconds
+        const timeLeft = this.lifespan - this.timeAlive;
+        if (timeLeft < 3 && Math.floor(timeLeft * 6) % 2 === 0) {
+            ctx.globalAlpha = 0.4;
+        }
+        const pulse = 1 + 0.1 * Math.sin(this.timeAlive * 4);
+        const size = this.width * pulse;
+        
+        const sprite = this.visuals && this.visuals.powerups && this.visuals.powerups[this.type];
+        if (sprite) {
+            ctx.drawImage(sprite, this.x - size / 2, this.y - size / 2, size, size);
+        } else {
+            // Fallback drawing
+            ctx.fillStyle = POWERUP_TYPES[this.type].color;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(POWERUP_TYPES[this.type].name.charAt(0), this.x, this.y);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Checks if the bird has collided with this pickup
+     * @param {Object} bird - The bird object with x, y, width, height properties
+     * @returns {boolean} True if collision detected, false otherwise
+     */
+    checkCollision(bird) {
+        if (!bird) return false;
+        
+        return (
+            this.x - this.width/2 < bird.x + bird.width &&
+            this.x + this.width/2 > bird.x &&
+            this.y - this.height/2 < bird.y + bird.height &&
+            this.y + this.height/2 > bird.y
+        );
+    }
+}
+
+/**
+ * Manages game powerups and their effects: spawns pickups, runs the timers of
+ * collected power-ups and tells the game how they change the rules.
  * @class
  */
 class PowerupManager {
-    constructor() {
-        // To be implemented
+    /**
+     * Creates a new PowerupManager instance
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {number} canvasHeight - Height of the game canvas
+     * @param {Object} options - Optional settings
+     * @param {Random} options.rng - Random number generator shared with the game
+     * @param {Object} options.visuals - Sprite collections shared with the game
+     * @param {EventBus} options.events - Game event bus for power-ups starting and ending
+     */
+    constructor(canvasWidth = 800, canvasHeight = 400, options = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.rng = options.rng || new Random();
+        this.visuals = options.visuals || assets.visuals;
+        this.events = options.events || new EventBus();
+        
+        this.pickups = [];
+        this.active = new Map(); // type -> { remaining, duration, stacks }, in activation order
+        
+        // Pickup spawning
+        this.spawnTimer = 0;
+        this.spawnInterval = 12; // Seconds between pickup spawns
+        this.maxPickups = 1;
+        
+        // Effect strengths
+        this.rapidFireCooldownFactor = 0.6; // Per stack
+        this.slowMotionTimeScale = 0.5;
+        this.magnetRadius = 220;
+        this.magnetPullSpeed = 180; // pixels per second
+        this.tripleDropSpread = 30; // pixels between the three droppings
+    }
+    
+    /**
+     * Looks up the spawn weights that apply to a wave
+     * @param {number} wave - Current wave
+     * @returns {Object.<string, number>} Relative spawn chance per power-up type
+     */
+    static getSpawnWeights(wave) {
+        let weights = POWERUP_SPAWN_WEIGHTS[0].weights;
+        for (const row of POWERUP_SPAWN_WEIGHTS) {
+            if (wave >= row.fromWave) {
+                weights = row.weights;
+            }
+        }
+        return weights;
+    }
+    
+    /**
+     * Picks a power-up type for a wave according to the spawn weights
+     * @param {number} wave - Current wave
+     * @returns {string} Key of POWERUP_TYPES
+     */
+    chooseType(wave) {
+        const weights = PowerupManager.getSpawnWeights(wave);
+        const types = Object.keys(weights).filter(type => weights[type] > 0);
+        const total = types.reduce((sum, type) => sum + weights[type], 0);
+        
+        let roll = this.rng.next() * total;
+        for (const type of types) {
+            roll -= weights[type];
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+    
+    /**
+     * Places a new pickup at a random position
+     * @param {number} wave - Current wave, decides which power-ups can appear
+     * @param {string} type - Force a specific power-up instead of a weighted random one
+     * @returns {PowerupPickup} The new pickup
+     */
+    spawnPickup(wave, type = null) {
+        const pickupType = type || this.chooseType(wave);
+        const x = this.rng.next() * (this.canvasWidth - 100) + 50;
+        const y = this.rng.next() * (this.canvasHeight - 100) + 50;
+        
+        const pickup = new PowerupPickup(pickupType, x, y, this.visuals);
+        this.pickups.push(pickup);
+        return pickup;
+    }
+    
+    /**
+     * Starts a power-up, or applies its stacking rule if it's already running
+     * @param {string} type - Key of POWERUP_TYPES
+     */
+    activate(type) {
+        const definition = POWERUP_TYPES[type];
+        const current = this.active.get(type);
+        
+        if (!current) {
+            this.active.set(type, { remaining: definition.duration, duration: definition.duration, stacks: 1 });
+        } else if (definition.stacking === 'extend') {
+            current.remaining = Math.min(current.remaining + definition.duration, definition.maxDuration);
+            current.duration = Math.max(current.duration, current.remaining);
+        } else if (definition.stacking === 'stack') {
+            current.stacks = Math.min(current.stacks + 1, definition.maxStacks);
+            current.remaining = definition.duration;
+        } else {
+            current.remaining = definition.duration;
+        }
+        
+        const state = this.active.get(type);
+        this.events.emit(GameEvents.POWERUP_STARTED, { type, stacks: state.stacks, remaining: state.remaining });
+    }
+    
+    /**
+     * Updates timers, spawns and collects pickups and applies the magnet
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {Object} world - Game state the power-ups act on
+     * @param {number} world.wave - Current wave
+     * @param {Bird} world.bird - The bird
+     * @param {Array<Food>} world.foods - Food items the magnet pulls in
+     */
+    update(deltaTime, world) {
+        const { wave, bird, foods = [] } = world;
+        
+        // Run down active power-ups
+        for (const [type, state] of this.active) {
+            state.remaining -= deltaTime;
+            if (state.remaining <= 0) {
+                this.active.delete(type);
+                this.events.emit(GameEvents.POWERUP_ENDED, { type });
+            }
+        }
+        
+        // Spawn pickups
+        this.spawnTimer += deltaTime;
+        if (this.spawnTimer >= this.spawnInterval && this.pickups.length < this.maxPickups) {
+            this.spawnPickup(wave);
+            this.spawnTimer = 0;
+        }
+        
+        // Expire and collect pickups
+        this.pickups = this.pickups.filter(pickup => {
+            if (!pickup.update(deltaTime)) return false;
+            
+            if (pickup.checkCollision(bird)) {
+                this.activate(pickup.type);
+                return false;
+            }
+            return true;
+        });
+        
+        // Magnet pulls nearby food toward the bird
+        if (this.isActive('magnet')) {
+            const birdX = bird.x + bird.width / 2;
+            const birdY = bird.y + bird.height / 2;
+            
+            for (const food of foods) {
+                const dx = birdX - food.x;
+                const dy = birdY - food.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                
+                if (distance > 0 && distance < this.magnetRadius) {
+                    const step = Math.min(distance, this.magnetPullSpeed * deltaTime);
+                    food.x += (dx / distance) * step;
+                    food.y += (dy / distance) * step;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Checks whether a power-up is running
+     * @param {string} type - Key of POWERUP_TYPES
+     * @returns {boolean} True if active
+     */
+    isActive(type) {
+        return this.active.has(type);
+    }
+    
+    /**
+     * Multiplier for the bird's dropping cooldown (rapid-fire)
+     * @returns {number} 1 without rapid-fire, smaller with each stack
+     */
+    getDropCooldownMultiplier() {
+        const rapidFire = this.active.get('rapidFire');
+        return rapidFire ? Math.pow(this.rapidFireCooldownFactor, rapidFire.stacks) : 1;
+    }
+    
+    /**
+     * Time scale applied to traffic (slow-motion)
+     * @returns {number} 1 for normal speed, less while traffic is slowed
+     */
+    getTrafficTimeScale() {
+        return this.isActive('slowMotion') ? this.slowMotionTimeScale : 1;
+    }
+    
+    /**
+     * Whether honks currently hurt the bird (earmuffs block them)
+     * @returns {boolean} True if honk damage is blocked
+     */
+    blocksHonkDamage() {
+        return this.isActive('earmuffs');
+    }
+    
+    /**
+     * Horizontal offsets of the droppings released per drop (triple-drop)
+     * @returns {Array<number>} One offset per dropping, 0 is the bird's own
+     */
+    getDropOffsets() {
+        if (!this.isActive('tripleDrop')) return [0];
+        return [0, -this.tripleDropSpread, this.tripleDropSpread];
+    }
+    
+    /**
+     * Lists the running power-ups for the HUD
+     * @returns {Array<Object>} Type, name, color, remaining, duration and stacks, in activation order
+     */
+    getActive() {
+        return Array.from(this.active, ([type, state]) => ({
+            type,
+            name: POWERUP_TYPES[type].name,
+            color: POWERUP_TYPES[type].color,
+            ...state
+        }));
+    }
+    
+    /**
+     * Draws the pickups waiting to be collected
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    draw(ctx) {
+        for (const pickup of this.pickups) {
+            pickup.draw(ctx);
+        }
     }
 }
 
+/**
+ * Special dropping ammo each food gives, see DROPPING_TYPES in bird.js.
+ * Foods not listed give none.
+ * @type {Object.<string, {type: string, amount: number}>}
+ */
+const FOOD_AMMO = {
+    apple: { type: 'spread', amount: 2 },
+    carrot: { type: 'spread', amount: 2 },
+    cherry: { type: 'spread', amount: 3 },
+    strawberry: { type: 'spread', amount: 3 },
+    watermelon: { type: 'spread', amount: 4 },
+    egg: { type: 'sticky', amount: 2 },
+    ham: { type: 'sticky', amount: 2 },
+    fries: { type: 'homing', amount: 2 },
+    sushi: { type: 'homing', amount: 2 },
+    burger: { type: 'bomb', amount: 1 },
+    pizza: { type: 'bomb', amount: 1 }
+};
+
 /**
  * Represents a food item that can be consumed by the bird for power-ups
  * @class
@@ -17,12 +375,16 @@ class Food {
      * Creates a new Food instance
      * @param {number} canvasWidth - Width of the game canvas
      * @param {number} canvasHeight - Height of the game canvas
+     * @param {Object} options - Optional settings
+     * @param {Random} options.rng - Random number generator shared with the game
      */
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, options = {}) {
         // Set canvas dimensions for reference
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
+        const rng = options.rng || new Random();
+        
         // Available food types from the assets folder
         const types = [
             'apple', 'burger', 'carrot', 'cherry', 'egg', 
@@ -30,18 +392,21 @@ class Food {
         ];
         
         // Randomly select food type
-        this.type = types[Math.floor(Math.random() * types.length)];
+        this.type = rng.pick(types);
         
         // Set belly points based on type
         this.bellyPoints = this.getBellyPoints(this.type);
         
+        // Special dropping ammo the bird gets from eating it
+        this.ammo = FOOD_AMMO[this.type] || null;
+        
         // Set size based on type (can be adjusted based on sprite dimensions)
         this.width = 30;
         this.height = 30;
         
         // Set random position (keeping away from edges)
-        this.x = Math.random() * (canvasWidth - 100) + 50;
-        this.y = Math.random() * (canvasHeight - 100) + 50;
+        this.x = rng.next() * (canvasWidth - 100) + 50;
+        this.y = rng.next() * (canvasHeight - 100) + 50;
         
         // Set lifespan for despawning if not consumed
         this.lifespan = 15; // seconds
@@ -187,5 +552,5 @@ class Food {
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PowerupManager, Food };
+    module.exports = { POWERUP_TYPES, POWERUP_SPAWN_WEIGHTS, FOOD_AMMO, PowerupPickup, PowerupManager, Food };
 } 
\ No newline at end of file
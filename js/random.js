@@ -0,0 +1,102 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * A Game owns one instance and passes it to every spawner, so the same seed
+ * reproduces the same run. Without a seed it falls back to Math.random().
+ * @class
+ */
+class Random {
+    /**
+     * Creates a new Random instance
+     * @param {number} [seed] - 32-bit integer seed; omit for an unseeded Math.random() generator
+     */
+    constructor(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : null;
+        this.state = this.seed;
+    }
+
+    /**
+     * Creates a fresh seed for a new run
+     * @returns {number} A random 32-bit unsigned integer
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Converts a user supplied seed (e.g. from the URL) into a numeric seed.
+     * Numbers are used as-is, any other text (like a date for daily challenges) is hashed.
+     * @param {string|number} value - Seed value
+     * @returns {number} A 32-bit unsigned integer seed
+     */
+    static parseSeed(value) {
+        if (typeof value === 'number') return value >>> 0;
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        // FNV-1a hash of the text
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Returns the next random number
+     * @returns {number} Float in the range [0, 1)
+     */
+    next() {
+        if (this.state === null) {
+            return Math.random();
+        }
+
+        let t = (this.state = (this.state + 0x6D2B79F5) | 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a random float between min (inclusive) and max (exclusive)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns a random integer between 0 (inclusive) and max (exclusive)
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Chance between 0 and 1
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} A random element, or undefined for an empty array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Random };
+}
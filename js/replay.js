@@ -0,0 +1,343 @@
+/** @type {Object.<string, number>} Bit flags used to store one tick of input in a single number */
+const INPUT_BITS = {
+    left: 1,
+    right: 2,
+    up: 4,
+    down: 8,
+    drop: 16,
+    cycle: 32
+};
+
+/** @type {Array<string>} Actions triggered by a key press rather than held */
+const ONE_SHOT_ACTIONS = ['drop', 'cycle'];
+
+/**
+ * Packs an input frame into a bitmask
+ * @param {Object} input - Input frame with left, right, up, down, drop and cycle flags
+ * @returns {number} Bitmask
+ */
+function encodeInput(input) {
+    let bits = 0;
+    for (const action in INPUT_BITS) {
+        if (input[action]) bits |= INPUT_BITS[action];
+    }
+    return bits;
+}
+
+/**
+ * Unpacks a bitmask into an input frame
+ * @param {number} bits - Bitmask created by encodeInput()
+ * @returns {Object} Input frame with left, right, up, down, drop and cycle flags
+ */
+function decodeInput(bits) {
+    const input = {};
+    for (const action in INPUT_BITS) {
+        input[action] = (bits & INPUT_BITS[action]) !== 0;
+    }
+    return input;
+}
+
+/**
+ * Collects keyboard input between simulation ticks.
+ * Held directions are sampled as-is, a drop or cycle press is delivered to exactly one tick.
+ * @class
+ */
+class InputState {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Registers a key press
+     * @param {string} action - 'left', 'right', 'up', 'down', 'drop' or 'cycle'
+     */
+    press(action) {
+        if (ONE_SHOT_ACTIONS.includes(action)) {
+            this.pressed[action] = true;
+        } else {
+            this.held[action] = true;
+        }
+    }
+
+    /**
+     * Registers a key release
+     * @param {string} action - 'left', 'right', 'up' or 'down'
+     */
+    release(action) {
+        if (!ONE_SHOT_ACTIONS.includes(action)) {
+            this.held[action] = false;
+        }
+    }
+
+    /**
+     * Releases every key (e.g. when the game is paused)
+     */
+    reset() {
+        this.held = { left: false, right: false, up: false, down: false };
+        this.pressed = { drop: false, cycle: false };
+    }
+
+    /**
+     * Returns the input for the next tick and consumes any pending drop or cycle press
+     * @returns {Object} Input frame with left, right, up, down, drop and cycle flags
+     */
+    sample() {
+        const input = { ...this.held, ...this.pressed };
+        this.pressed = { drop: false, cycle: false };
+        return input;
+    }
+}
+
+/**
+ * A recorded run: the seed plus every change of input, keyed by simulation tick
+ * @class
+ */
+class Replay {
+    /**
+     * Creates a new Replay instance
+     * @param {Object} data - Replay data
+     * @param {number} data.seed - Seed the run was played with
+     * @param {number} data.wind - Wind the run was played with
+     * @param {string} data.road - Road layout the run was played on
+     * @param {number} data.step - Fixed simulation step in seconds
+     * @param {Array<Array<number>>} data.events - [tick, inputBits] pairs, only when input changed
+     * @param {Array<number>} data.pauses - Ticks at which the player paused
+     * @param {number} data.finalTick - Tick count when the recording ended
+     * @param {number} data.finalScore - Score at the end of the run
+     * @param {number} data.finalWave - Wave reached at the end of the run
+     */
+    constructor(data) {
+        this.version = data.version || Replay.VERSION;
+        this.seed = data.seed;
+        this.wind = data.wind;
+        this.road = data.road;
+        this.step = data.step;
+        this.events = data.events || [];
+        this.pauses = data.pauses || [];
+        this.finalTick = data.finalTick || 0;
+        this.finalScore = data.finalScore || 0;
+        this.finalWave = data.finalWave || 1;
+    }
+
+    /**
+     * Parses a replay saved with toJSON()
+     * @param {string} text - JSON text
+     * @returns {Replay} The parsed replay
+     * @throws {Error} If the text is not a supported replay
+     */
+    static fromJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || typeof data.seed !== 'number' || typeof data.wind !== 'number' ||
+            typeof data.road !== 'string' || !Array.isArray(data.events)) {
+            throw new Error('Not a Honk Patrol replay file');
+        }
+        if (data.version > Replay.VERSION) {
+            throw new Error(`Replay version ${data.version} is newer than this game supports`);
+        }
+        return new Replay(data);
+    }
+
+    /**
+     * Serializes the replay so it can be attached to a bug report
+     * @returns {Object} Plain replay data
+     */
+    toJSON() {
+        return {
+            version: this.version,
+            seed: this.seed,
+            wind: this.wind,
+            road: this.road,
+            step: this.step,
+            events: this.events,
+            pauses: this.pauses,
+            finalTick: this.finalTick,
+            finalScore: this.finalScore,
+            finalWave: this.finalWave
+        };
+    }
+}
+
+Replay.VERSION = 1;
+
+/**
+ * Records the per-tick input of a live game
+ * @class
+ */
+class InputRecorder {
+    /**
+     * Creates a new InputRecorder instance
+     * @param {number} seed - Seed of the game being recorded
+     * @param {number} wind - Wind of the game being recorded
+     * @param {string} road - Road layout of the game being recorded
+     */
+    constructor(seed, wind = 0, road = 'city') {
+        this.seed = seed;
+        this.wind = wind;
+        this.road = road;
+        this.step = null;
+        this.events = [];
+        this.pauses = [];
+        this.lastBits = 0;
+    }
+
+    /**
+     * Records the input applied on a tick
+     * @param {number} tick - Simulation tick the input is applied to
+     * @param {Object} input - Input frame
+     * @param {number} step - Fixed simulation step in seconds
+     */
+    record(tick, input, step) {
+        if (this.step === null) {
+            this.step = step;
+        }
+
+        // Only store changes; unchanged ticks repeat the previous input
+        const bits = encodeInput(input);
+        if (bits !== this.lastBits) {
+            this.events.push([tick, bits]);
+            this.lastBits = bits;
+        }
+    }
+
+    /**
+     * Marks that the player paused the game
+     * @param {number} tick - Simulation tick at which the game was paused
+     */
+    markPause(tick) {
+        this.pauses.push(tick);
+    }
+
+    /**
+     * Builds the replay for the recorded game
+     * @param {Game} game - The recorded game
+     * @returns {Replay} The finished replay
+     */
+    finish(game) {
+        return new Replay({
+            seed: this.seed,
+            wind: this.wind,
+            road: this.road,
+            step: this.step,
+            events: this.events.slice(),
+            pauses: this.pauses.slice(),
+            finalTick: game.tick,
+            finalScore: game.score,
+            finalWave: game.wave
+        });
+    }
+}
+
+/**
+ * Plays a replay back by feeding the recorded input into a fresh game
+ * @class
+ */
+class ReplayPlayer {
+    /**
+     * Creates a new ReplayPlayer instance
+     * @param {Replay} replay - The replay to play
+     * @param {function(number, Object): Game} createGame - Creates a game for the given seed and options (wind, road)
+     */
+    constructor(replay, createGame) {
+        this.replay = replay;
+        this.createGame = createGame;
+        this.game = null;
+        this.restart();
+    }
+
+    /**
+     * Starts playback from the first tick with a fresh game
+     */
+    restart() {
+        if (this.game) {
+            this.game.destroy();
+        }
+        this.game = this.createGame(this.replay.seed, { wind: this.replay.wind, road: this.replay.road });
+        this.cursor = 0;
+        this.bits = 0;
+    }
+
+    /**
+     * Whether playback has reached the end of the recording
+     * @returns {boolean} True when there is nothing left to play
+     */
+    isFinished() {
+        return this.game.tick >= this.replay.finalTick || this.game.bird.isDead;
+    }
+
+    /**
+     * Advances the game by one recorded tick
+     */
+    step() {
+        const events = this.replay.events;
+        const tick = this.game.tick;
+
+        while (this.cursor < events.length && events[this.cursor][0] <= tick) {
+            this.bits = events[this.cursor][1];
+            this.cursor++;
+        }
+
+        this.game.applyInput(decodeInput(this.bits));
+        this.game.update(this.replay.step);
+    }
+
+    /**
+     * Jumps to the start of a wave by re-simulating the run
+     * @param {number} wave - Wave to seek to
+     */
+    seekToWave(wave) {
+        // The simulation only runs forward, so seeking back means replaying from the start
+        if (wave <= this.game.wave) {
+            this.restart();
+        }
+
+        // Skipped time stays silent
+        const audio = this.game.audio;
+        const wasMuted = audio.muted;
+        audio.muted = true;
+
+        while (!this.isFinished() && this.game.wave < wave) {
+            this.step();
+        }
+
+        audio.muted = wasMuted;
+    }
+
+    /**
+     * Checks whether the player paused on the given tick
+     * @param {number} tick - Simulation tick
+     * @returns {boolean} True if the recording has a pause marker on that tick
+     */
+    wasPausedAt(tick) {
+        return this.replay.pauses.includes(tick);
+    }
+}
+
+/**
+ * Offers a replay as a JSON download (browser only)
+ * @param {Replay} replay - The replay to save
+ */
+function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `honk-patrol-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INPUT_BITS,
+        encodeInput,
+        decodeInput,
+        InputState,
+        Replay,
+        InputRecorder,
+        ReplayPlayer,
+        downloadReplay
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * Road layouts the game can be played on. Lanes are listed from the top of the screen down.
+ * Each lane has:
+ *   direction  - which way traffic drives in it: 'left', 'right' or 'both'
+ *   spawn      - new regular traffic enters the road in this lane
+ *   emergency  - reserved for emergency vehicles; other drivers only use it to get around a blockage
+ *   speedLimit - highest speed drivers want to go in the lane, pixels per second (no limit if omitted)
+ * A layout may also put a median divider below lane `medianAfter`; nobody crosses it,
+ * and list `intersections`: traffic-light crossings, as fractions of the road's length.
+ * Lanes must be at least 30 pixels tall, the height of every vehicle, or neighbours will touch.
+ * @type {Object.<string, Object>}
+ */
+const ROAD_LAYOUTS = {
+    // Two-way street: both directions share every lane, with an overtaking lane and two emergency lanes
+    city: {
+        laneHeight: 40,
+        intersections: [0.5],
+        lanes: [
+            { direction: 'both', emergency: true },
+            { direction: 'both', spawn: true },
+            { direction: 'both', spawn: true },
+            { direction: 'both', spawn: true },
+            { direction: 'both' },
+            { direction: 'both', emergency: true }
+        ]
+    },
+    // One-way street: everybody drives right, with a slow delivery lane at the kerb
+    oneWay: {
+        laneHeight: 40,
+        intersections: [0.35, 0.75],
+        lanes: [
+            { direction: 'right', emergency: true },
+            { direction: 'right', spawn: true },
+            { direction: 'right', spawn: true },
+            { direction: 'right', spawn: true },
+            { direction: 'right', spawn: true, speedLimit: 80 }
+        ]
+    },
+    // Divided highway: four lanes each way with a hard shoulder on the outside and the fast lanes by the median
+    highway: {
+        laneHeight: 30,
+        medianAfter: 3,
+        medianHeight: 12,
+        lanes: [
+            { direction: 'left', emergency: true },
+            { direction: 'left', spawn: true, speedLimit: 110 },
+            { direction: 'left', spawn: true },
+            { direction: 'left' },
+            { direction: 'right' },
+            { direction: 'right', spawn: true },
+            { direction: 'right', spawn: true, speedLimit: 110 },
+            { direction: 'right', emergency: true }
+        ]
+    }
+};
+
+/**
+ * The road vehicles drive on: where its lanes are, which way each one goes
+ * and who may use it. Spawning, lane changes and drawing all read from here.
+ * @class
+ */
+class Road {
+    static DEFAULT_LAYOUT = 'city';
+
+    /**
+     * Creates a new Road instance
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {number} canvasHeight - Height of the game canvas
+     * @param {string} layout - Name of a layout in ROAD_LAYOUTS
+     * @throws {Error} If the layout is unknown
+     */
+    constructor(canvasWidth, canvasHeight, layout = Road.DEFAULT_LAYOUT) {
+        const definition = ROAD_LAYOUTS[layout];
+        if (!definition) {
+            throw new Error(`Unknown road layout: ${layout}`);
+        }
+
+        this.layout = layout;
+        this.width = canvasWidth;
+        this.laneHeight = definition.laneHeight;
+        this.medianAfter = typeof definition.medianAfter === 'number' ? definition.medianAfter : null;
+        this.medianHeight = this.medianAfter === null ? 0 : definition.medianHeight;
+        this.intersectionPositions = (definition.intersections || []).map(position => position * canvasWidth);
+
+        // Position road in middle with more sky view
+        this.top = canvasHeight / 2 - 75;
+
+        this.lanes = definition.lanes.map((lane, index) => {
+            const top = this.top + index * this.laneHeight +
+                (this.medianAfter !== null && index > this.medianAfter ? this.medianHeight : 0);
+            return {
+                index,
+                top,
+                centerY: top + this.laneHeight / 2,
+                direction: lane.direction,
+                spawn: !!lane.spawn,
+                emergency: !!lane.emergency,
+                speedLimit: lane.speedLimit || Infinity
+            };
+        });
+
+        this.totalLanes = this.lanes.length;
+        this.bottom = this.top + this.totalLanes * this.laneHeight + this.medianHeight;
+        this.height = this.bottom - this.top;
+    }
+
+    /**
+     * Y coordinate vehicles in a lane drive along
+     * @param {number} lane - Lane index
+     * @returns {number} Center of the lane
+     */
+    getLaneCenterY(lane) {
+        return this.lanes[lane].centerY;
+    }
+
+    /**
+     * Whether traffic going the given way may drive in a lane
+     * @param {number} lane - Lane index
+     * @param {string} direction - 'left' or 'right'
+     * @returns {boolean} True if the lane exists and goes that way
+     */
+    allowsDirection(lane, direction) {
+        const definition = this.lanes[lane];
+        return !!definition && (definition.direction === 'both' || definition.direction === direction);
+    }
+
+    /**
+     * @param {number} lane - Lane index
+     * @returns {boolean} True if the lane is reserved for emergency vehicles
+     */
+    isEmergencyLane(lane) {
+        return !!this.lanes[lane] && this.lanes[lane].emergency;
+    }
+
+    /**
+     * @param {number} lane - Lane index
+     * @returns {boolean} True if new traffic enters in the lane; drivers prefer these lanes
+     */
+    isSpawnLane(lane) {
+        return !!this.lanes[lane] && this.lanes[lane].spawn;
+    }
+
+    /**
+     * @param {number} lane - Lane index
+     * @returns {number} Speed limit of the lane in pixels per second (Infinity if there is none)
+     */
+    getSpeedLimit(lane) {
+        return this.lanes[lane] ? this.lanes[lane].speedLimit : Infinity;
+    }
+
+    /**
+     * Directions in which new traffic can enter the road
+     * @returns {Array<string>} 'left' and/or 'right'
+     */
+    getDirections() {
+        return ['left', 'right'].filter(direction => this.getSpawnLanes(direction).length > 0);
+    }
+
+    /**
+     * Lanes new regular traffic going the given way enters in
+     * @param {string} direction - 'left' or 'right'
+     * @returns {Array<number>} Lane indices, top to bottom
+     */
+    getSpawnLanes(direction) {
+        return this.lanes
+            .filter(lane => lane.spawn && this.allowsDirection(lane.index, direction))
+            .map(lane => lane.index);
+    }
+
+    /**
+     * Emergency lanes for traffic going the given way
+     * @param {string} direction - 'left' or 'right'
+     * @returns {Array<number>} Lane indices, top to bottom
+     */
+    getEmergencyLanes(direction) {
+        return this.lanes
+            .filter(lane => lane.emergency && this.allowsDirection(lane.index, direction))
+            .map(lane => lane.index);
+    }
+
+    /**
+     * Lanes a vehicle can move into from a lane, without crossing the median
+     * @param {number} lane - Lane index
+     * @param {string} direction - 'left' or 'right'
+     * @returns {Array<number>} Neighbouring lanes that go the vehicle's way
+     */
+    getNeighbourLanes(lane, direction) {
+        return [lane - 1, lane + 1].filter(neighbour =>
+            this.allowsDirection(neighbour, direction) && !this.isMedianBetween(lane, neighbour));
+    }
+
+    /**
+     * @param {number} lane - Lane index
+     * @param {number} otherLane - Lane index next to it
+     * @returns {boolean} True if the median divider separates the two lanes
+     */
+    isMedianBetween(lane, otherLane) {
+        return this.medianAfter !== null && Math.min(lane, otherLane) === this.medianAfter &&
+            Math.max(lane, otherLane) === this.medianAfter + 1;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ROAD_LAYOUTS, Road };
+}
@@ -0,0 +1,856 @@
+/**
+ * Base class for a game screen (title, playing, paused, ...)
+ * Each screen owns its own update, draw and input handling.
+ * @class
+ */
+class Screen {
+    /**
+     * Creates a new Screen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Called when the screen becomes active
+     */
+    enter() {}
+
+    /**
+     * Called when the screen stops being active
+     */
+    exit() {}
+
+    /**
+     * Updates the screen state
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {}
+
+    /**
+     * Draws the screen
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    draw(ctx, alpha) {}
+
+    /**
+     * @returns {string} How the music sounds on this screen: 'action', 'calm' or 'off' (see Music.update())
+     */
+    getMusicMood() {
+        return 'off';
+    }
+
+    /**
+     * Handles keyboard down events
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {}
+
+    /**
+     * Handles keyboard up events
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyUp(event) {}
+}
+
+/**
+ * Formats a byte count for the loading screen
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Size in KB or MB
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Loading screen shown while the asset manifest is loaded.
+ * Shows file and byte progress, then a report of anything that failed and the
+ * fallback used for it. In strict mode the game won't start while a required
+ * asset is missing.
+ * @class
+ */
+class LoadingScreen extends Screen {
+    /**
+     * Creates a new LoadingScreen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     * @param {Object} options - Loading options
+     * @param {function(function(AssetLoadProgress): void): Promise<AssetLoadReport>} options.load - Loads the assets, reporting progress
+     * @param {boolean} options.strict - Refuse to start when required assets are missing
+     */
+    constructor(manager, options = {}) {
+        super(manager);
+        this.load = options.load || ((onProgress) => preloadAssets(ASSET_MANIFEST_URL, { onProgress }));
+        this.strict = options.strict === true;
+        this.progress = { filesLoaded: 0, filesTotal: 0, bytesLoaded: 0, bytesTotal: 0 };
+        this.report = null;
+    }
+
+    enter() {
+        this.load((progress) => {
+            this.progress = progress;
+        }).catch((error) => ({
+            results: [], failures: [], missingRequired: [], error: error.message
+        })).then((report) => {
+            this.report = report;
+
+            // Nothing worth reading, go straight to the title screen
+            if (!this.needsAttention()) {
+                this.manager.change(new TitleScreen(this.manager));
+            }
+        });
+    }
+
+    /**
+     * Whether the load report should be shown before starting
+     * @returns {boolean} True if the manifest or a non-optional asset failed
+     */
+    needsAttention() {
+        return Boolean(this.report.error) || this.report.failures.some(failure => !failure.optional);
+    }
+
+    /**
+     * Whether the player may start the game despite the failures
+     * @returns {boolean} False in strict mode when the manifest or a required asset is missing
+     */
+    canContinue() {
+        if (!this.strict) return true;
+        return !this.report.error && this.report.missingRequired.length === 0;
+    }
+
+    draw(ctx) {
+        const canvas = this.manager.canvas;
+
+        ctx.save();
+
+        // Sky blue background
+        ctx.fillStyle = '#87CEEB';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 36px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('HONK PATROL', canvas.width / 2, 50);
+        ctx.strokeText('HONK PATROL', canvas.width / 2, 50);
+
+        if (this.report) {
+            this.drawReport(ctx, canvas);
+        } else {
+            this.drawProgress(ctx, canvas);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws the progress bar with file and byte counts
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {HTMLCanvasElement} canvas - The game canvas
+     */
+    drawProgress(ctx, canvas) {
+        const { filesLoaded, filesTotal, bytesLoaded, bytesTotal } = this.progress;
+        const barWidth = 400;
+        const barHeight = 24;
+        const barX = (canvas.width - barWidth) / 2;
+        const barY = canvas.height / 2 - barHeight / 2;
+        const fraction = filesTotal > 0 ? filesLoaded / filesTotal : 0;
+
+        ctx.fillStyle = '#000';
+        ctx.font = 'bold 24px Arial';
+        ctx.fillText('Loading assets...', canvas.width / 2, barY - 30);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillRect(barX, barY, barWidth * fraction, barHeight);
+        ctx.strokeStyle = '#000';
+        ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+        ctx.fillStyle = '#000';
+        ctx.font = '18px Arial';
+        ctx.fillText(
+            `${filesLoaded} / ${filesTotal} files  -  ${formatBytes(bytesLoaded)} of ${formatBytes(bytesTotal)}`,
+            canvas.width / 2,
+            barY + barHeight + 25
+        );
+    }
+
+    /**
+     * Draws which assets failed, the fallback used for each and how to go on
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {HTMLCanvasElement} canvas - The game canvas
+     */
+    drawReport(ctx, canvas) {
+        const maxLines = 8;
+        let y = 100;
+
+        ctx.fillStyle = '#000';
+        ctx.font = 'bold 24px Arial';
+        ctx.fillText(this.canContinue() ? 'Some assets failed to load' : 'Required assets are missing', canvas.width / 2, y);
+        y += 35;
+
+        ctx.font = '16px Arial';
+        if (this.report.error) {
+            ctx.fillText(this.report.error, canvas.width / 2, y);
+            y += 22;
+        }
+
+        for (const failure of this.report.failures.slice(0, maxLines)) {
+            ctx.fillStyle = failure.required ? '#B00020' : '#000';
+            const label = failure.required ? `${failure.name} (required)` : failure.name;
+            ctx.fillText(
+                `${label}: ${failure.failed.length} of ${failure.total} files failed - using ${failure.fallback}`,
+                canvas.width / 2,
+                y
+            );
+            y += 22;
+        }
+
+        if (this.report.failures.length > maxLines) {
+            ctx.fillStyle = '#000';
+            ctx.fillText(`...and ${this.report.failures.length - maxLines} more (see console)`, canvas.width / 2, y);
+        }
+
+        ctx.fillStyle = '#000';
+        ctx.font = 'bold 20px Arial';
+        const footer = this.canContinue()
+            ? 'Press ENTER to continue anyway'
+            : 'Strict mode: restore the missing files and reload';
+        ctx.fillText(footer, canvas.width / 2, canvas.height - 40);
+    }
+
+    handleKeyDown(event) {
+        if (this.report && this.canContinue() && event.key === 'Enter') {
+            this.manager.change(new TitleScreen(this.manager));
+        }
+        event.preventDefault();
+    }
+}
+
+/**
+ * Title screen shown before the first game
+ * @class
+ */
+class TitleScreen extends Screen {
+    draw(ctx) {
+        const canvas = this.manager.canvas;
+
+        ctx.save();
+
+        // Sky blue background
+        ctx.fillStyle = '#87CEEB';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Draw title
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 48px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const title = 'HONK PATROL';
+        ctx.fillText(title, canvas.width / 2, canvas.height / 2 - 50);
+        ctx.strokeText(title, canvas.width / 2, canvas.height / 2 - 50);
+
+        // Draw instructions
+        ctx.fillStyle = '#000';
+        ctx.font = 'bold 36px Arial';
+        ctx.fillText('Use arrow keys to move the bird', canvas.width / 2, canvas.height / 2);
+        ctx.fillText('Press SPACE to drop on honking vehicles', canvas.width / 2, canvas.height / 2 + 30);
+        ctx.fillText('Collect food to power up your droppings', canvas.width / 2, canvas.height / 2 + 60);
+        ctx.fillText('Press P to pause and set the volume', canvas.width / 2, canvas.height / 2 + 90);
+
+        ctx.font = 'bold 24px Arial';
+        ctx.fillText('Press any key to start', canvas.width / 2, canvas.height / 2 + 140);
+
+        ctx.restore();
+    }
+
+    handleKeyDown(event) {
+        this.manager.startNewGame();
+        event.preventDefault();
+    }
+}
+
+/** @type {Object.<string, string>} Arrow keys mapped to input actions */
+const ARROW_KEY_ACTIONS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down'
+};
+
+/**
+ * Main gameplay screen, drives the Game simulation
+ * @class
+ */
+class PlayingScreen extends Screen {
+    enter() {
+        // Remember the wave we entered on so a wave change can trigger the intermission
+        this.currentWave = this.manager.game.wave;
+    }
+
+    update(deltaTime) {
+        const game = this.manager.game;
+
+        // Keys only change the input state; it is applied (and recorded) once per tick
+        const input = this.manager.input.sample();
+        this.manager.recorder.record(game.tick, input, deltaTime);
+        game.applyInput(input);
+        game.update(deltaTime);
+
+        if (game.bird.isDead) {
+            this.manager.change(new GameOverScreen(this.manager));
+        } else if (game.wave !== this.currentWave) {
+            this.manager.change(new WaveIntermissionScreen(this.manager));
+        }
+    }
+
+    draw(ctx, alpha) {
+        this.manager.game.draw(alpha);
+    }
+
+    getMusicMood() {
+        return 'action';
+    }
+
+    handleKeyDown(event) {
+        const input = this.manager.input;
+
+        if (ARROW_KEY_ACTIONS[event.key]) {
+            input.press(ARROW_KEY_ACTIONS[event.key]);
+            event.preventDefault();
+            return;
+        }
+
+        switch (event.key) {
+            case ' ':
+                input.press('drop');
+                event.preventDefault();
+                break;
+            case 'c':
+            case 'C':
+                input.press('cycle');
+                event.preventDefault();
+                break;
+            case 'p':
+            case 'P':
+                this.manager.recorder.markPause(this.manager.game.tick);
+                this.manager.change(new PausedScreen(this.manager));
+                event.preventDefault();
+                break;
+        }
+    }
+
+    handleKeyUp(event) {
+        if (ARROW_KEY_ACTIONS[event.key]) {
+            this.manager.input.release(ARROW_KEY_ACTIONS[event.key]);
+        }
+    }
+}
+
+/**
+ * Pause overlay drawn on top of the frozen game, with the sound settings
+ * @class
+ */
+class PausedScreen extends Screen {
+    // Sound options switched on and off below the volume bars
+    static TOGGLES = [
+        {
+            // Whether honks and effects sound dull and distant as the bird's hearing suffers
+            label: 'Hearing loss', on: 'on', off: 'off',
+            isOn: (mixer) => mixer.isMuffleEnabled(),
+            set: (mixer, on) => mixer.setMuffleEnabled(on)
+        },
+        {
+            // Whether synthesized horns play alongside the recorded honks, not just in their place
+            label: 'Synth horns', on: 'mixed in', off: 'only as fallback',
+            isOn: (mixer) => mixer.isSynthHornsEnabled(),
+            set: (mixer, on) => mixer.setSynthHornsEnabled(on)
+        }
+    ];
+
+    /**
+     * Creates a new PausedScreen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     */
+    constructor(manager) {
+        super(manager);
+        this.selectedRow = 0; // Setting the arrow keys change: a bus of Mixer.BUSES, then the toggles
+    }
+
+    enter() {
+        // Keys released while paused never reach the input state, so release everything now
+        this.manager.input.reset();
+        this.manager.game.bird.stopAllMovement();
+    }
+
+    getMusicMood() {
+        return 'calm';
+    }
+
+    draw(ctx) {
+        const canvas = this.manager.canvas;
+        const mixer = this.manager.audio.mixer;
+        const centerX = canvas.width / 2;
+        const top = canvas.height / 2 - 110;
+        this.manager.game.draw();
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 36px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('PAUSED', centerX, top);
+        ctx.font = '18px Arial';
+        ctx.fillText('Press P to continue', centerX, top + 40);
+
+        // One volume bar per bus, the selected one highlighted
+        const busCount = Object.keys(Mixer.BUSES).length;
+        const rowY = (row) => top + 80 + row * 26;
+        Object.entries(Mixer.BUSES).forEach(([name, bus], i) => {
+            const y = rowY(i);
+            const selected = i === this.selectedRow;
+            const muted = mixer.isMuted(name);
+
+            ctx.fillStyle = selected ? '#ffeb3b' : 'white';
+            ctx.textAlign = 'right';
+            ctx.fillText(bus.label, centerX - 70, y);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.fillRect(centerX - 55, y - 6, 150, 12);
+            ctx.fillStyle = muted ? '#9e9e9e' : (selected ? '#ffeb3b' : 'white');
+            ctx.fillRect(centerX - 55, y - 6, 150 * mixer.getVolume(name), 12);
+
+            ctx.fillStyle = selected ? '#ffeb3b' : 'white';
+            ctx.textAlign = 'left';
+            ctx.fillText(muted ? 'muted' : `${Math.round(mixer.getVolume(name) * 100)}%`, centerX + 105, y);
+        });
+
+        PausedScreen.TOGGLES.forEach((toggle, i) => {
+            const y = rowY(busCount + i);
+            ctx.fillStyle = this.selectedRow === busCount + i ? '#ffeb3b' : 'white';
+            ctx.textAlign = 'right';
+            ctx.fillText(toggle.label, centerX - 70, y);
+            ctx.textAlign = 'left';
+            ctx.fillText(toggle.isOn(mixer) ? toggle.on : toggle.off, centerX - 55, y);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Arial';
+        ctx.fillText('UP/DOWN choose, LEFT/RIGHT change, M mutes', centerX, rowY(busCount + PausedScreen.TOGGLES.length) + 10);
+        ctx.restore();
+    }
+
+    handleKeyDown(event) {
+        const mixer = this.manager.audio.mixer;
+        const busNames = Object.keys(Mixer.BUSES);
+        const rowCount = busNames.length + PausedScreen.TOGGLES.length;
+        const bus = busNames[this.selectedRow];
+        const toggle = PausedScreen.TOGGLES[this.selectedRow - busNames.length];
+
+        switch (event.key) {
+            case 'p':
+            case 'P':
+                this.manager.change(new PlayingScreen(this.manager));
+                break;
+            case 'ArrowUp':
+                this.selectedRow = (this.selectedRow + rowCount - 1) % rowCount;
+                break;
+            case 'ArrowDown':
+                this.selectedRow = (this.selectedRow + 1) % rowCount;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'm':
+            case 'M':
+                if (toggle) {
+                    toggle.set(mixer, !toggle.isOn(mixer));
+                } else if (event.key === 'm' || event.key === 'M') {
+                    mixer.setMuted(bus, !mixer.isMuted(bus));
+                } else {
+                    mixer.setVolume(bus, mixer.getVolume(bus) + (event.key === 'ArrowRight' ? 0.1 : -0.1));
+                    mixer.setMuted(bus, false);
+                }
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+}
+
+/**
+ * Short break between waves announcing the next wave
+ * @class
+ */
+class WaveIntermissionScreen extends Screen {
+    /**
+     * Creates a new WaveIntermissionScreen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     * @param {number} duration - Seconds before play resumes automatically
+     */
+    constructor(manager, duration = 2.5) {
+        super(manager);
+        this.duration = duration;
+        this.timer = 0;
+    }
+
+    enter() {
+        this.manager.input.reset();
+        this.manager.game.bird.stopAllMovement();
+        this.manager.music.playStinger('wave');
+    }
+
+    update(deltaTime) {
+        this.timer += deltaTime;
+        if (this.timer >= this.duration) {
+            this.manager.change(new PlayingScreen(this.manager));
+        }
+    }
+
+    getMusicMood() {
+        return 'calm';
+    }
+
+    draw(ctx) {
+        const canvas = this.manager.canvas;
+        this.manager.game.draw();
+
+        // Fade the banner out over the last half second
+        const opacity = Math.min(1, (this.duration - this.timer) / 0.5);
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, opacity);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(0, canvas.height / 2 - 50, canvas.width, 100);
+
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 48px Arial';
+        ctx.fillText(`WAVE ${this.manager.game.wave}`, canvas.width / 2, canvas.height / 2 - 10);
+        ctx.font = '18px Arial';
+        ctx.fillText('Press SPACE to start now', canvas.width / 2, canvas.height / 2 + 30);
+        ctx.restore();
+    }
+
+    handleKeyDown(event) {
+        if (event.key === ' ') {
+            this.manager.change(new PlayingScreen(this.manager));
+            event.preventDefault();
+        }
+    }
+}
+
+/**
+ * Game over screen with in-game restart
+ * @class
+ */
+class GameOverScreen extends Screen {
+    /**
+     * Creates a new GameOverScreen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     * @param {number} inputDelay - Seconds to ignore input so a held SPACE doesn't restart instantly
+     */
+    constructor(manager, inputDelay = 1.0) {
+        super(manager);
+        this.inputDelay = inputDelay;
+        this.timer = 0;
+    }
+
+    enter() {
+        this.manager.input.reset();
+        this.manager.game.bird.stopAllMovement();
+        this.manager.lastReplay = this.manager.recorder.finish(this.manager.game);
+
+        // Play game over sound, over the music falling away
+        this.manager.audio.play('ui', 'gameover');
+        this.manager.music.playStinger('gameOver');
+    }
+
+    update(deltaTime) {
+        this.timer += deltaTime;
+    }
+
+    draw(ctx) {
+        this.manager.game.draw();
+        this.manager.game.drawGameOverScreen();
+    }
+
+    handleKeyDown(event) {
+        if (this.timer < this.inputDelay) return;
+
+        switch (event.key) {
+            case ' ':
+            case 'Enter':
+                this.manager.startNewGame();
+                event.preventDefault();
+                break;
+            case 'r':
+            case 'R':
+                this.manager.watchReplay(this.manager.lastReplay);
+                event.preventDefault();
+                break;
+            case 's':
+            case 'S':
+                downloadReplay(this.manager.lastReplay);
+                event.preventDefault();
+                break;
+        }
+    }
+}
+
+/**
+ * Plays back a recorded run with play/pause, speed and wave seeking controls
+ * @class
+ */
+class ReplayScreen extends Screen {
+    /**
+     * Creates a new ReplayScreen instance
+     * @param {ScreenManager} manager - The manager that owns this screen
+     * @param {Replay} replay - The replay to watch
+     */
+    constructor(manager, replay) {
+        super(manager);
+        this.replay = replay;
+        this.player = null;
+        this.paused = false;
+        this.speed = 1;
+        this.pauseMarkerTimer = 0; // Shows where the player paused during the recorded run
+    }
+
+    enter() {
+        const { canvas, gameOptions } = this.manager;
+        this.player = new ReplayPlayer(this.replay, (seed, options) => new Game(canvas, { ...gameOptions, ...options, seed }));
+    }
+
+    exit() {
+        this.player.game.destroy();
+    }
+
+    update(deltaTime) {
+        this.pauseMarkerTimer = Math.max(0, this.pauseMarkerTimer - deltaTime);
+        if (this.paused) return;
+
+        // Faster playback runs several recorded ticks per real tick
+        for (let i = 0; i < this.speed && !this.player.isFinished(); i++) {
+            if (this.player.wasPausedAt(this.player.game.tick)) {
+                this.pauseMarkerTimer = 1;
+            }
+            this.player.step();
+        }
+    }
+
+    draw(ctx, alpha) {
+        const canvas = this.manager.canvas;
+        const game = this.player.game;
+        const finished = this.player.isFinished();
+
+        // Interpolation only lines up with a single step per tick
+        game.draw(this.paused || finished || this.speed !== 1 ? 1 : alpha);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, canvas.height - 36, canvas.width, 36);
+
+        ctx.fillStyle = 'white';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'left';
+        const state = finished ? 'END' : (this.paused ? 'PAUSED' : 'PLAYING');
+        const seconds = Math.floor(game.tick * this.replay.step);
+        ctx.fillText(`REPLAY ${state}  ${this.speed}x  Wave ${game.wave}/${this.replay.finalWave}  ${seconds}s`, 12, canvas.height - 18);
+
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText('SPACE play/pause   1/2/4 speed   [ ] wave   R restart   ESC exit', canvas.width - 12, canvas.height - 18);
+
+        if (this.pauseMarkerTimer > 0) {
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 24px Arial';
+            ctx.fillText('Player paused here', canvas.width / 2, 40);
+        }
+
+        if (finished) {
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 36px Arial';
+            ctx.fillText('END OF REPLAY', canvas.width / 2, canvas.height / 2);
+            ctx.font = '18px Arial';
+            ctx.fillText(`Recorded score: ${this.replay.finalScore}  Replayed score: ${game.score}`, canvas.width / 2, canvas.height / 2 + 40);
+        }
+        ctx.restore();
+    }
+
+    handleKeyDown(event) {
+        switch (event.key) {
+            case ' ':
+                this.paused = !this.paused;
+                break;
+            case '1':
+            case '2':
+            case '4':
+                this.speed = Number(event.key);
+                break;
+            case '[':
+                this.player.seekToWave(Math.max(1, this.player.game.wave - 1));
+                break;
+            case ']':
+                this.player.seekToWave(this.player.game.wave + 1);
+                break;
+            case 'r':
+            case 'R':
+                this.player.restart();
+                break;
+            case 'Escape':
+                this.manager.change(new TitleScreen(this.manager));
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+}
+
+/**
+ * Owns the active screen and the current Game instance
+ * @class
+ */
+class ScreenManager {
+    /**
+     * Creates a new ScreenManager instance
+     * @param {HTMLCanvasElement} canvas - The game canvas
+     * @param {Object} gameOptions - Options passed to every new Game (e.g. a fixed seed)
+     */
+    constructor(canvas, gameOptions = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.gameOptions = gameOptions;
+        this.game = null;
+        this.current = null;
+
+        // Screen sounds (start, game over) and the music play outside of any game
+        this.audio = new AudioPlayer(assets.sounds);
+        this.music = new Music({ audio: this.audio });
+
+        // Input is collected between ticks and recorded for replays
+        this.input = new InputState();
+        this.recorder = null;
+        this.lastReplay = null;
+    }
+
+    /**
+     * Switches to a new screen
+     * @param {Screen} screen - The screen to activate
+     */
+    change(screen) {
+        if (this.current) {
+            this.current.exit();
+        }
+        this.current = screen;
+        this.current.enter();
+    }
+
+    /**
+     * Tears down the current game (if any) and starts a fresh one.
+     * Assets stay loaded; only game state, audio and timers are rebuilt.
+     * @returns {Game} The new game instance
+     */
+    startNewGame() {
+        if (this.game) {
+            this.game.destroy();
+        }
+
+        this.game = new Game(this.canvas, this.gameOptions);
+        this.input.reset();
+        this.recorder = new InputRecorder(this.game.seed, this.game.wind, this.game.road.layout);
+        this.change(new PlayingScreen(this));
+
+        // Play start sound
+        this.audio.play('ui', 'start');
+        this.music.playStinger('wave');
+
+        return this.game;
+    }
+
+    /**
+     * Tears down the current game and plays back a replay instead
+     * @param {Replay} replay - The replay to watch
+     */
+    watchReplay(replay) {
+        if (this.game) {
+            this.game.destroy();
+            this.game = null;
+        }
+
+        this.change(new ReplayScreen(this, replay));
+    }
+
+    /**
+     * Updates the active screen and the music to match it
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.current) {
+            this.current.update(deltaTime);
+            this.music.update(deltaTime, this.current.getMusicMood(), this.game);
+        }
+    }
+
+    /**
+     * Draws the active screen
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    draw(alpha = 1) {
+        if (this.current) {
+            this.current.draw(this.ctx, alpha);
+        }
+    }
+
+    /**
+     * Forwards keyboard down events to the active screen
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        if (this.current) {
+            this.current.handleKeyDown(event);
+        }
+    }
+
+    /**
+     * Forwards keyboard up events to the active screen
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyUp(event) {
+        if (this.current) {
+            this.current.handleKeyUp(event);
+        }
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Screen,
+        LoadingScreen,
+        TitleScreen,
+        PlayingScreen,
+        PausedScreen,
+        WaveIntermissionScreen,
+        GameOverScreen,
+        ReplayScreen,
+        ScreenManager
+    };
+}
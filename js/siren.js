@@ -0,0 +1,144 @@
+/**
+ * An emergency vehicle's siren and light bar. The lights flash whenever the
+ * vehicle is on duty; the siren sounds while it is on its way, heard from
+ * where it is relative to the bird. Sirens are legitimate noise: drivers make way for them
+ * instead of getting irritated, and they hurt the bird's hearing less than honking.
+ * @class
+ */
+class Siren {
+    // Siren tuning
+    static SETTINGS = {
+        volume: 0.5,        // volume of the siren loop
+        flashRate: 4,       // light bar flashes per second
+        hearingRadius: 250, // pixels within which drivers hear it and the bird's hearing suffers
+        hearingDamage: 0.5, // hearing damage relative to honking
+        yieldBias: 40       // lane change gain for drivers getting out of a siren's way
+    };
+
+    /** @type {Siren|null} Siren whose sound is playing; they share one looping sound */
+    static playing = null;
+
+    /**
+     * Creates a new Siren instance
+     * @param {Vehicle} vehicle - The emergency vehicle it is mounted on
+     * @param {Object} options - Optional settings
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player shared with the game
+     */
+    constructor(vehicle, options = {}) {
+        this.vehicle = vehicle;
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.isSounding = false;
+        this.timer = 0; // Drives the light bar flashing
+        this.sound = null;
+    }
+
+    /**
+     * Switches the siren on or off, and keeps its sound following the vehicle
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {boolean} sounding - Whether the siren should be sounding
+     */
+    update(deltaTime, sounding) {
+        this.timer += deltaTime;
+
+        if (sounding !== this.isSounding) {
+            this.isSounding = sounding;
+            if (!sounding) {
+                this.stopSound();
+            }
+        }
+
+        // Take over the shared sound when no other siren is using it; a burst of effects mustn't cut it off
+        const { x, y } = this.vehicle;
+        if (this.isSounding && !Siren.playing) {
+            this.sound = this.audio.play('vehicles', 'siren', {
+                volume: Siren.SETTINGS.volume,
+                loop: true,
+                priority: 1,
+                ducks: true,
+                position: { x, y, radius: Siren.SETTINGS.hearingRadius }
+            });
+            if (this.sound) {
+                Siren.playing = this;
+            }
+        }
+
+        // Loud out to its hearing radius, like the damage it does
+        if (this.sound) {
+            this.audio.setPosition(this.sound, x, y, Siren.SETTINGS.hearingRadius);
+        }
+    }
+
+    /**
+     * Switches the siren off for good (the vehicle was hit, crashed or left the road)
+     */
+    stop() {
+        this.isSounding = false;
+        this.stopSound();
+    }
+
+    /**
+     * Stops the siren sound if this siren is the one playing it
+     */
+    stopSound() {
+        if (this.sound) {
+            this.audio.stop(this.sound);
+            this.sound = null;
+        }
+        if (Siren.playing === this) {
+            Siren.playing = null;
+        }
+    }
+
+    /**
+     * Whether a point is close enough to hear the siren
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean} True if the siren is sounding and in earshot
+     */
+    isHeardAt(x, y) {
+        if (!this.isSounding) return false;
+
+        const dx = this.vehicle.x - x;
+        const dy = this.vehicle.y - y;
+        return dx * dx + dy * dy < Siren.SETTINGS.hearingRadius * Siren.SETTINGS.hearingRadius;
+    }
+
+    /**
+     * Draws the light bar on the vehicle's roof, red and blue flashing in turn
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    draw(ctx) {
+        const { x, y, halfHeight } = this.vehicle;
+        const roofY = y - halfHeight - 3;
+        const redOn = Math.floor(this.timer * Siren.SETTINGS.flashRate * 2) % 2 === 0;
+
+        ctx.save();
+
+        // The bar itself
+        ctx.fillStyle = '#263238';
+        ctx.fillRect(x - 11, roofY - 3, 22, 6);
+
+        // Lamps, with a glow around the one that is lit
+        const lamps = [
+            { x: x - 6, color: '#ff1744', glow: 'rgba(255, 23, 68, 0.35)', lit: redOn },
+            { x: x + 6, color: '#2979ff', glow: 'rgba(41, 121, 255, 0.35)', lit: !redOn }
+        ];
+        for (const lamp of lamps) {
+            if (lamp.lit) {
+                ctx.fillStyle = lamp.glow;
+                ctx.beginPath();
+                ctx.arc(lamp.x, roofY, 12, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.fillStyle = lamp.lit ? lamp.color : '#424242';
+            ctx.fillRect(lamp.x - 4, roofY - 2, 8, 4);
+        }
+
+        ctx.restore();
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Siren };
+}
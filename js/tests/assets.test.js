@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    assets,
+    listManifestEntries,
+    loadManifestEntry,
+    setAssetAtPath,
+    getAssetAtPath
+} = require('../assets');
+
+describe('Asset Manifest', () => {
+    test('Lists single files, sprite sets and generated sprites', () => {
+        const manifest = {
+            sounds: {
+                effects: { splat: { src: 'sounds/effects/splat.wav', volume: 0.5 } }
+            },
+            visuals: {
+                droppings: { generate: 'dropping' },
+                vehicles: {
+                    car_sprites: {
+                        left: { dir: 'visuals/vehicles/car_sprites', files: ['car_left_01.png', 'car_left_02.png'] }
+                    }
+                }
+            }
+        };
+
+        const entries = listManifestEntries(manifest);
+
+        expect(entries.map(entry => [entry.kind, entry.path.join('.')])).toEqual([
+            ['sound', 'sounds.effects.splat'],
+            ['generated', 'visuals.droppings'],
+            ['spriteSet', 'visuals.vehicles.car_sprites.left']
+        ]);
+        expect(entries[2].srcs).toEqual([
+            'visuals/vehicles/car_sprites/car_left_01.png',
+            'visuals/vehicles/car_sprites/car_left_02.png'
+        ]);
+    });
+
+    test('Nested paths are created on write', () => {
+        const tree = {};
+        setAssetAtPath(tree, ['visuals', 'game', 'hearing_health', '10'], 'image');
+
+        expect(getAssetAtPath(tree, ['visuals', 'game', 'hearing_health', '10'])).toBe('image');
+        expect(getAssetAtPath(tree, ['visuals', 'food', 'apple'])).toBeUndefined();
+    });
+
+    test('The shipped manifest lists every vehicle sprite set', () => {
+        const manifestPath = path.join(__dirname, '..', '..', 'assets', 'assets.json');
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        const paths = listManifestEntries(manifest).map(entry => entry.path.join('.'));
+
+        for (const type of ['car', 'bus', 'truck', 'emergency']) {
+            expect(paths).toContain(`visuals.vehicles.${type}_sprites.left`);
+            expect(paths).toContain(`visuals.vehicles.${type}_sprites.right`);
+        }
+    });
+});
+
+describe('Asset Load Report', () => {
+    const missing = () => Promise.reject(new Error('404'));
+
+    test('A missing sound is reported as silent', async () => {
+        const [entry] = listManifestEntries({ sounds: { effects: { splat: { src: 'sounds/effects/splat.wav' } } } });
+
+        const result = await loadManifestEntry(entry, missing);
+
+        expect(result).toMatchObject({ name: 'effects.splat', total: 1, failed: ['sounds/effects/splat.wav'], fallback: 'silent' });
+    });
+
+    test('A sprite set with no frames is reported as not drawn', async () => {
+        const [entry] = listManifestEntries({
+            visuals: { bird_flying: { required: true, dir: 'visuals/bird_flying', files: ['a.png', 'b.png'] } }
+        });
+
+        const result = await loadManifestEntry(entry, missing);
+
+        expect(result.required).toBe(true);
+        expect(result.failed).toEqual(['visuals/bird_flying/a.png', 'visuals/bird_flying/b.png']);
+        expect(result.fallback).toBe('not drawn');
+        expect(assets.visuals.bird_flying).toEqual([]);
+    });
+});
@@ -0,0 +1,59 @@
+const { AudioPlayer } = require('../audio');
+
+/**
+ * A mixer that records what it was asked to play
+ */
+function createMixer() {
+    return {
+        play: jest.fn(() => ({})),
+        setPan: jest.fn(),
+        setGain: jest.fn(),
+        setMuffle: jest.fn()
+    };
+}
+
+const sounds = { vehicles: { honk1: { buffer: {}, volume: 0.8, loop: false } } };
+
+describe('AudioPlayer Positions', () => {
+    const listener = { x: 400, y: 100, hearingRadius: 100, panRange: 400 };
+
+    test('A honk is heard from where it is relative to the bird', () => {
+        const mixer = createMixer();
+        const audio = new AudioPlayer(sounds, mixer);
+        audio.setListener(listener);
+
+        audio.play('vehicles', 'honk1', { bus: 'honk', position: { x: 200, y: 100 } });
+
+        const options = mixer.play.mock.calls[0][1];
+        expect(options.bus).toBe('honk');
+        expect(options.volume).toBe(0.8);
+        expect(options.pan).toBe(-0.5);
+        expect(options.position).toBeUndefined();
+    });
+
+    test('Sounds are loud where they hurt and fade beyond, never to silence', () => {
+        const audio = new AudioPlayer(sounds, createMixer());
+        audio.setListener(listener);
+        const { falloff, floor } = AudioPlayer.DISTANCE;
+
+        expect(audio.getDistanceGain(480, 160)).toBe(1);
+        expect(audio.getDistanceGain(400 + 100 * (1 + falloff) / 2, 100)).toBeCloseTo((1 + floor) / 2);
+        expect(audio.getDistanceGain(400, 100 + 100 * falloff * 2)).toBe(floor);
+
+        // A siren carries further than a honk
+        expect(audio.getDistanceGain(650, 100, 250)).toBe(1);
+        expect(audio.getPan(1000)).toBe(1);
+    });
+
+    test('Without a listener everything plays centred at full volume', () => {
+        const mixer = createMixer();
+        const audio = new AudioPlayer(sounds, mixer);
+
+        const voice = audio.play('vehicles', 'honk1', { position: { x: 0, y: 0 } });
+        audio.setPosition(voice, 800, 400);
+
+        expect(mixer.play.mock.calls[0][1]).toMatchObject({ pan: 0, gain: 1 });
+        expect(mixer.setPan).toHaveBeenCalledWith(voice, 0);
+        expect(mixer.setGain).toHaveBeenCalledWith(voice, 1);
+    });
+});
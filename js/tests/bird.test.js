@@ -1,15 +1,25 @@
 const { Bird } = require('../bird');
 const { Vehicle } = require('../vehicle');
 
+const { Random } = require('../random');
+const { NullAudio } = require('../audio');
+
+// Mixer, audio player, hearing, event bus and what vehicles are built from are browser globals in the game
+global.Mixer = require('../mixer').Mixer;
+global.AudioPlayer = require('../audio').AudioPlayer;
+global.Hearing = require('../hearing').Hearing;
+Object.assign(global, require('../random'), require('../events'), require('../fire'), require('../siren'),
+    require('../horn'), require('../road'), require('../intersection'));
+
 // Mock assets for testing
 global.assets = {
     sounds: {
         effects: {
-            poop: { play: jest.fn(), currentTime: 0 },
-            splat: { play: jest.fn(), currentTime: 0 }
+            poop: { buffer: {}, volume: 1, loop: false },
+            splat: { buffer: {}, volume: 1, loop: false }
         },
         vehicles: {
-            honk_car: { play: jest.fn(), currentTime: 0 }
+            honk_car: { buffer: {}, volume: 1, loop: false }
         }
     },
     visuals: {
@@ -123,11 +133,12 @@ describe('Bird Dropping Mechanics', () => {
     });
 
     test('Bird can create a dropping', () => {
+        const play = jest.spyOn(bird.audio, 'play');
         const dropping = bird.drop();
         expect(dropping).toBeTruthy();
         expect(dropping.x).toBe(bird.x + bird.width / 2);
         expect(dropping.y).toBe(bird.y + bird.height / 2);
-        expect(assets.sounds.effects.poop.play).toHaveBeenCalled();
+        expect(play).toHaveBeenCalledWith('effects', 'poop');
     });
 
     test('Bird cannot create multiple droppings simultaneously', () => {
@@ -137,41 +148,109 @@ describe('Bird Dropping Mechanics', () => {
         expect(secondDrop).toBeNull();
     });
 
-    test('Dropping moves downward', () => {
-        bird.drop();
-        const initialY = bird.getActiveDropping().y;
+    test('Dropping is left for the game to move', () => {
+        const dropping = bird.drop();
+        const { x, y } = dropping;
         bird.update(0.1);
-        expect(bird.getActiveDropping().y).toBeGreaterThan(initialY);
+        expect(bird.getActiveDropping()).toBe(dropping);
+        expect(dropping.x).toBe(x);
+        expect(dropping.y).toBe(y);
     });
+});
 
-    test('Dropping is removed when it goes off screen', () => {
-        bird.drop();
-        // Position dropping near bottom of screen
-        bird.activeDropping.y = 390;
-        // Update to move dropping below screen
-        bird.update(0.1);
-        expect(bird.getActiveDropping()).toBeNull();
+describe('Bird Dropping Types', () => {
+    let bird;
+
+    beforeEach(() => {
+        bird = new Bird(400, 200, 800, 400);
+        jest.clearAllMocks();
+    });
+
+    test('Cycling skips types without ammo', () => {
+        expect(bird.cycleDroppingType()).toBe('normal');
+
+        bird.addAmmo('bomb', 1);
+        bird.addAmmo('homing', 1);
+        expect(bird.cycleDroppingType()).toBe('bomb');
+        expect(bird.cycleDroppingType()).toBe('homing');
+        expect(bird.cycleDroppingType()).toBe('normal');
+    });
+
+    test('Spread drops a volley and uses one ammo', () => {
+        bird.addAmmo('spread', 2);
+        bird.cycleDroppingType();
+
+        const dropping = bird.drop();
+        const volley = bird.takeVolley();
+
+        expect(dropping.vx).toBe(0);
+        expect(volley).toHaveLength(4);
+        expect(volley.every(extra => extra.type === 'spread')).toBe(true);
+        expect(bird.ammo.spread).toBe(1);
+        expect(bird.takeVolley()).toHaveLength(0);
+    });
+
+    test('Bird switches back to normal droppings when ammo runs out', () => {
+        bird.addAmmo('sticky', 1);
+        bird.cycleDroppingType();
+
+        const dropping = bird.drop();
+
+        expect(dropping.sticky).toEqual({ factor: 0.4, duration: 4 });
+        expect(bird.poopType).toBe('normal');
+        expect(bird.poopCount).toBe(1);
+    });
+
+    test('Eating food adds ammo up to the maximum', () => {
+        bird.eatFood({ bellyPoints: 1, ammo: { type: 'bomb', amount: 15 } });
+        bird.eatFood({ bellyPoints: 1, ammo: { type: 'bomb', amount: 15 } });
+
+        expect(bird.ammo.bomb).toBe(bird.maxAmmo);
+    });
+});
+
+describe('Bird Hearing', () => {
+    test('A burst of honking deafens the bird until it eats', () => {
+        const bird = new Bird(400, 200, 800, 400);
+
+        bird.experienceHonk(0.5);
+        bird.experienceHonk(0.5);
+        expect(bird.hearing.isDeaf()).toBe(true);
+
+        bird.eatFood({ bellyPoints: 1 });
+        expect(bird.hearing.isDeaf()).toBe(false);
+        expect(bird.health).toBe(98);
     });
 });
 
 describe('Vehicle Hit Detection', () => {
     let bird;
-    let vehicle;
-    let droppings = [];
 
     beforeEach(() => {
         bird = new Bird(400, 200, 800, 400);
-        vehicle = new Vehicle('car', 400, 300, 'left');
-        droppings = [];
     });
 
-    test('Dropping hits honking vehicle increases score', () => {
-        let score = 0;
-        
-        // Make vehicle honk
-        vehicle.startHonking();
-        
-        // Create dropping directly above vehicle
+    /**
+     * Creates a vehicle of the given type that is honking (or not)
+     */
+    function createVehicle(type, honking) {
+        const sprite = { width: 120, height: 60 };
+        const vehicle = new Vehicle(800, 400, {
+            rng: new Random(1),
+            audio: new NullAudio(),
+            visuals: { vehicles: { [`${type}_sprites`]: { left: [sprite], right: [sprite] } } },
+            type
+        });
+        vehicle.isHonking = honking;
+        vehicle.lastHonkTime = honking ? vehicle.age : -Infinity;
+        return vehicle;
+    }
+
+    /**
+     * Drops from directly above a vehicle and scores a hit the way the game does
+     * @returns {number} Points for the hit, 0 for a miss
+     */
+    function dropOn(vehicle) {
         const dropping = {
             x: vehicle.x,
             y: vehicle.y - 20,
@@ -179,51 +258,32 @@ describe('Vehicle Hit Detection', () => {
             height: 10,
             speed: 300
         };
-        droppings.push(dropping);
-        
+
         // Update dropping position
-        const deltaTime = 0.1;
-        dropping.y += dropping.speed * deltaTime;
-        
-        // Check for collision
-        if (vehicle.checkHit(dropping)) {
-            score += vehicle.getState().isHonking ? 10 : -5;
-            droppings = droppings.filter(d => d !== dropping);
-        }
-        
-        expect(score).toBe(10);
-        expect(droppings.length).toBe(0);
-        expect(vehicle.isHit).toBe(true);
+        dropping.y += dropping.speed * 0.1;
+
+        return vehicle.checkCollision(dropping) ? vehicle.handleHit(bird.getPowerUpState().powerUpLevel) : 0;
+    }
+
+    test('Dropping hits honking vehicle increases score', () => {
+        const car = createVehicle('car', true);
+        expect(dropOn(car)).toBe(5);
+        expect(car.hitByPoop).toBe(true);
+
+        // Partial hits on a sturdy honker score a little, clearing it scores a bonus per extra hit
+        const truck = createVehicle('truck', true);
+        const points = [dropOn(truck), dropOn(truck), dropOn(truck)];
+        expect(points).toEqual([2, 2, 5 + 2 * 3]);
+        expect(truck.hitByPoop).toBe(true);
     });
 
     test('Dropping hits non-honking vehicle decreases score', () => {
-        let score = 0;
-        
-        // Ensure vehicle is not honking
-        vehicle.isHonking = false;
-        
-        // Create dropping directly above vehicle
-        const dropping = {
-            x: vehicle.x,
-            y: vehicle.y - 20,
-            width: 10,
-            height: 10,
-            speed: 300
-        };
-        droppings.push(dropping);
-        
-        // Update dropping position
-        const deltaTime = 0.1;
-        dropping.y += dropping.speed * deltaTime;
-        
-        // Check for collision
-        if (vehicle.checkHit(dropping)) {
-            score += vehicle.getState().isHonking ? 10 : -5;
-            droppings = droppings.filter(d => d !== dropping);
-        }
-        
-        expect(score).toBe(-5);
-        expect(droppings.length).toBe(0);
-        expect(vehicle.isHit).toBe(true);
+        const truck = createVehicle('truck', false);
+        expect(dropOn(truck)).toBe(-5);
+        expect(truck.hitByPoop).toBe(false);
+
+        const car = createVehicle('car', false);
+        expect(dropOn(car)).toBe(-10);
+        expect(car.hitByPoop).toBe(true);
     });
-}); 
\ No newline at end of file
+});
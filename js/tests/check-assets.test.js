@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkAssets } = require('../check-assets');
+
+/**
+ * Writes the first bytes of a PNG file, enough for its size to be read
+ */
+function writePng(file, width, height) {
+    const header = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+    header.write('IHDR', 12);
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, header);
+}
+
+describe('Asset Checker', () => {
+    let root;
+
+    const write = (relative, content = '') => {
+        fs.mkdirSync(path.dirname(path.join(root, relative)), { recursive: true });
+        fs.writeFileSync(path.join(root, relative), content);
+    };
+    const kinds = (issues) => issues.map(issue => `${issue.kind} ${issue.file}`);
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'honk-assets-'));
+        write('assets.json', JSON.stringify({
+            sounds: {
+                vehicles: {
+                    honk1: { src: 'sounds/vehicles/honk1.wav' },
+                    honk2: { src: 'sounds/vehicles/honk2.wav' }
+                }
+            },
+            visuals: {
+                vehicles: {
+                    car_sprites: {
+                        left: { dir: 'visuals/vehicles/car_sprites', files: ['car_left_01.png', 'car_left_02.png', 'car_left_03.png'] }
+                    }
+                }
+            }
+        }));
+        write('sounds/vehicles/honk1.wav');
+        writePng(path.join(root, 'visuals/vehicles/car_sprites/car_left_01.png'), 100, 40);
+        writePng(path.join(root, 'visuals/vehicles/car_sprites/car_left_02.png'), 104, 40);
+        writePng(path.join(root, 'visuals/vehicles/car_sprites/car_left_03.png'), 108, 40);
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('Files listed in the manifest but absent are errors', () => {
+        const { errors } = checkAssets(root);
+
+        expect(kinds(errors)).toEqual(['missing sounds/vehicles/honk2.wav']);
+    });
+
+    test('A file that differs only in case or extension is reported as misnamed', () => {
+        write('sounds/vehicles/Honk2.mp3');
+
+        const { errors, warnings } = checkAssets(root);
+
+        expect(kinds(errors)).toEqual(['misnamed sounds/vehicles/Honk2.mp3']);
+        expect(kinds(warnings)).not.toContain('unused sounds/vehicles');
+    });
+
+    test('Unlisted files, spaces in names and stale docs are warnings', () => {
+        write('sounds/vehicles/honk2.wav');
+        write('sounds/vehicles/honk_bus.wav');
+        writePng(path.join(root, 'visuals/game/hearing health/10.png'), 32, 32);
+        write('README.txt', 'honk_truck.wav  # Truck horn sound');
+
+        const { errors, warnings } = checkAssets(root);
+
+        expect(errors).toEqual([]);
+        expect(kinds(warnings)).toEqual(expect.arrayContaining([
+            'unused sounds/vehicles',
+            'unused visuals/game/hearing health',
+            'misnamed visuals/game/hearing health',
+            'docs README.txt'
+        ]));
+        expect(warnings.find(issue => issue.kind === 'unused' && issue.file === 'sounds/vehicles').message).toContain('honk_bus.wav');
+    });
+
+    test('Vehicle sprites with odd heights or proportions are flagged', () => {
+        write('sounds/vehicles/honk2.wav');
+        writePng(path.join(root, 'visuals/vehicles/car_sprites/car_left_02.png'), 160, 80);
+        writePng(path.join(root, 'visuals/vehicles/car_sprites/car_left_03.png'), 300, 40);
+
+        const { warnings } = checkAssets(root);
+        const sizeIssues = warnings.filter(issue => issue.kind === 'size');
+
+        expect(sizeIssues.map(issue => issue.file)).toEqual([
+            'visuals/vehicles/car_sprites/car_left_02.png',
+            'visuals/vehicles/car_sprites/car_left_03.png'
+        ]);
+        expect(sizeIssues[1].message).toContain('clamped');
+    });
+});
@@ -0,0 +1,57 @@
+const { GameEvents, EventBus } = require('../events');
+
+describe('Event Bus', () => {
+    let events;
+
+    beforeEach(() => {
+        events = new EventBus();
+    });
+
+    test('Delivers payloads to every subscriber in order', () => {
+        const calls = [];
+        events.on(GameEvents.VEHICLE_HIT, (event) => calls.push(['score', event.points]));
+        events.on(GameEvents.VEHICLE_HIT, (event) => calls.push(['audio', event.points]));
+
+        events.emit(GameEvents.VEHICLE_HIT, { points: 10 });
+
+        expect(calls).toEqual([['score', 10], ['audio', 10]]);
+    });
+
+    test('Unsubscribe stops delivery', () => {
+        const listener = jest.fn();
+        const unsubscribe = events.on(GameEvents.WAVE_STARTED, listener);
+
+        unsubscribe();
+        events.emit(GameEvents.WAVE_STARTED, { wave: 2 });
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('Unknown event names are rejected', () => {
+        expect(() => events.on('vehicleCrash', jest.fn())).toThrow('Unknown game event: vehicleCrash');
+        expect(() => events.emit('birdDead')).toThrow('Unknown game event: birdDead');
+    });
+
+    test('A failing listener does not stop the others', () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const listener = jest.fn();
+        events.on(GameEvents.BIRD_DIED, () => { throw new Error('analytics offline'); });
+        events.on(GameEvents.BIRD_DIED, listener);
+
+        events.emit(GameEvents.BIRD_DIED, {});
+
+        expect(listener).toHaveBeenCalled();
+        expect(errorSpy).toHaveBeenCalled();
+        errorSpy.mockRestore();
+    });
+
+    test('Each bus has its own listeners', () => {
+        const other = new EventBus();
+        const listener = jest.fn();
+        events.on(GameEvents.FOOD_EATEN, listener);
+
+        other.emit(GameEvents.FOOD_EATEN, {});
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
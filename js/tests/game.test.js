@@ -1,245 +1,126 @@
+const { NullAudio } = require('../audio');
+
+// The game scripts find each other as browser globals
+Object.assign(
+    global,
+    require('../random'),
+    require('../events'),
+    require('../audio'),
+    require('../hearing'),
+    require('../road'),
+    require('../intersection'),
+    require('../fire'),
+    require('../siren'),
+    require('../horn'),
+    require('../vehicle'),
+    require('../bird'),
+    require('../powerups')
+);
 const { Game } = require('../game');
-const { Bird } = require('../bird');
-const { Vehicle } = require('../vehicle');
 
-// Mock assets for testing
-global.assets = {
-    sounds: {
-        effects: {
-            poop: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            splat: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            explosion: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            powerup: { play: jest.fn(), pause: jest.fn(), currentTime: 0 }
-        },
-        ui: {
-            start: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            gameover: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            click: { play: jest.fn(), pause: jest.fn(), currentTime: 0 }
-        },
-        vehicles: {
-            honk_car: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            honk_truck: { play: jest.fn(), pause: jest.fn(), currentTime: 0 },
-            honk_bus: { play: jest.fn(), pause: jest.fn(), currentTime: 0 }
-        }
-    },
-    visuals: {
-        bird_flying: Array(17).fill({ width: 48, height: 48 }),
-        vehicles: {
-            car_sprites: { left: [{}], right: [{}] },
-            bus_sprites: { left: [{}], right: [{}] },
-            truck_sprites: { left: [{}], right: [{}] },
-            emergency_sprites: { left: [{}], right: [{}] }
-        }
+// Only enough sprite data for the game to size the bird, vehicles and food
+const sprite = { width: 120, height: 60 };
+const sprites = { left: [sprite], right: [sprite] };
+const visuals = {
+    bird_flying: Array(17).fill({ width: 48, height: 48 }),
+    vehicles: {
+        car_sprites: sprites,
+        bus_sprites: sprites,
+        truck_sprites: sprites,
+        emergency_sprites: sprites,
+        motorbike_sprites: sprites,
+        rickshaw_sprites: sprites,
+        van_sprites: sprites,
+        fire_sprites: []
     }
 };
 
-// Mock Vehicle and Bird classes
-jest.mock('../vehicle', () => {
-    return {
-        Vehicle: jest.fn().mockImplementation(() => ({
-            update: jest.fn(() => true),
-            draw: jest.fn(),
-            checkCollision: jest.fn(() => false),
-            handleHit: jest.fn(() => 10),
-            isHonking: true,
-            playHonkSound: jest.fn(),
-            lastHonkTime: 0
-        }))
-    };
-});
+/**
+ * Creates a game that draws and plays nothing
+ */
+function createGame() {
+    const canvas = { width: 800, height: 400, getContext: () => null };
+    return new Game(canvas, { seed: 1, audio: new NullAudio(), visuals });
+}
 
-jest.mock('../bird', () => {
-    return {
-        Bird: jest.fn().mockImplementation(() => ({
-            update: jest.fn(),
-            draw: jest.fn(),
-            getActiveDropping: jest.fn(() => null),
-            removeDropping: jest.fn(),
-            drop: jest.fn(),
-            getPosition: jest.fn(() => ({ x: 400, y: 200 })),
-            getPowerUpState: jest.fn(() => ({ 
-                powerUpLevel: 0, 
-                poopSize: 10, 
-                poopCooldown: 1, 
-                splashRadius: 0 
-            }))
-        }))
-    };
-});
+/**
+ * Puts a vehicle of the given type on the road, honking or not
+ */
+function addVehicle(game, type, honking) {
+    const vehicle = new Vehicle(game.canvas.width, game.canvas.height, { ...game.entityOptions, type });
+    vehicle.x = 400;
+    vehicle.isHonking = honking;
+    vehicle.lastHonkTime = honking ? vehicle.age : -Infinity;
+    game.vehicles.push(vehicle);
+    return vehicle;
+}
+
+/**
+ * Drops onto a vehicle and runs a short tick so the game scores the hit
+ */
+function dropOn(game, vehicle) {
+    game.droppings.push({ x: vehicle.x, y: vehicle.y, vx: 0, width: 10, height: 10, speed: 0, splashRadius: 0 });
+    game.update(0.001);
+}
 
 describe('Game Scoring System', () => {
     let game;
-    let mockCanvas;
     
     beforeEach(() => {
-        // Reset mocks
-        jest.clearAllMocks();
-        
-        // Mock canvas and context
-        mockCanvas = {
-            width: 800,
-            height: 400,
-            getContext: jest.fn(() => ({
-                fillRect: jest.fn(),
-                beginPath: jest.fn(),
-                arc: jest.fn(),
-                fill: jest.fn(),
-                save: jest.fn(),
-                restore: jest.fn(),
-                fillText: jest.fn(),
-                drawImage: jest.fn(),
-                stroke: jest.fn()
-            }))
-        };
-        
-        // Create game instance
-        game = new Game(mockCanvas);
+        game = createGame();
     });
     
     test('Game initializes with score of 0 and wave 1', () => {
         expect(game.score).toBe(0);
         expect(game.wave).toBe(1);
-        expect(game.vehiclesPerWave).toBe(5);
+        expect(game.vehiclesPerWave).toBe(10);
     });
     
     test('Score increases when hitting a honking vehicle', () => {
-        // Create a mock vehicle that is honking
-        const honkingVehicle = {
-            checkCollision: jest.fn(() => true),
-            handleHit: jest.fn(() => 10),
-            isHonking: true
-        };
-        
-        // Add the vehicle to the game
-        game.vehicles.push(honkingVehicle);
-        
-        // Create a mock dropping
-        const dropping = {
-            x: 400,
-            y: 300,
-            width: 10,
-            height: 10,
-            speed: 300,
-            splashRadius: 0
-        };
-        
-        // Add the dropping to the game
-        game.droppings.push(dropping);
-        
-        // Update the game which should detect the collision
-        game.update(0.1);
-        
-        // Verify score increased by 10
-        expect(game.score).toBe(10);
-        expect(honkingVehicle.handleHit).toHaveBeenCalled();
+        const car = addVehicle(game, 'car', true);
+        dropOn(game, car);
+        expect(game.score).toBe(5);
+        
+        // A bus scores a little for each partial hit and a bonus for the three extra hits it took
+        const bus = addVehicle(game, 'bus', true);
+        const scores = [];
+        while (!bus.hitByPoop) {
+            dropOn(game, bus);
+            scores.push(game.score);
+        }
+        expect(scores).toEqual([7, 9, 11, 11 + 5 + 3 * 3]);
     });
     
     test('Score decreases when hitting a non-honking vehicle', () => {
-        // Create a mock vehicle that is not honking
-        const nonHonkingVehicle = {
-            checkCollision: jest.fn(() => true),
-            handleHit: jest.fn(() => -5),
-            isHonking: false
-        };
-        
-        // Add the vehicle to the game
-        game.vehicles.push(nonHonkingVehicle);
+        game.score = 20;
         
-        // Create a mock dropping
-        const dropping = {
-            x: 400,
-            y: 300,
-            width: 10,
-            height: 10,
-            speed: 300,
-            splashRadius: 0
-        };
+        // A partial hit on a quiet truck, then clearing a quiet car
+        dropOn(game, addVehicle(game, 'truck', false));
+        expect(game.score).toBe(15);
         
-        // Add the dropping to the game
-        game.droppings.push(dropping);
-        
-        // Update the game which should detect the collision
-        game.update(0.1);
-        
-        // Verify score decreased by 5
-        expect(game.score).toBe(-5);
-        expect(nonHonkingVehicle.handleHit).toHaveBeenCalled();
+        dropOn(game, addVehicle(game, 'car', false));
+        expect(game.score).toBe(5);
     });
     
     test('Score cannot go below 0', () => {
-        // Set initial score to 3
         game.score = 3;
         
-        // Create a mock vehicle that is not honking
-        const nonHonkingVehicle = {
-            checkCollision: jest.fn(() => true),
-            handleHit: jest.fn(() => -5),
-            isHonking: false
-        };
-        
-        // Add the vehicle to the game
-        game.vehicles.push(nonHonkingVehicle);
-        
-        // Create a mock dropping
-        const dropping = {
-            x: 400,
-            y: 300,
-            width: 10,
-            height: 10,
-            speed: 300,
-            splashRadius: 0
-        };
+        dropOn(game, addVehicle(game, 'car', false));
         
-        // Add the dropping to the game
-        game.droppings.push(dropping);
-        
-        // Update the game which should detect the collision
-        game.update(0.1);
-        
-        // Verify score is clamped at 0
         expect(game.score).toBe(0);
-        expect(nonHonkingVehicle.handleHit).toHaveBeenCalled();
     });
 });
 
 describe('Game Wave Progression', () => {
     let game;
-    let mockCanvas;
     
     beforeEach(() => {
-        // Reset mocks
-        jest.clearAllMocks();
-        
-        // Mock canvas and context
-        mockCanvas = {
-            width: 800,
-            height: 400,
-            getContext: jest.fn(() => ({
-                fillRect: jest.fn(),
-                beginPath: jest.fn(),
-                arc: jest.fn(),
-                fill: jest.fn(),
-                save: jest.fn(),
-                restore: jest.fn(),
-                fillText: jest.fn(),
-                drawImage: jest.fn(),
-                stroke: jest.fn()
-            }))
-        };
-        
-        // Create game instance
-        game = new Game(mockCanvas);
+        game = createGame();
         
         // Spy on vehicle spawning
         jest.spyOn(game, 'spawnVehicle');
     });
     
-    afterEach(() => {
-        if (game.spawnVehicle.mockRestore) {
-            game.spawnVehicle.mockRestore();
-        }
-    });
-    
     test('Wave increments after wave duration', () => {
         // Advance time to just before wave end
         game.update(game.waveDuration - 0.1);
@@ -248,7 +129,7 @@ describe('Game Wave Progression', () => {
         // Advance time past wave end
         game.update(0.2);
         expect(game.wave).toBe(2);
-        expect(game.vehiclesPerWave).toBe(7); // 5 + 2
+        expect(game.vehiclesPerWave).toBe(20); // Doubled
         expect(game.waveTimer).toBe(0); // Timer reset
     });
     
@@ -273,18 +154,18 @@ describe('Game Wave Progression', () => {
         expect(wave10Interval).toBe(1.0); // Min cap
     });
     
-    test('Vehicles per wave increases by 2 with each wave', () => {
-        expect(game.vehiclesPerWave).toBe(5); // Wave 1
+    test('Vehicles per wave doubles with each wave', () => {
+        expect(game.vehiclesPerWave).toBe(10); // Wave 1
         
         // Advance to wave 2
         game.startNewWave();
         expect(game.wave).toBe(2);
-        expect(game.vehiclesPerWave).toBe(7);
+        expect(game.vehiclesPerWave).toBe(20);
         
         // Advance to wave 3
         game.startNewWave();
         expect(game.wave).toBe(3);
-        expect(game.vehiclesPerWave).toBe(9);
+        expect(game.vehiclesPerWave).toBe(40);
     });
     
     test('Wave advances when all vehicles are spawned and cleared', () => {
@@ -300,25 +181,68 @@ describe('Game Wave Progression', () => {
     });
     
     test('Spawns correct number of vehicles per wave', () => {
-        // Spawn all vehicles for wave 1
-        for (let i = 0; i < game.vehiclesPerWave; i++) {
+        // Spawn all vehicles for wave 1, giving each time to pull away from the edge of the road
+        while (game.vehiclesSpawned < game.vehiclesPerWave) {
             game.vehicleSpawnTimer = game.getVehicleSpawnInterval();
             game.update(0.1);
         }
         
-        expect(game.vehiclesSpawned).toBe(5);
-        expect(game.spawnVehicle).toHaveBeenCalledTimes(5);
+        expect(game.vehiclesSpawned).toBe(10);
+        const spawned = game.spawnVehicle.mock.calls.length;
         
         // Attempt to spawn one more (should not spawn because max reached)
         game.vehicleSpawnTimer = game.getVehicleSpawnInterval();
         game.update(0.1);
         
-        expect(game.vehiclesSpawned).toBe(5); // Still 5
-        expect(game.spawnVehicle).toHaveBeenCalledTimes(5); // Still 5 calls
+        expect(game.vehiclesSpawned).toBe(10); // Still 10
+        expect(game.spawnVehicle).toHaveBeenCalledTimes(spawned); // No further attempts
+    });
+});
+
+describe('Game Droppings', () => {
+    test('The bird\'s own dropping falls in step with the rest of its volley', () => {
+        const game = createGame();
+        game.bird.addAmmo('spread', 1);
+        game.bird.cycleDroppingType();
+        
+        game.handleSpacebar();
+        for (let i = 0; i < 10; i++) {
+            game.update(1 / 60);
+        }
+        
+        expect(game.droppings).toHaveLength(5);
+        const heights = game.droppings.map(dropping => dropping.y);
+        expect(heights.every(y => y === heights[0])).toBe(true);
+    });
+});
+
+describe('Game Emergency Response', () => {
+    test('A tow truck the bird clears off the road is replaced', () => {
+        const game = createGame();
+        game.vehiclesSpawned = game.vehiclesPerWave; // No other traffic
+        const wreck = addVehicle(game, 'car', false);
+        wreck.crash();
+        
+        const truck = game.dispatchVehicle({ wreck, role: 'tow' });
+        expect(wreck.towTruck).toBe(truck);
+        
+        while (!truck.hitByPoop) {
+            dropOn(game, truck);
+        }
+        while (game.vehicles.includes(truck)) {
+            game.update(1 / 60);
+        }
+        
+        // Another one is sent once the dispatcher gets round to it
+        for (let t = 0; t < game.dispatchInterval; t += 1 / 60) {
+            game.update(1 / 60);
+        }
+        expect(wreck.towTruck === truck).toBe(false);
+        expect(game.vehicles.includes(wreck.towTruck)).toBe(true);
     });
 });
 
 // Export for integration with test runner
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { gameTests: true };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,102 @@
+const { NullCanvas, loadSpriteCatalog, createHeadlessGame, simulate } = require('../headless');
+
+describe('Headless Simulation', () => {
+    test('Runs without a DOM, canvas or audio', () => {
+        expect(typeof window).toBe('undefined');
+        expect(typeof document).toBe('undefined');
+
+        const game = createHeadlessGame({ seed: 1 });
+        for (let i = 0; i < 600; i++) game.update(1 / 120);
+
+        expect(game.tick).toBe(600);
+        expect(() => game.draw()).not.toThrow();
+        game.destroy();
+    });
+
+    test('Null canvas has no drawing context', () => {
+        const canvas = new NullCanvas(640, 360);
+
+        expect(canvas.width).toBe(640);
+        expect(canvas.getContext('2d')).toBeNull();
+    });
+
+    test('Sprite catalog reads vehicle sizes from the asset files', () => {
+        const catalog = loadSpriteCatalog();
+        const car = catalog.vehicles.car_sprites.left[0];
+
+        expect(catalog.vehicles.car_sprites.left.length).toBeGreaterThan(0);
+        expect(car.width).toBeGreaterThan(0);
+        expect(car.height).toBeGreaterThan(0);
+    });
+
+    test('The same seed and input policy give the same result', () => {
+        // Drop whenever possible while sweeping left and right
+        const policy = (game) => ({
+            left: Math.floor(game.tick / 240) % 2 === 0,
+            right: Math.floor(game.tick / 240) % 2 === 1,
+            up: false,
+            down: false,
+            drop: true
+        });
+
+        const first = simulate({ seed: 7, waves: 2, maxSeconds: 60, policy });
+        const second = simulate({ seed: 7, waves: 2, maxSeconds: 60, policy });
+
+        expect(second).toEqual(first);
+        expect(first.ticks).toBeGreaterThan(0);
+    });
+
+    test('Droppings keep the bird\'s sideways speed and land where predicted', () => {
+        const game = createHeadlessGame({ seed: 5, wind: 40 });
+        const input = { left: false, right: true, up: false, down: false, drop: false, cycle: false };
+        for (let i = 0; i < 30; i++) {
+            game.applyInput(input);
+            game.update(1 / 120);
+        }
+
+        const targetY = game.bird.y + game.bird.height / 2 + 100;
+        const predicted = game.predictDroppingImpact(
+            game.bird.x + game.bird.width / 2, game.bird.y + game.bird.height / 2, game.bird.vx, 300, targetY
+        );
+        game.applyInput({ ...input, drop: true });
+        const dropping = game.bird.getActiveDropping();
+        expect(dropping.vx).toBeCloseTo(game.bird.speed);
+
+        while (dropping.y < targetY) {
+            game.vehicles = [];
+            game.applyInput(input);
+            game.update(1 / 120);
+        }
+
+        expect(Math.abs(dropping.x - predicted.x)).toBeLessThan(5);
+        game.destroy();
+    });
+
+    test('A honk irritates the vehicles around it', () => {
+        const game = createHeadlessGame({ seed: 4 });
+        while (game.vehicles.length < 2) game.update(1 / 120);
+        const [honker, listener] = game.vehicles;
+        listener.x = honker.x + 20;
+        listener.y = honker.y;
+        const before = listener.irritation;
+
+        honker.playHonkSound();
+
+        expect(listener.irritation).toBeGreaterThan(before);
+        game.destroy();
+    });
+
+    test('Gameplay events are published on the game\'s own bus', () => {
+        const game = createHeadlessGame({ seed: 3 });
+        const spawned = jest.fn();
+        const waves = jest.fn();
+        game.events.on('vehicleSpawned', spawned);
+        game.events.on('waveStarted', waves);
+
+        while (game.wave < 2 && !game.bird.isDead) game.update(1 / 120);
+
+        expect(spawned).toHaveBeenCalled();
+        if (!game.bird.isDead) expect(waves).toHaveBeenCalledWith({ wave: 2 });
+        game.destroy();
+    });
+});
@@ -0,0 +1,86 @@
+const { Hearing } = require('../hearing');
+
+/**
+ * An audio player that records what it was asked to do
+ */
+function createAudio() {
+    return {
+        playTone: jest.fn(() => ({})),
+        stop: jest.fn(),
+        setGain: jest.fn(),
+        setMuffle: jest.fn(),
+        setDeafness: jest.fn()
+    };
+}
+
+describe('Hearing', () => {
+    test('The world sounds duller as hearing health drops', () => {
+        const audio = createAudio();
+        const hearing = new Hearing({ audio });
+
+        hearing.update(1 / 60, 1);
+        hearing.update(1 / 60, 0.25);
+
+        expect(audio.setMuffle.mock.calls).toEqual([[0], [0.75]]);
+        expect(audio.setDeafness).toHaveBeenLastCalledWith(0);
+    });
+
+    test('Ringing ears fade out and fall silent', () => {
+        const audio = createAudio();
+        const hearing = new Hearing({ audio });
+        const { ringDuration, ringFrequency } = Hearing.SETTINGS;
+
+        hearing.ring();
+        hearing.ring();
+        expect(audio.playTone).toHaveBeenCalledTimes(1);
+        expect(audio.playTone.mock.calls[0][0]).toBe(ringFrequency);
+        expect(audio.playTone.mock.calls[0][1].bus).toBe('ears');
+
+        hearing.update(ringDuration / 2, 1);
+        expect(audio.setGain.mock.calls[0][1]).toBeCloseTo(0.5);
+
+        hearing.update(ringDuration / 2, 1);
+        expect(hearing.isRinging()).toBe(false);
+        expect(audio.stop).toHaveBeenCalledTimes(1);
+    });
+
+    test('A burst of honking deafens the bird for a moment; one honk does not', () => {
+        const audio = createAudio();
+        const hearing = new Hearing({ audio });
+        const { deafDuration, deafness } = Hearing.SETTINGS;
+        const step = 1 / 60;
+
+        // One honk's worth of damage for a few seconds
+        for (let t = 0; t < 3; t += step) {
+            hearing.expose(12 * step);
+            hearing.update(step, 1);
+        }
+        expect(hearing.isDeaf()).toBe(false);
+
+        // Three at once
+        for (let t = 0; t < 1 && !hearing.isDeaf(); t += step) {
+            hearing.expose(36 * step);
+            hearing.update(step, 1);
+        }
+        expect(hearing.isDeaf()).toBe(true);
+        hearing.update(step, 1);
+        expect(audio.setDeafness).toHaveBeenLastCalledWith(deafness);
+
+        hearing.update(deafDuration, 1);
+        expect(hearing.isDeaf()).toBe(false);
+        expect(audio.setDeafness).toHaveBeenLastCalledWith(0);
+    });
+
+    test('Recovering ends the ringing and the deafness at once', () => {
+        const audio = createAudio();
+        const hearing = new Hearing({ audio });
+
+        hearing.ring();
+        hearing.expose(Hearing.SETTINGS.burstThreshold);
+        hearing.recover();
+
+        expect(hearing.isRinging()).toBe(false);
+        expect(hearing.isDeaf()).toBe(false);
+        expect(audio.stop).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,47 @@
+const { Horn } = require('../horn');
+
+/**
+ * Returns the given numbers in turn, standing in for Math.random
+ */
+function sequence(...values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+describe('Horn', () => {
+    test('Every kind of horn sounds for as long as it is held, within the mix headroom', () => {
+        for (const timbre of Object.keys(Horn.TIMBRES)) {
+            const horn = new Horn(timbre, 0.5);
+
+            const samples = horn.render();
+
+            expect(samples.length).toBe(Math.ceil(0.5 * Horn.SAMPLE_RATE));
+            const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+            expect(peak).toBeGreaterThan(Horn.PEAK / 2);
+            expect(peak).toBeLessThanOrEqual(Horn.PEAK + 1e-6);
+        }
+    });
+
+    test('Rhythms leave gaps between presses, then hold the horn down', () => {
+        const horn = new Horn('beep', 1, sequence(0.5, 0.5, 0.5, 0.5)); // 'double'
+        expect(horn.pattern).toBe('double');
+
+        expect(horn.isPressed(0.05)).toBe(true);
+        expect(horn.isPressed(0.14)).toBe(false);
+        expect(horn.isPressed(0.9)).toBe(true);
+
+        // The gap is heard as silence
+        const samples = horn.render();
+        expect(Math.abs(samples[Math.floor(0.175 * Horn.SAMPLE_RATE)])).toBeLessThan(Horn.PEAK * 0.1);
+    });
+
+    test('Horns of the same kind differ in pitch and rhythm from vehicle to vehicle', () => {
+        const low = new Horn('squeak', 1, sequence(0));
+        const high = new Horn('squeak', 1, sequence(0.99));
+
+        expect(low.frequency).toBe(Horn.TIMBRES.squeak.pitch[0]);
+        expect(high.frequency).toBeGreaterThan(low.frequency);
+        expect(low.pattern).not.toBe(high.pattern);
+        expect(new Horn('kazoo', 1).timbre).toBe('beep');
+    });
+});
@@ -0,0 +1,43 @@
+const { Intersection } = require('../intersection');
+const { Road } = require('../road');
+const { GameEvents, EventBus } = require('../events');
+
+// The event names and bus are browser globals in the game
+Object.assign(global, require('../events'));
+
+describe('Intersection', () => {
+    const { green, yellow, red, width } = Intersection.TIMING;
+
+    test('The light cycles green, yellow, red and announces every change', () => {
+        const events = new EventBus();
+        const changes = [];
+        events.on(GameEvents.LIGHT_CHANGED, ({ phase }) => changes.push(phase));
+        const intersection = new Intersection(400, new Road(800, 400), { events });
+
+        intersection.update(green);
+        expect(intersection.phase).toBe('yellow');
+        intersection.update(yellow + red);
+        expect(intersection.phase).toBe('green');
+        expect(changes).toEqual(['yellow', 'red', 'green']);
+    });
+
+    test('Each direction stops on its own side of the crossing', () => {
+        const intersection = new Intersection(400, new Road(800, 400));
+
+        expect(intersection.getStopLineX('right')).toBe(400 - width / 2);
+        expect(intersection.getStopLineX('left')).toBe(400 + width / 2);
+    });
+
+    test('On yellow only drivers who can stop comfortably do', () => {
+        const intersection = new Intersection(400, new Road(800, 400), { phase: 'yellow' });
+
+        // 100 px/s needs 40 px to stop at 125 px/s²
+        expect(intersection.tellsToStop(60, 100, 125)).toBe(true);
+        expect(intersection.tellsToStop(20, 100, 125)).toBe(false);
+
+        intersection.phase = 'red';
+        expect(intersection.tellsToStop(20, 100, 125)).toBe(true);
+        intersection.phase = 'green';
+        expect(intersection.tellsToStop(60, 100, 125)).toBe(false);
+    });
+});
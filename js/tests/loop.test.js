@@ -0,0 +1,44 @@
+const { FixedTimestep } = require('../loop');
+
+describe('Fixed Timestep Loop', () => {
+    test('Runs one update per fixed step and carries the remainder', () => {
+        const timestep = new FixedTimestep(100);
+        const update = jest.fn();
+
+        const alpha = timestep.advance(0.035, update);
+
+        expect(update).toHaveBeenCalledTimes(3);
+        expect(update).toHaveBeenCalledWith(0.01);
+        expect(alpha).toBeCloseTo(0.5);
+    });
+
+    test('Same total time produces the same number of steps at any frame rate', () => {
+        const at30Hz = new FixedTimestep(120);
+        const at144Hz = new FixedTimestep(120);
+        let steps30 = 0;
+        let steps144 = 0;
+
+        for (let i = 0; i < 30; i++) at30Hz.advance(1 / 30, () => steps30++);
+        for (let i = 0; i < 144; i++) at144Hz.advance(1 / 144, () => steps144++);
+
+        expect(Math.abs(steps30 - steps144)).toBeLessThanOrEqual(1);
+        expect(steps30).toBeGreaterThanOrEqual(119);
+    });
+
+    test('Long frames are clamped to avoid a spiral of death', () => {
+        const timestep = new FixedTimestep(120, 0.25);
+        const update = jest.fn();
+
+        timestep.advance(5, update);
+
+        expect(update).toHaveBeenCalledTimes(30);
+    });
+
+    test('Reset discards leftover time', () => {
+        const timestep = new FixedTimestep(10);
+        timestep.advance(0.05, () => {});
+        timestep.reset();
+
+        expect(timestep.advance(0, () => {})).toBe(0);
+    });
+});
@@ -0,0 +1,253 @@
+const { Mixer } = require('../mixer');
+
+/**
+ * Just enough of the Web Audio API to follow what the mixer connects and plays
+ */
+class FakeNode {
+    constructor() {
+        this.connections = [];
+    }
+
+    connect(node) {
+        this.connections.push(node);
+        return node;
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.destination = new FakeNode();
+    }
+
+    createGain() {
+        return Object.assign(new FakeNode(), { gain: { value: 1 } });
+    }
+
+    createStereoPanner() {
+        return Object.assign(new FakeNode(), { pan: { value: 0 } });
+    }
+
+    createBiquadFilter() {
+        return Object.assign(new FakeNode(), { type: 'lowpass', frequency: { value: 350 } });
+    }
+
+    createOscillator() {
+        return Object.assign(new FakeNode(), { type: 'sine', frequency: { value: 440 }, start: jest.fn(), stop: jest.fn() });
+    }
+
+    createBufferSource() {
+        return Object.assign(new FakeNode(), { playbackRate: { value: 1 }, start: jest.fn(), stop: jest.fn() });
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = new Float32Array(length);
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: () => data };
+    }
+
+    decodeAudioData(data) {
+        return Promise.resolve({ decodedFrom: data });
+    }
+}
+
+/**
+ * A localStorage stand-in
+ */
+function createStorage(items = {}) {
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+function createMixer(storage = null) {
+    return new Mixer({ storage, contextClass: FakeAudioContext });
+}
+
+const buffer = { duration: 1 };
+
+describe('Mixer Voices', () => {
+    test('Every sound plays as a voice of its own, panned on its own', () => {
+        const mixer = createMixer();
+
+        const left = mixer.play(buffer, { bus: 'honk' });
+        const right = mixer.play(buffer, { bus: 'honk' });
+        mixer.setPan(left, -1);
+        mixer.setPan(right, 0.5);
+
+        expect(left.source).not.toBe(right.source);
+        expect(left.source.start).toHaveBeenCalled();
+        expect(right.source.start).toHaveBeenCalled();
+        expect(left.channel.panner.pan.value).toBe(-1);
+        expect(right.channel.panner.pan.value).toBe(0.5);
+    });
+
+    test('A full bus cuts off its oldest voice for a new one', () => {
+        const mixer = createMixer();
+        const onEnded = jest.fn();
+        const first = mixer.play(buffer, { bus: 'honk', onEnded });
+        for (let i = 1; i < Mixer.BUSES.honk.channels; i++) {
+            mixer.play(buffer, { bus: 'honk' });
+        }
+
+        const newest = mixer.play(buffer, { bus: 'honk' });
+
+        expect(first.ended).toBe(true);
+        expect(first.source.stop).toHaveBeenCalled();
+        expect(onEnded).toHaveBeenCalledTimes(1);
+        expect(newest.channel).toBe(first.channel);
+
+        // The old handle no longer controls the channel it used to play on
+        mixer.stop(first);
+        mixer.setPan(first, 1);
+        expect(newest.ended).toBe(false);
+        expect(newest.source.stop).not.toHaveBeenCalled();
+        expect(newest.channel.panner.pan.value).toBe(0);
+    });
+
+    test('A voice is never cut off for a less important one', () => {
+        const mixer = createMixer();
+        const important = [];
+        for (let i = 0; i < Mixer.BUSES.honk.channels; i++) {
+            important.push(mixer.play(buffer, { bus: 'honk', priority: 1 }));
+        }
+
+        expect(mixer.play(buffer, { bus: 'honk' })).toBe(null);
+        expect(important.every(voice => !voice.ended)).toBe(true);
+        expect(mixer.play(buffer, { bus: 'honk', priority: 1 })).not.toBe(null);
+    });
+
+    test('A voice can be turned down while it plays, never above the volume it was played at', () => {
+        const mixer = createMixer();
+
+        const voice = mixer.play(buffer, { volume: 0.5, gain: 0.5 });
+        expect(voice.channel.gain.gain.value).toBe(0.25);
+
+        mixer.setGain(voice, 2);
+        expect(voice.channel.gain.gain.value).toBe(0.5);
+    });
+
+    test('A tone plays like any other voice until it is stopped', () => {
+        const mixer = createMixer();
+
+        const tone = mixer.playTone(4200, { bus: 'ears', volume: 0.2 });
+        mixer.stop(tone);
+
+        expect(tone.source.frequency.value).toBe(4200);
+        expect(tone.source.start).toHaveBeenCalled();
+        expect(tone.source.stop).toHaveBeenCalled();
+        expect(tone.channel.gain.gain.value).toBe(0.2);
+        expect(mixer.buses.ears.gain.connections).toEqual([mixer.buses.master.gain]);
+    });
+
+    test('Rendered samples play like a decoded sound', () => {
+        const mixer = createMixer();
+
+        const buffer = mixer.createBuffer(new Float32Array([0, 0.5, -0.5]), 22050);
+        const voice = mixer.play(buffer, { bus: 'honk' });
+
+        expect(buffer.sampleRate).toBe(22050);
+        expect(Array.from(buffer.getChannelData(0))).toEqual([0, 0.5, -0.5]);
+        expect(voice.source.buffer).toBe(buffer);
+        expect(new Mixer({ storage: null, contextClass: null }).createBuffer(new Float32Array(3), 22050)).toBe(null);
+    });
+
+    test('The music ducks while a siren or explosion plays, however it ends', () => {
+        const mixer = createMixer();
+
+        const siren = mixer.play(buffer, { bus: 'honk', ducks: true });
+        const explosion = mixer.play(buffer, { ducks: true });
+        mixer.play(buffer);
+        expect(mixer.isDucking()).toBe(true);
+
+        mixer.stop(siren);
+        expect(mixer.isDucking()).toBe(true);
+        explosion.source.onended();
+        expect(mixer.isDucking()).toBe(false);
+    });
+
+    test('A voice that finishes frees its channel', () => {
+        const mixer = createMixer();
+        const voices = [];
+        for (let i = 0; i < Mixer.BUSES.honk.channels; i++) {
+            voices.push(mixer.play(buffer, { bus: 'honk' }));
+        }
+
+        voices[2].source.onended();
+        const next = mixer.play(buffer, { bus: 'honk' });
+
+        expect(next.channel).toBe(voices[2].channel);
+        expect(voices.filter(voice => voice.ended)).toEqual([voices[2]]);
+    });
+
+    test('Without Web Audio nothing plays and nothing decodes', async () => {
+        const mixer = new Mixer({ storage: null, contextClass: null });
+
+        expect(mixer.play(buffer)).toBe(null);
+        await expect(mixer.decode(new ArrayBuffer(8))).rejects.toThrow('Web Audio is not available');
+    });
+});
+
+describe('Mixer Settings', () => {
+    test('Bus volumes, mutes and sound options are saved and restored on the next visit', () => {
+        const storage = createStorage();
+        const mixer = createMixer(storage);
+
+        mixer.setVolume('honk', 0.5);
+        mixer.setMuted('music', true);
+        mixer.setSynthHornsEnabled(true);
+        const nextVisit = createMixer(storage);
+        nextVisit.play(buffer);
+
+        expect(nextVisit.getVolume('honk')).toBe(0.5);
+        expect(nextVisit.isMuted('music')).toBe(true);
+        expect(nextVisit.isSynthHornsEnabled()).toBe(true);
+        expect(nextVisit.buses.honk.gain.gain.value).toBe(0.5);
+        expect(nextVisit.buses.music.gain.gain.value).toBe(0);
+        expect(nextVisit.buses.master.gain.gain.value).toBe(1);
+    });
+
+    test('Volumes stay between silent and full', () => {
+        const mixer = createMixer();
+
+        mixer.setVolume('sfx', 1.3);
+        mixer.setVolume('honk', -0.2);
+
+        expect(mixer.getVolume('sfx')).toBe(1);
+        expect(mixer.getVolume('honk')).toBe(0);
+    });
+
+    test('World sounds are muffled and deafened as hearing suffers, unless hearing loss is turned off', () => {
+        const storage = createStorage();
+        const mixer = createMixer(storage);
+        mixer.play(buffer);
+        const { open, closed } = Mixer.MUFFLE_CUTOFF;
+
+        expect(mixer.buses.honk.gain.connections).toEqual([mixer.muffler]);
+        expect(mixer.buses.music.gain.connections).toEqual([mixer.buses.master.gain]);
+        expect(mixer.muffler.frequency.value).toBe(open);
+
+        mixer.setMuffle(1);
+        mixer.setDeafness(0.75);
+        expect(mixer.muffler.frequency.value).toBeCloseTo(closed);
+        expect(mixer.deafener.gain.value).toBe(0.25);
+
+        mixer.setMuffleEnabled(false);
+        expect(mixer.muffler.frequency.value).toBe(open);
+        expect(mixer.deafener.gain.value).toBe(1);
+        expect(createMixer(storage).isMuffleEnabled()).toBe(false);
+    });
+
+    test('Unreadable saved settings fall back to full volume', () => {
+        const storage = createStorage({ [Mixer.STORAGE_KEY]: '{"honk": {"volume": "loud"}' });
+
+        const mixer = createMixer(storage);
+
+        expect(mixer.getVolume('honk')).toBe(1);
+        expect(mixer.isMuted('honk')).toBe(false);
+    });
+});
@@ -0,0 +1,112 @@
+const { Music } = require('../music');
+
+// Instruments are built the way the horns are
+global.Horn = require('../horn').Horn;
+
+/**
+ * An audio player that records what it was asked to play
+ */
+function createAudio() {
+    return {
+        ducking: false,
+        playRendered: jest.fn(() => ({})),
+        setGain: jest.fn(),
+        stop: jest.fn(),
+        isDucking() {
+            return this.ducking;
+        }
+    };
+}
+
+/**
+ * Updates the music for a while in one mood
+ */
+function run(music, seconds, mood, game = null) {
+    for (let t = 0; t < seconds; t += 1 / 60) {
+        music.update(1 / 60, mood, game);
+    }
+}
+
+/**
+ * @returns {Object} Level of each stem by name
+ */
+function levels(music) {
+    return Object.fromEntries(music.stems.map(stem => [stem.name, stem.level]));
+}
+
+const honking = (count) => Array.from({ length: count }, () => ({ isHonking: true }));
+
+describe('Music', () => {
+    test('Every stem loops for the same length, within the mix headroom', () => {
+        for (const name of Object.keys(Music.STEMS)) {
+            const samples = Music.renderStem(name);
+
+            expect(samples.length).toBe(Math.round(Music.getLoopLength() * Music.SAMPLE_RATE));
+            const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+            expect(peak).toBeCloseTo(Music.PEAK);
+        }
+    });
+
+    test('Layers come in as honking spreads and the waves go on', () => {
+        const audio = createAudio();
+        const music = new Music({ audio });
+        const game = { wave: 1, vehicles: [] };
+
+        run(music, 3, 'action', game);
+        expect(levels(music)).toEqual({ pad: 0, bass: 1, drums: 0, arpeggio: 0 });
+
+        // The stems all start together, looping on the music bus
+        expect(audio.playRendered).toHaveBeenCalledTimes(4);
+        expect(audio.playRendered.mock.calls[0][2]).toMatchObject({ bus: 'music', loop: true });
+
+        game.vehicles = [...honking(3), { isHonking: false }];
+        run(music, 5, 'action', game);
+        expect(levels(music).drums).toBe(1);
+        expect(levels(music).arpeggio).toBeLessThan(1);
+
+        game.wave = 3;
+        expect(Music.getIntensity(game)).toBeCloseTo(0.7);
+        run(music, 5, 'action', game);
+        expect(levels(music).arpeggio).toBe(1);
+        expect(audio.playRendered).toHaveBeenCalledTimes(4);
+    });
+
+    test('Only the calm pad plays while paused, and nothing once the game is over', () => {
+        const audio = createAudio();
+        const music = new Music({ audio });
+        const game = { wave: 1, vehicles: honking(6) };
+
+        run(music, 3, 'action', game);
+        run(music, 3, 'calm', game);
+        expect(levels(music)).toEqual({ pad: 1, bass: 0, drums: 0, arpeggio: 0 });
+
+        // Play picks up where it left off
+        expect(music.intensity).toBe(1);
+
+        run(music, 3, 'off', game);
+        expect(audio.stop).toHaveBeenCalledTimes(4);
+        expect(music.stems.every(stem => stem.voice === null)).toBe(true);
+    });
+
+    test('The stems duck under sirens, explosions and stingers', () => {
+        const audio = createAudio();
+        const music = new Music({ audio });
+        const game = { wave: 1, vehicles: [] };
+        const { duck } = Music.SETTINGS;
+        run(music, 3, 'action', game);
+        const bass = music.stems.find(stem => stem.name === 'bass').voice;
+
+        audio.ducking = true;
+        run(music, 0.5, 'action', game);
+        expect(audio.setGain.mock.calls.filter(([voice]) => voice === bass).pop()[1]).toBeCloseTo(duck);
+
+        audio.ducking = false;
+        run(music, 0.5, 'action', game);
+        expect(music.duckLevel).toBe(1);
+
+        music.playStinger('gameOver');
+        expect(audio.playRendered).toHaveBeenLastCalledWith(music.stingers.gameOver, Music.SAMPLE_RATE, expect.objectContaining({ bus: 'music' }));
+        run(music, 0.5, 'action', game);
+        expect(music.duckLevel).toBeCloseTo(duck);
+    });
+});
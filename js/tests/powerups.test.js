@@ -1,7 +1,12 @@
-const { Food } = require('../powerups');
+const { Food, PowerupManager, PowerupPickup, POWERUP_TYPES } = require('../powerups');
 const { Bird } = require('../bird');
 const { Game } = require('../game');
 const { Vehicle } = require('../vehicle');
+const { Random } = require('../random');
+
+// Game scripts find each other as browser globals
+global.Random = Random;
+Object.assign(global, require('../events'));
 
 // Mock assets
 global.assets = {
@@ -104,15 +109,15 @@ describe('Food Class', () => {
         
         // Should still be active
         expect(food.update(1)).toBe(true);
-        expect(food.timeAlive).toBe(1);
+        expect(food.timeAlive).toBeCloseTo(1);
         
         // Update to just before expiration
         expect(food.update(3.9)).toBe(true);
-        expect(food.timeAlive).toBe(4.9);
+        expect(food.timeAlive).toBeCloseTo(4.9);
         
         // Update to expire
         expect(food.update(0.2)).toBe(false);
-        expect(food.timeAlive).toBe(5.1);
+        expect(food.timeAlive).toBeCloseTo(5.1);
     });
     
     test('Food detects collision with bird', () => {
@@ -142,4 +147,94 @@ describe('Food Class', () => {
     });
 });
 
-// ... rest of existing tests ... 
\ No newline at end of file
+describe('PowerupManager', () => {
+    let events;
+    let manager;
+    const bird = { x: 100, y: 100, width: 48, height: 48 };
+    const world = (extra = {}) => ({ wave: 1, bird, foods: [], ...extra });
+
+    beforeEach(() => {
+        events = new EventBus();
+        manager = new PowerupManager(800, 400, { rng: new Random(7), visuals: {}, events });
+    });
+
+    test('Power-ups run out after their duration', () => {
+        const ended = jest.fn();
+        events.on(GameEvents.POWERUP_ENDED, ended);
+
+        manager.activate('slowMotion');
+        expect(manager.getTrafficTimeScale()).toBe(manager.slowMotionTimeScale);
+
+        manager.update(POWERUP_TYPES.slowMotion.duration + 0.1, world());
+
+        expect(manager.isActive('slowMotion')).toBe(false);
+        expect(manager.getTrafficTimeScale()).toBe(1);
+        expect(ended).toHaveBeenCalledWith({ type: 'slowMotion' });
+    });
+
+    test('Stacking rules: extend, stack and refresh', () => {
+        manager.activate('earmuffs');
+        manager.update(2, world());
+        manager.activate('earmuffs');
+        expect(manager.active.get('earmuffs').remaining).toBeCloseTo(2 * POWERUP_TYPES.earmuffs.duration - 2);
+
+        // Extending never goes past the cap
+        for (let i = 0; i < 5; i++) manager.activate('earmuffs');
+        expect(manager.active.get('earmuffs').remaining).toBe(POWERUP_TYPES.earmuffs.maxDuration);
+
+        // Rapid-fire stacks make the cooldown shorter, up to the stack limit
+        for (let i = 0; i < 5; i++) manager.activate('rapidFire');
+        expect(manager.active.get('rapidFire').stacks).toBe(POWERUP_TYPES.rapidFire.maxStacks);
+        expect(manager.getDropCooldownMultiplier()).toBeCloseTo(Math.pow(manager.rapidFireCooldownFactor, 3));
+
+        manager.activate('tripleDrop');
+        manager.update(4, world());
+        manager.activate('tripleDrop');
+        expect(manager.active.get('tripleDrop').remaining).toBe(POWERUP_TYPES.tripleDrop.duration);
+        expect(manager.getDropOffsets()).toHaveLength(3);
+    });
+
+    test('Spawn weights depend on the wave', () => {
+        expect(PowerupManager.getSpawnWeights(1).tripleDrop).toBe(0);
+        expect(PowerupManager.getSpawnWeights(10).tripleDrop).toBeGreaterThan(0);
+
+        for (let i = 0; i < 50; i++) {
+            expect(['earmuffs', 'rapidFire', 'magnet']).toContain(manager.chooseType(1));
+        }
+    });
+
+    test('Flying into a pickup starts its power-up', () => {
+        const started = jest.fn();
+        events.on(GameEvents.POWERUP_STARTED, started);
+
+        const pickup = manager.spawnPickup(1, 'earmuffs');
+        pickup.x = bird.x + 10;
+        pickup.y = bird.y + 10;
+        manager.update(0.1, world());
+
+        expect(manager.pickups).toHaveLength(0);
+        expect(manager.blocksHonkDamage()).toBe(true);
+        expect(started).toHaveBeenCalledWith(expect.objectContaining({ type: 'earmuffs', stacks: 1 }));
+    });
+
+    test('Uncollected pickups disappear', () => {
+        const pickup = manager.spawnPickup(1, 'magnet');
+        pickup.x = 700;
+        pickup.y = 350;
+
+        manager.update(pickup.lifespan + 0.1, world());
+
+        expect(manager.pickups).not.toContain(pickup);
+    });
+
+    test('Magnet pulls nearby food toward the bird', () => {
+        const food = { x: 250, y: 124 };
+        const farFood = { x: 700, y: 124 };
+        manager.activate('magnet');
+
+        manager.update(0.5, world({ foods: [food, farFood] }));
+
+        expect(food.x).toBeLessThan(250);
+        expect(farFood.x).toBe(700);
+    });
+});
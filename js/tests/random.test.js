@@ -0,0 +1,62 @@
+const { Random } = require('../random');
+
+describe('Seedable Random', () => {
+    test('Same seed produces the same sequence', () => {
+        const a = new Random(1234);
+        const b = new Random(1234);
+
+        for (let i = 0; i < 100; i++) {
+            expect(a.next()).toBe(b.next());
+        }
+    });
+
+    test('Different seeds produce different sequences', () => {
+        const a = new Random(1);
+        const b = new Random(2);
+
+        expect(a.next()).not.toBe(b.next());
+    });
+
+    test('Values stay within the requested ranges', () => {
+        const rng = new Random(42);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+
+            const ranged = rng.range(50, 150);
+            expect(ranged).toBeGreaterThanOrEqual(50);
+            expect(ranged).toBeLessThan(150);
+
+            const integer = rng.int(3);
+            expect([0, 1, 2]).toContain(integer);
+        }
+    });
+
+    test('Pick returns an element of the array', () => {
+        const rng = new Random(7);
+        const types = ['car', 'truck', 'bus'];
+
+        for (let i = 0; i < 20; i++) {
+            expect(types).toContain(rng.pick(types));
+        }
+    });
+
+    test('Unseeded generator falls back to Math.random', () => {
+        const originalMathRandom = Math.random;
+        Math.random = jest.fn(() => 0.25);
+
+        const rng = new Random();
+        expect(rng.next()).toBe(0.25);
+        expect(rng.seed).toBeNull();
+
+        Math.random = originalMathRandom;
+    });
+
+    test('Text seeds are hashed consistently, numeric text is used as-is', () => {
+        expect(Random.parseSeed('2026-10-19')).toBe(Random.parseSeed('2026-10-19'));
+        expect(Random.parseSeed('2026-10-19')).not.toBe(Random.parseSeed('2026-10-20'));
+        expect(Random.parseSeed('1234')).toBe(1234);
+    });
+});
@@ -0,0 +1,131 @@
+const {
+    encodeInput,
+    decodeInput,
+    InputState,
+    Replay,
+    InputRecorder,
+    ReplayPlayer
+} = require('../replay');
+
+/**
+ * Minimal deterministic stand-in for Game: position follows input, wave changes every 10 ticks
+ */
+function createFakeGame(seed) {
+    return {
+        seed,
+        tick: 0,
+        wave: 1,
+        score: 0,
+        x: seed,
+        drops: [],
+        bird: { isDead: false },
+        audio: { muted: false },
+        input: null,
+        destroy: jest.fn(),
+        applyInput(input) {
+            this.input = input;
+        },
+        update() {
+            this.tick++;
+            if (this.input.left) this.x--;
+            if (this.input.right) this.x++;
+            if (this.input.drop) this.drops.push(this.tick);
+            this.score = this.x;
+            this.wave = 1 + Math.floor(this.tick / 10);
+        }
+    };
+}
+
+/**
+ * Plays a scripted run, recording it the same way PlayingScreen does
+ */
+function playRecordedRun(script, ticks) {
+    const game = createFakeGame(7);
+    const input = new InputState();
+    const recorder = new InputRecorder(game.seed);
+
+    for (let i = 0; i < ticks; i++) {
+        if (script[i]) script[i](input);
+        const frame = input.sample();
+        recorder.record(game.tick, frame, 1 / 120);
+        game.applyInput(frame);
+        game.update(1 / 120);
+    }
+
+    return { game, replay: recorder.finish(game) };
+}
+
+const script = {
+    2: (input) => input.press('right'),
+    5: (input) => input.press('drop'),
+    12: (input) => { input.release('right'); input.press('left'); },
+    20: (input) => input.press('drop'),
+    31: (input) => input.release('left')
+};
+
+describe('Replay', () => {
+    test('Input frames survive a round trip through the bitmask', () => {
+        const input = { left: true, right: false, up: true, down: false, drop: true, cycle: false };
+        expect(decodeInput(encodeInput(input))).toEqual(input);
+    });
+
+    test('A drop press is delivered to exactly one tick', () => {
+        const input = new InputState();
+        input.press('drop');
+        input.press('drop');
+
+        expect(input.sample().drop).toBe(true);
+        expect(input.sample().drop).toBe(false);
+    });
+
+    test('Only input changes are recorded', () => {
+        const { replay } = playRecordedRun(script, 40);
+
+        // right on, drop on, drop off, right off + left on, drop on, drop off, left off
+        expect(replay.events).toHaveLength(7);
+        expect(replay.finalTick).toBe(40);
+    });
+
+    test('Playback reproduces the recorded run exactly', () => {
+        const { game, replay } = playRecordedRun(script, 40);
+        const player = new ReplayPlayer(Replay.fromJSON(JSON.stringify(replay)), createFakeGame);
+
+        while (!player.isFinished()) player.step();
+
+        expect(player.game.tick).toBe(game.tick);
+        expect(player.game.x).toBe(game.x);
+        expect(player.game.drops).toEqual(game.drops);
+        expect(player.game.score).toBe(replay.finalScore);
+    });
+
+    test('Seeking to a wave re-simulates to the start of that wave', () => {
+        const { replay } = playRecordedRun(script, 40);
+        const player = new ReplayPlayer(replay, createFakeGame);
+
+        player.seekToWave(3);
+        expect(player.game.wave).toBe(3);
+        expect(player.game.tick).toBe(20);
+
+        // Seeking backwards restarts from a fresh game
+        const firstGame = player.game;
+        player.seekToWave(2);
+        expect(firstGame.destroy).toHaveBeenCalled();
+        expect(player.game.tick).toBe(10);
+    });
+
+    test('Wind and road layout are saved with the replay and passed to the replayed game', () => {
+        const recorder = new InputRecorder(7, -25, 'highway');
+        const replay = Replay.fromJSON(JSON.stringify(recorder.finish(createFakeGame(7))));
+        const createGame = jest.fn(createFakeGame);
+
+        new ReplayPlayer(replay, createGame);
+
+        expect(replay.wind).toBe(-25);
+        expect(createGame).toHaveBeenCalledWith(7, { wind: -25, road: 'highway' });
+    });
+
+    test('Files that are not replays are rejected', () => {
+        expect(() => Replay.fromJSON('{"score": 10}')).toThrow('Not a Honk Patrol replay file');
+        expect(() => Replay.fromJSON('{"seed": 7, "wind": 0, "events": []}')).toThrow('Not a Honk Patrol replay file');
+    });
+});
@@ -0,0 +1,48 @@
+const { ROAD_LAYOUTS, Road } = require('../road');
+
+describe('Road', () => {
+    test('The city road has two emergency lanes around four lanes of two-way traffic', () => {
+        const road = new Road(800, 400);
+
+        expect(road.layout).toBe('city');
+        expect(road.totalLanes).toBe(ROAD_LAYOUTS.city.lanes.length);
+        expect(road.getSpawnLanes('left')).toEqual([1, 2, 3]);
+        expect(road.getSpawnLanes('right')).toEqual([1, 2, 3]);
+        expect(road.getEmergencyLanes('right')).toEqual([0, 5]);
+        expect(road.getDirections()).toEqual(['left', 'right']);
+    });
+
+    test('Lanes are stacked from the top of the road down', () => {
+        const road = new Road(800, 400);
+
+        expect(road.top).toBe(125);
+        expect(road.getLaneCenterY(0)).toBe(145);
+        expect(road.getLaneCenterY(5)).toBe(345);
+        expect(road.bottom).toBe(365);
+    });
+
+    test('The median pushes the lanes below it down and cannot be crossed', () => {
+        const road = new Road(800, 400, 'highway');
+        const { laneHeight, medianHeight } = ROAD_LAYOUTS.highway;
+
+        expect(road.getLaneCenterY(4) - road.getLaneCenterY(3)).toBe(laneHeight + medianHeight);
+        expect(road.height).toBe(8 * laneHeight + medianHeight);
+        expect(road.isMedianBetween(3, 4)).toBe(true);
+        expect(road.getNeighbourLanes(4, 'right')).toEqual([5]);
+        expect(road.getNeighbourLanes(2, 'left')).toEqual([1, 3]);
+    });
+
+    test('Traffic only enters a one-way street in its direction', () => {
+        const road = new Road(800, 400, 'oneWay');
+
+        expect(road.getDirections()).toEqual(['right']);
+        expect(road.getSpawnLanes('left')).toEqual([]);
+        expect(road.allowsDirection(2, 'left')).toBe(false);
+        expect(road.getSpeedLimit(4)).toBe(80);
+        expect(road.getSpeedLimit(1)).toBe(Infinity);
+    });
+
+    test('Unknown layouts are rejected', () => {
+        expect(() => new Road(800, 400, 'racetrack')).toThrow('Unknown road layout: racetrack');
+    });
+});
@@ -0,0 +1,278 @@
+const {
+    LoadingScreen,
+    TitleScreen,
+    PlayingScreen,
+    PausedScreen,
+    WaveIntermissionScreen,
+    GameOverScreen,
+    ReplayScreen,
+    ScreenManager
+} = require('../screens');
+
+// Screens record input with the replay classes and play sounds and music through the mixer, all browser globals in the game
+Object.assign(global, require('../replay'), require('../mixer'), require('../audio'), require('../music'));
+
+// Mock assets for testing
+global.assets = {
+    sounds: {
+        ui: {
+            start: { buffer: {}, volume: 1, loop: false },
+            gameover: { buffer: {}, volume: 1, loop: false }
+        }
+    },
+    visuals: {}
+};
+
+// Mock Game class
+global.Game = jest.fn().mockImplementation(() => ({
+    wave: 1,
+    tick: 0,
+    seed: 42,
+    score: 0,
+    road: { layout: 'city' },
+    vehicles: [],
+    applyInput: jest.fn(),
+    update: jest.fn(),
+    draw: jest.fn(),
+    drawGameOverScreen: jest.fn(),
+    handleSpacebar: jest.fn(),
+    destroy: jest.fn(),
+    bird: {
+        isDead: false,
+        startMovingLeft: jest.fn(),
+        stopMovingLeft: jest.fn(),
+        stopAllMovement: jest.fn()
+    }
+}));
+
+const key = (k) => ({ key: k, preventDefault: jest.fn() });
+
+describe('Screen State Machine', () => {
+    let screens;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        const mockCanvas = {
+            width: 800,
+            height: 400,
+            getContext: jest.fn(() => ({}))
+        };
+
+        screens = new ScreenManager(mockCanvas);
+        // A mixer of its own with nothing saved, so settings don't carry over between tests
+        screens.audio = new AudioPlayer(assets.sounds, new Mixer({ storage: null }));
+        jest.spyOn(screens.audio, 'play');
+        screens.music = new Music({ audio: screens.audio });
+        jest.spyOn(screens.music, 'update');
+        jest.spyOn(screens.music, 'playStinger');
+        screens.change(new TitleScreen(screens));
+    });
+
+    test('Any key on the title screen starts a game', () => {
+        screens.handleKeyDown(key('a'));
+
+        expect(Game).toHaveBeenCalledTimes(1);
+        expect(screens.current).toBeInstanceOf(PlayingScreen);
+        expect(screens.audio.play).toHaveBeenCalledWith('ui', 'start');
+    });
+
+    test('P pauses and resumes the game', () => {
+        screens.handleKeyDown(key('a'));
+        const game = screens.game;
+
+        screens.handleKeyDown(key('p'));
+        expect(screens.current).toBeInstanceOf(PausedScreen);
+        expect(game.bird.stopAllMovement).toHaveBeenCalled();
+
+        // Game is frozen while paused
+        screens.update(0.1);
+        expect(game.update).not.toHaveBeenCalled();
+
+        screens.handleKeyDown(key('P'));
+        expect(screens.current).toBeInstanceOf(PlayingScreen);
+
+        screens.update(0.1);
+        expect(game.update).toHaveBeenCalledWith(0.1);
+    });
+
+    test('The pause screen sets the volume of each bus and switches the sound options', () => {
+        screens.handleKeyDown(key('a'));
+        screens.handleKeyDown(key('p'));
+        const mixer = screens.audio.mixer;
+
+        // Second setting down is the music
+        screens.handleKeyDown(key('ArrowDown'));
+        screens.handleKeyDown(key('ArrowLeft'));
+        screens.handleKeyDown(key('ArrowLeft'));
+        screens.handleKeyDown(key('m'));
+
+        expect(mixer.getVolume('music')).toBe(0.8);
+        expect(mixer.isMuted('music')).toBe(true);
+        expect(mixer.getVolume('master')).toBe(1);
+        expect(screens.current).toBeInstanceOf(PausedScreen);
+
+        // Below the buses, whether the bird's hearing loss is heard and whether synthesized horns are mixed in
+        screens.handleKeyDown(key('ArrowUp'));
+        screens.handleKeyDown(key('ArrowUp'));
+        screens.handleKeyDown(key('ArrowRight'));
+        screens.handleKeyDown(key('ArrowUp'));
+        screens.handleKeyDown(key('m'));
+        expect(mixer.isSynthHornsEnabled()).toBe(true);
+        expect(mixer.isMuffleEnabled()).toBe(false);
+    });
+
+    test('Wave change shows the intermission, then resumes play', () => {
+        screens.handleKeyDown(key('a'));
+        const game = screens.game;
+
+        game.update.mockImplementation(() => { game.wave = 2; });
+        screens.update(0.1);
+        expect(screens.current).toBeInstanceOf(WaveIntermissionScreen);
+
+        screens.update(screens.current.duration);
+        expect(screens.current).toBeInstanceOf(PlayingScreen);
+    });
+
+    test('Bird death shows game over and SPACE restarts with a new game', () => {
+        screens.handleKeyDown(key('a'));
+        const firstGame = screens.game;
+
+        firstGame.bird.isDead = true;
+        screens.update(0.1);
+        expect(screens.current).toBeInstanceOf(GameOverScreen);
+        expect(screens.audio.play).toHaveBeenCalledWith('ui', 'gameover');
+
+        // Input is ignored right after dying
+        screens.handleKeyDown(key(' '));
+        expect(screens.game).toBe(firstGame);
+
+        screens.update(screens.current.inputDelay);
+        screens.handleKeyDown(key(' '));
+
+        expect(firstGame.destroy).toHaveBeenCalled();
+        expect(screens.game).not.toBe(firstGame);
+        expect(screens.current).toBeInstanceOf(PlayingScreen);
+    });
+
+    test('The music follows the screen, with stingers as waves start and the game ends', () => {
+        screens.handleKeyDown(key('a'));
+        const game = screens.game;
+        expect(screens.music.playStinger).toHaveBeenLastCalledWith('wave');
+
+        screens.update(0.1);
+        expect(screens.music.update).toHaveBeenLastCalledWith(0.1, 'action', game);
+
+        screens.handleKeyDown(key('p'));
+        screens.update(0.1);
+        expect(screens.music.update).toHaveBeenLastCalledWith(0.1, 'calm', game);
+        screens.handleKeyDown(key('p'));
+
+        game.update.mockImplementation(() => { game.wave = 2; });
+        screens.update(0.1);
+        expect(screens.music.playStinger).toHaveBeenCalledTimes(2);
+        expect(screens.music.update).toHaveBeenLastCalledWith(0.1, 'calm', game);
+
+        screens.update(screens.current.duration);
+        game.bird.isDead = true;
+        screens.update(0.1);
+        expect(screens.music.playStinger).toHaveBeenLastCalledWith('gameOver');
+        expect(screens.music.update).toHaveBeenLastCalledWith(0.1, 'off', game);
+    });
+
+    test('Arrow keys are applied to the game once per tick', () => {
+        screens.handleKeyDown(key('a'));
+        const game = screens.game;
+
+        screens.handleKeyDown(key('ArrowLeft'));
+        screens.handleKeyDown(key(' '));
+        expect(game.applyInput).not.toHaveBeenCalled();
+
+        screens.update(0.1);
+        expect(game.applyInput).toHaveBeenLastCalledWith({ left: true, right: false, up: false, down: false, drop: true, cycle: false });
+
+        // A drop press only lasts for a single tick
+        screens.update(0.1);
+        expect(game.applyInput).toHaveBeenLastCalledWith({ left: true, right: false, up: false, down: false, drop: false, cycle: false });
+    });
+
+    test('R on the game over screen plays back the recorded run', () => {
+        screens.handleKeyDown(key('a'));
+        const game = screens.game;
+
+        game.bird.isDead = true;
+        screens.update(0.1);
+        expect(screens.lastReplay.seed).toBe(42);
+
+        screens.update(screens.current.inputDelay);
+        screens.handleKeyDown(key('r'));
+
+        expect(game.destroy).toHaveBeenCalled();
+        expect(screens.current).toBeInstanceOf(ReplayScreen);
+        expect(Game).toHaveBeenLastCalledWith(screens.canvas, { seed: 42, wind: 0, road: 'city' });
+    });
+});
+
+describe('Loading Screen', () => {
+    let screens;
+
+    const report = (failures = []) => ({
+        results: failures,
+        failures,
+        missingRequired: failures.filter(failure => failure.required),
+        error: null
+    });
+    const failure = (name, options = {}) => ({
+        name, kind: 'spriteSet', total: 4, failed: ['a.png'], fallback: 'remaining 3 frames',
+        required: false, optional: false, ...options
+    });
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        screens = new ScreenManager({ width: 800, height: 400, getContext: jest.fn(() => ({})) });
+    });
+
+    test('Shows progress and goes to the title screen when everything loaded', async () => {
+        let finish;
+        const load = jest.fn((onProgress) => new Promise(resolve => {
+            onProgress({ filesLoaded: 3, filesTotal: 10, bytesLoaded: 2048, bytesTotal: 8192 });
+            finish = resolve;
+        }));
+        screens.change(new LoadingScreen(screens, { load }));
+
+        expect(screens.current.progress.filesLoaded).toBe(3);
+
+        finish(report());
+        await flush();
+        expect(screens.current).toBeInstanceOf(TitleScreen);
+    });
+
+    test('Failures are reported until the player continues anyway', async () => {
+        screens.change(new LoadingScreen(screens, { load: async () => report([failure('bird_flying')]) }));
+        await flush();
+
+        const loading = screens.current;
+        expect(loading).toBeInstanceOf(LoadingScreen);
+        expect(loading.report.failures[0].fallback).toBe('remaining 3 frames');
+
+        screens.handleKeyDown(key('Enter'));
+        expect(screens.current).toBeInstanceOf(TitleScreen);
+    });
+
+    test('Optional failures do not stop on the report', async () => {
+        screens.change(new LoadingScreen(screens, { load: async () => report([failure('game.bird_ears', { optional: true })]) }));
+        await flush();
+
+        expect(screens.current).toBeInstanceOf(TitleScreen);
+    });
+
+    test('Strict mode refuses to start without required assets', async () => {
+        const load = async () => report([failure('vehicles.car_sprites.left', { required: true })]);
+        screens.change(new LoadingScreen(screens, { load, strict: true }));
+        await flush();
+
+        screens.handleKeyDown(key('Enter'));
+        expect(screens.current).toBeInstanceOf(LoadingScreen);
+        expect(screens.current.canContinue()).toBe(false);
+    });
+});
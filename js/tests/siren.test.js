@@ -0,0 +1,64 @@
+const { Siren } = require('../siren');
+const { Road } = require('../road');
+
+/**
+ * An audio player that records what it was asked to do
+ */
+function createAudio() {
+    return {
+        play: jest.fn(() => ({})),
+        stop: jest.fn(),
+        setPosition: jest.fn()
+    };
+}
+
+describe('Siren', () => {
+    const road = new Road(800, 400);
+
+    afterEach(() => {
+        Siren.playing = null;
+    });
+
+    test('The siren sound follows the vehicle, loud out to its hearing radius', () => {
+        const audio = createAudio();
+        const vehicle = { x: 0, y: 200, road };
+        const siren = new Siren(vehicle, { audio });
+
+        siren.update(1 / 60, true);
+        vehicle.x = 800;
+        siren.update(1 / 60, true);
+
+        expect(audio.play).toHaveBeenCalledTimes(1);
+        expect(audio.play.mock.calls[0][2].position).toEqual({ x: 0, y: 200, radius: Siren.SETTINGS.hearingRadius });
+        expect(audio.setPosition.mock.calls.map(call => call.slice(1))).toEqual([
+            [0, 200, Siren.SETTINGS.hearingRadius],
+            [800, 200, Siren.SETTINGS.hearingRadius]
+        ]);
+    });
+
+    test('Sirens share one sound, handed over when the one playing it stops', () => {
+        const audio = createAudio();
+        const first = new Siren({ x: 100, y: 200, road }, { audio });
+        const second = new Siren({ x: 700, y: 200, road }, { audio });
+
+        first.update(1 / 60, true);
+        second.update(1 / 60, true);
+        expect(Siren.playing).toBe(first);
+        expect(second.sound).toBe(null);
+
+        first.update(1 / 60, false);
+        second.update(1 / 60, true);
+        expect(audio.stop).toHaveBeenCalledTimes(1);
+        expect(Siren.playing).toBe(second);
+    });
+
+    test('Only a sounding siren is heard, and only nearby', () => {
+        const siren = new Siren({ x: 400, y: 200, road }, { audio: createAudio() });
+        const { hearingRadius } = Siren.SETTINGS;
+
+        expect(siren.isHeardAt(400, 200)).toBe(false);
+        siren.update(1 / 60, true);
+        expect(siren.isHeardAt(400 + hearingRadius - 10, 200)).toBe(true);
+        expect(siren.isHeardAt(400 + hearingRadius + 10, 200)).toBe(false);
+    });
+});
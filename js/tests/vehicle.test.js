@@ -1 +1,475 @@
- 
\ No newline at end of file
+const { Vehicle } = require('../vehicle');
+const { Random } = require('../random');
+const { NullAudio } = require('../audio');
+const { EventBus } = require('../events');
+
+// The event names, Fire, Siren, Horn, Road and Intersection are browser globals in the game
+Object.assign(global, require('../events'), require('../fire'), require('../siren'), require('../horn'),
+    require('../road'), require('../intersection'));
+
+// Only enough sprite data for the constructor to pick a type and size
+const sprite = { width: 120, height: 60 };
+const visuals = {
+    vehicles: {
+        car_sprites: { left: [sprite], right: [sprite] },
+        truck_sprites: { left: [sprite], right: [sprite] },
+        bus_sprites: { left: [sprite], right: [sprite] },
+        emergency_sprites: { left: [sprite], right: [sprite] },
+        motorbike_sprites: { left: [sprite], right: [sprite] },
+        rickshaw_sprites: { left: [sprite], right: [sprite] },
+        van_sprites: { left: [sprite], right: [sprite] }
+    }
+};
+
+/**
+ * Creates a vehicle of the given type that is honking (or not), on the city road unless another is given
+ */
+function createVehicle(type, honking, road) {
+    const vehicle = new Vehicle(800, 400, {
+        rng: new Random(1),
+        audio: new NullAudio(),
+        visuals,
+        events: new EventBus(),
+        road,
+        type
+    });
+    vehicle.isHonking = honking;
+    vehicle.lastHonkTime = honking ? vehicle.age : -Infinity;
+    return vehicle;
+}
+
+describe('Vehicle Durability', () => {
+    test('A car is cleared by a single hit', () => {
+        const car = createVehicle('car', true);
+
+        expect(car.handleHit()).toBe(5);
+        expect(car.hitByPoop).toBe(true);
+    });
+
+    test('A bus takes several hits, scoring a little each time and a bonus at the end', () => {
+        const bus = createVehicle('bus', true);
+        const points = [];
+
+        for (let i = 0; i < Vehicle.TYPES.bus.hits; i++) {
+            expect(bus.hitByPoop).toBe(false);
+            points.push(bus.handleHit());
+        }
+
+        expect(points).toEqual([2, 2, 2, 5 + 3 * 3]);
+        expect(bus.hitByPoop).toBe(true);
+        expect(bus.hits).toBe(4);
+        expect(bus.handleHit()).toBe(0);
+    });
+
+    test('Partial hits on a quiet truck cost points without clearing it', () => {
+        const truck = createVehicle('truck', false);
+
+        expect(truck.handleHit()).toBe(-5);
+        expect(truck.hitByPoop).toBe(false);
+        expect(truck.hits).toBe(1);
+    });
+
+    test('One pile is drawn per hit', () => {
+        const truck = createVehicle('truck', false);
+        truck.visuals = { ...visuals, drops: { pile: { width: 20, height: 10 } } };
+        const ctx = { drawImage: jest.fn() };
+
+        truck.handleHit();
+        truck.handleHit();
+        truck.drawPiles(ctx);
+
+        expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Road Rage', () => {
+    test('Nearby honks are irritating, distant ones are not heard', () => {
+        const vehicle = createVehicle('car', false);
+        const near = createVehicle('car', true);
+        const far = createVehicle('car', true);
+        vehicle.irritation = 0;
+        vehicle.temper = 1;
+        near.x = vehicle.x + 40;
+        far.x = vehicle.x + Vehicle.IRRITATION.hearingRadius + 10;
+
+        vehicle.hearHonk(far);
+        expect(vehicle.irritation).toBe(0);
+
+        vehicle.hearHonk(near);
+        expect(vehicle.irritation).toBeCloseTo(Vehicle.IRRITATION.honkHeard * 0.75);
+    });
+
+    test('Irritation builds up while crawling and sets off a honk', () => {
+        const vehicle = createVehicle('car', false);
+        vehicle.irritation = 0.9;
+        vehicle.honkCooldown = 0;
+        vehicle.originalSpeed = vehicle.speed;
+        vehicle.stick(10, 0.1);
+
+        for (let i = 0; i < 120 && !vehicle.isHonking; i++) {
+            vehicle.update(1 / 60, [vehicle]);
+        }
+
+        expect(vehicle.isHonking).toBe(true);
+        expect(vehicle.irritation).toBeLessThan(1);
+    });
+
+    test('Irritation fades while traffic flows', () => {
+        const vehicle = createVehicle('car', false);
+        vehicle.irritation = 0.5;
+
+        vehicle.update(1, [vehicle]);
+
+        expect(vehicle.irritation).toBeCloseTo(0.5 - Vehicle.IRRITATION.calmRate);
+    });
+});
+
+/**
+ * Puts a vehicle at a position in a lane, cruising at its desired speed
+ */
+function place(vehicle, direction, x, lane, desiredSpeed) {
+    vehicle.direction = direction;
+    vehicle.x = x;
+    vehicle.lane = lane;
+    vehicle.y = vehicle.road.getLaneCenterY(lane);
+    vehicle.originalSpeed = vehicle.speed = direction === 'right' ? desiredSpeed : -desiredSpeed;
+    vehicle.carelessness = 0;
+    vehicle.gapMisjudgment = 1;
+    return vehicle;
+}
+
+/**
+ * Runs a group of vehicles like Game.update() does
+ */
+function drive(vehicles, seconds) {
+    for (let t = 0; t < seconds; t += 1 / 120) {
+        for (const vehicle of vehicles) {
+            vehicle.update(1 / 120, vehicles);
+        }
+    }
+}
+
+describe('Car Following', () => {
+    test('A fast vehicle queues behind a slow one instead of driving through it', () => {
+        const slow = place(createVehicle('car', false), 'right', 300, 2, 40);
+        const fast = place(createVehicle('car', false), 'right', 150, 2, 140);
+        // Neither may change lanes, so the fast one has nowhere to go
+        slow.laneChangeTimer = fast.laneChangeTimer = Infinity;
+
+        drive([slow, fast], 6);
+
+        expect(fast.hasCrashed || slow.hasCrashed).toBe(false);
+        expect(slow.x - fast.x).toBeGreaterThan(slow.halfWidth + fast.halfWidth);
+        expect(Math.abs(fast.speed)).toBeLessThan(60);
+    });
+
+    test('Oncoming vehicles in the same lane stop or swerve instead of ghosting', () => {
+        const right = place(createVehicle('car', false), 'right', 100, 2, 120);
+        const left = place(createVehicle('car', false), 'left', 700, 2, 120);
+
+        drive([right, left], 10);
+
+        expect(right.hasCrashed || left.hasCrashed).toBe(false);
+        const passed = right.x > left.x;
+        const stoppedApart = left.x - right.x > right.halfWidth + left.halfWidth;
+        expect(passed ? right.lane !== left.lane || right.isChangingLane || left.isChangingLane : stoppedApart).toBe(true);
+    });
+
+    test('Vehicles that touch crash, whichever way they drive', () => {
+        const first = place(createVehicle('car', false), 'right', 400, 2, 100);
+        const second = place(createVehicle('car', false), 'right', 400 + first.halfWidth, 2, 100);
+
+        first.checkForVehicleCollisions([first, second]);
+
+        expect(first.hasCrashed).toBe(true);
+        expect(second.hasCrashed).toBe(true);
+    });
+
+    test('A new vehicle waits when traffic is backed up to the edge of the road', () => {
+        const queued = [1, 2, 3].map(lane => place(createVehicle('car', false), 'right', 20, lane, 0.001));
+        const entering = place(createVehicle('car', false), 'right', -30, 1, 100);
+
+        expect(entering.findEntryLane(queued)).toBe(false);
+        expect(entering.findEntryLane(queued.slice(1))).toBe(true);
+        expect(entering.lane).toBe(1);
+    });
+});
+
+describe('Road Layouts', () => {
+    test('Traffic on a one-way street all enters going the same way', () => {
+        const road = new Road(800, 400, 'oneWay');
+        const options = { rng: new Random(3), audio: new NullAudio(), visuals, events: new EventBus(), road };
+
+        for (let i = 0; i < 20; i++) {
+            const vehicle = new Vehicle(800, 400, options);
+            expect(vehicle.direction).toBe('right');
+            expect(road.getSpawnLanes('right')).toContain(vehicle.lane);
+        }
+    });
+
+    test('Drivers keep to the speed limit of their lane, emergency vehicles do not', () => {
+        const road = new Road(800, 400, 'oneWay');
+        const car = place(createVehicle('car', false, road), 'right', 400, 4, 140);
+        const ambulance = place(createVehicle('emergency', false, road), 'right', 400, 4, 140);
+
+        expect(car.getDesiredSpeed()).toBe(80);
+        expect(ambulance.getDesiredSpeed()).toBe(140);
+    });
+
+    test('Stuck drivers never cross the median to get around a blockage', () => {
+        const road = new Road(800, 400, 'highway');
+        const wreck = place(createVehicle('car', false, road), 'right', 400, 4, 0.001);
+        const driver = place(createVehicle('car', false, road), 'right', 400 - wreck.width - 10, 4, 100);
+        driver.speed = 0;
+
+        driver.considerLaneChange([wreck, driver]);
+
+        expect(driver.targetLane).toBe(5);
+    });
+});
+
+describe('Traffic Lights', () => {
+    /**
+     * Puts a red light in front of a vehicle driving right in lane 2
+     */
+    function approachRedLight() {
+        const intersection = new Intersection(400, new Road(800, 400), { phase: 'red' });
+        const vehicle = place(createVehicle('car', false), 'right', 100, 2, 100);
+        vehicle.intersections = [intersection];
+        vehicle.laneChangeTimer = Infinity;
+        return { intersection, vehicle };
+    }
+
+    test('A vehicle stops before the line at a red light and floors it on green', () => {
+        const { intersection, vehicle } = approachRedLight();
+
+        drive([vehicle], 10);
+
+        expect(Math.abs(vehicle.speed)).toBeLessThan(1);
+        expect(vehicle.x + vehicle.halfWidth).toBeLessThanOrEqual(intersection.getStopLineX('right'));
+        expect(vehicle.isWaitingAtLight).toBe(true);
+
+        intersection.phase = 'green';
+        drive([vehicle], 0.5);
+
+        expect(vehicle.surgeTimer).toBeGreaterThan(0);
+        expect(vehicle.lightWaitTimer).toBe(0);
+    });
+
+    test('Waiting at a red light gets more irritating the longer it lasts', () => {
+        const { vehicle } = approachRedLight();
+        vehicle.temper = 1;
+        drive([vehicle], 6);
+        vehicle.irritation = 0;
+        vehicle.honkCooldown = Infinity;
+
+        drive([vehicle], 1);
+        const firstSecond = vehicle.irritation;
+        vehicle.irritation = 0;
+        drive([vehicle], 1);
+
+        expect(firstSecond).toBeGreaterThan(0);
+        expect(vehicle.irritation).toBeGreaterThan(firstSecond);
+    });
+
+    test('Emergency vehicles drive through red lights', () => {
+        const { intersection, vehicle } = approachRedLight();
+        vehicle.type = 'emergency';
+
+        drive([vehicle], 6);
+
+        expect(vehicle.x).toBeGreaterThan(intersection.x);
+    });
+});
+
+describe('Crash Aftermath', () => {
+    /**
+     * Puts a wreck in lane 2 on the city road, fire already out
+     */
+    function createWreck() {
+        const wreck = place(createVehicle('car', false), 'right', 500, 2, 100);
+        wreck.crash();
+        wreck.fire = null;
+        return wreck;
+    }
+
+    test('A wreck stays on the road and blocks its lane until it is towed', () => {
+        const wreck = createWreck();
+        const driver = place(createVehicle('car', false), 'right', 200, 2, 100);
+        driver.laneChangeTimer = Infinity;
+
+        drive([wreck, driver], 12);
+
+        expect(wreck.update(1 / 120, [wreck, driver])).toBe(true);
+        expect(driver.hasCrashed).toBe(false);
+        expect(wreck.x - driver.x).toBeGreaterThan(wreck.halfWidth + driver.halfWidth);
+        expect(Math.abs(driver.speed)).toBeLessThan(1);
+    });
+
+    test('A tow truck pulls up behind the wreck, loads it and drives off with it', () => {
+        const wreck = createWreck();
+        const truck = place(createVehicle('truck', false), 'right', 100, 2, 100);
+        truck.dispatchTo(wreck, 'tow');
+
+        drive([wreck, truck], 15);
+
+        expect(truck.hasCrashed).toBe(false);
+        expect(wreck.isCleared).toBe(true);
+        expect(wreck.update(1 / 120, [wreck, truck])).toBe(false);
+        expect(truck.cargo).toBe(wreck);
+        expect(truck.assignment).toBe(null);
+    });
+
+    test('Drivers slow down to look at a wreck in the next lane', () => {
+        const wreck = createWreck();
+        const driver = place(createVehicle('car', false), 'right', 420, 3, 100);
+        driver.laneChangeTimer = Infinity;
+
+        driver.update(1 / 120, [wreck, driver]);
+
+        expect(driver.isRubbernecking).toBe(true);
+        expect(driver.currentAcceleration).toBeLessThan(0);
+    });
+
+    test('An emergency vehicle stops alongside the wreck instead of driving past', () => {
+        const wreck = createWreck();
+        const ambulance = place(createVehicle('emergency', false), 'right', 100, 2, 140);
+        ambulance.dispatchTo(wreck, 'responder');
+
+        drive([wreck, ambulance], 12);
+
+        expect(ambulance.onScene).toBe(true);
+        expect(ambulance.lane).not.toBe(wreck.lane);
+        expect(Math.abs(ambulance.x - wreck.x)).toBeLessThan(Vehicle.AFTERMATH.onSceneDistance + ambulance.halfWidth);
+        expect(ambulance.hasCrashed).toBe(false);
+    });
+});
+
+describe('Sirens', () => {
+    afterEach(() => {
+        Siren.playing = null;
+    });
+
+    test('Drivers pull over onto the emergency lane for a siren coming up behind', () => {
+        const road = new Road(800, 400, 'oneWay');
+        const car = place(createVehicle('car', false, road), 'right', 300, 1, 60);
+        const ambulance = place(createVehicle('emergency', false, road), 'right', 150, 1, 140);
+        // Keep the ambulance in its lane so it has to be let through
+        ambulance.laneChangeTimer = Infinity;
+
+        drive([car, ambulance], 1);
+
+        expect(ambulance.isSirenSounding()).toBe(true);
+        expect(car.targetLane).toBe(0);
+    });
+
+    test('Drivers do not pull in front of a siren', () => {
+        const road = new Road(800, 400, 'oneWay');
+        const ambulance = place(createVehicle('emergency', false, road), 'right', 100, 2, 140);
+        const car = place(createVehicle('car', false, road), 'right', 300, 3, 100);
+        ambulance.updateSiren(1 / 60);
+
+        expect(car.findSirenBehind(2, [car, ambulance])).toBe(ambulance);
+        expect(car.findSirenBehind(3, [car, ambulance])).toBe(null);
+    });
+
+    test('The siren goes quiet on the scene of a crash, but the lights keep flashing', () => {
+        const wreck = place(createVehicle('car', false), 'right', 500, 2, 100);
+        wreck.crash();
+        const ambulance = place(createVehicle('emergency', false), 'right', 100, 2, 140);
+        ambulance.dispatchTo(wreck, 'responder');
+
+        drive([wreck, ambulance], 12);
+
+        expect(ambulance.onScene).toBe(true);
+        expect(ambulance.isSirenSounding()).toBe(false);
+        const ctx = { save: jest.fn(), restore: jest.fn(), fillRect: jest.fn(), beginPath: jest.fn(), arc: jest.fn(), fill: jest.fn() };
+        ambulance.siren.draw(ctx);
+        expect(ctx.fillRect).toHaveBeenCalled();
+    });
+
+    test('Emergency crews with the siren on never get irritated', () => {
+        const ambulance = place(createVehicle('emergency', false), 'right', 100, 2, 140);
+        ambulance.irritation = 0.5;
+        ambulance.stick(10, 0.1);
+
+        drive([ambulance], 1);
+
+        expect(ambulance.isSirenSounding()).toBe(true);
+        expect(ambulance.irritation).toBe(0);
+    });
+});
+
+describe('Vehicle Types', () => {
+    test('A motorbike honks in a burst of short honks, then cools down', () => {
+        const motorbike = place(createVehicle('motorbike', false), 'right', 100, 2, 140);
+        let honks = 0;
+        motorbike.events.on(GameEvents.HONK_STARTED, () => honks++);
+        motorbike.irritation = 1;
+        motorbike.updateIrritation(0);
+
+        drive([motorbike], 1.5);
+
+        expect(honks).toBe(Vehicle.TYPES.motorbike.honk.bursts);
+        expect(motorbike.isHonking).toBe(false);
+        expect(motorbike.honkCooldown).toBeGreaterThan(Vehicle.TYPES.motorbike.honk.gap);
+    });
+
+    test('Without recorded honks every vehicle sounds a synthesized horn of its own kind', () => {
+        const bus = createVehicle('bus', false);
+        bus.audio.playHorn = jest.fn(() => null);
+
+        bus.playHonkSound();
+        bus.stopHonkSound();
+        bus.playHonkSound();
+
+        expect(bus.horn.timbre).toBe(Vehicle.TYPES.bus.honk.horn);
+        expect(bus.horn.length).toBe(bus.honkDuration);
+        expect(bus.audio.playHorn.mock.calls.map(call => call[0])).toEqual([bus.horn, bus.horn]);
+        expect(bus.audio.playHorn.mock.calls[0][1].bus).toBe('honk');
+
+        // With recordings loaded, synthesized horns are only mixed in when the player asks for them
+        const car = createVehicle('car', false);
+        car.audio.names = () => ['honk1'];
+        expect(car.getHorn()).toBe(null);
+    });
+
+    test('A motorbike weaves past a slow vehicle where a rickshaw stays stuck behind it', () => {
+        for (const type of ['motorbike', 'rickshaw']) {
+            const slow = place(createVehicle('truck', false), 'right', 300, 2, 10);
+            const follower = place(createVehicle(type, false), 'right', 200, 2, 40);
+            slow.laneChangeTimer = Infinity;
+
+            drive([slow, follower], 3);
+
+            expect(follower.lane !== 2 || follower.isChangingLane).toBe(type === 'motorbike');
+        }
+    });
+
+    test('A delivery van stops in its lane to unload, then drives on', () => {
+        const van = place(createVehicle('van', false), 'right', 100, 2, 100);
+        van.deliveryStopX = 400;
+        van.unloadDuration = 2;
+        van.laneChangeTimer = Infinity;
+
+        drive([van], 6);
+
+        expect(van.isUnloading).toBe(true);
+        expect(van.x + van.halfWidth).toBeLessThanOrEqual(400);
+        expect(van.x + van.halfWidth).toBeGreaterThan(400 - van.minimumGap * 2 - 5);
+
+        drive([van], 3);
+
+        expect(van.deliveryStopX).toBe(null);
+        expect(van.isUnloading).toBe(false);
+        expect(van.x + van.halfWidth).toBeGreaterThan(400);
+    });
+
+    test('Each type scores its own points', () => {
+        expect(createVehicle('motorbike', true).handleHit()).toBe(8);
+        expect(createVehicle('rickshaw', true).handleHit()).toBe(2);
+
+        const van = createVehicle('van', true);
+        expect([van.handleHit(), van.handleHit()]).toEqual([2, 6 + 3]);
+    });
+});
@@ -3,9 +3,95 @@
  * @class
  */
 class Vehicle {
-    // Static property to track active honk sounds
-    static activeHonkSounds = 0;
-    static MAX_CONCURRENT_HONKS = 3;
+    // What sets each vehicle type apart:
+    //   weight     - how often it turns up in regular traffic, relative to the others
+    //   speed      - range the driver's cruising speed is picked from, pixels per second
+    //   height     - height it is drawn at (the width follows the sprite); lanes are at least 30 pixels
+    //   points     - for clearing it while it honks, before the bonus for sturdy vehicles (see handleHit())
+    //   hits       - droppings needed to clear it off the road; sturdy vehicles take several
+    //   honk       - length of each honk, honks per burst, pause between them, wait before the
+    //                next burst (all in seconds), the pitch recorded honks are played at, the
+    //                synthesized horn it gets (a key of Horn.TIMBRES) and whether it is an air
+    //                horn loud enough to leave the bird's ears ringing
+    //   laneChange - seconds between lane change decisions, the gain a change must bring, the
+    //                seconds the move takes and whether it only moves over when stuck, where they
+    //                differ from TRAFFIC
+    static TYPES = {
+        car: {
+            weight: 1, speed: [50, 150], height: 30, points: 5, hits: 1,
+            honk: { duration: [1, 3], bursts: 1, gap: 0, cooldown: [3, 7], pitch: 1, horn: 'beep' }
+        },
+        truck: {
+            weight: 1, speed: [50, 150], height: 30, points: 5, hits: 3,
+            honk: { duration: [1, 3], bursts: 1, gap: 0, cooldown: [3, 7], pitch: 1, horn: 'dualTone' }
+        },
+        bus: {
+            weight: 1, speed: [50, 150], height: 30, points: 5, hits: 4,
+            honk: { duration: [1, 3], bursts: 1, gap: 0, cooldown: [3, 7], pitch: 1, horn: 'airHorn' }
+        },
+        emergency: {
+            weight: 1, speed: [50, 150], height: 30, points: 5, hits: 1,
+            honk: { duration: [1, 3], bursts: 1, gap: 0, cooldown: [3, 7], pitch: 1, horn: 'airHorn', loud: true }
+        },
+        // Quick and hard to hit; weaves from lane to lane and honks in short, shrill bursts
+        motorbike: {
+            weight: 0.8, speed: [110, 170], height: 20, points: 8, hits: 1,
+            honk: { duration: [0.15, 0.3], bursts: 3, gap: 0.15, cooldown: [2, 4], pitch: 1.6, horn: 'squeak' },
+            laneChange: { interval: 0.2, threshold: 4, duration: 0.4 }
+        },
+        // Crawls along and holds its lane unless it is completely stuck, so queues build up behind it
+        rickshaw: {
+            weight: 0.6, speed: [25, 45], height: 28, points: 4, hits: 2,
+            honk: { duration: [0.3, 0.6], bursts: 2, gap: 0.25, cooldown: [3, 6], pitch: 1.3, horn: 'squeak' },
+            laneChange: { onlyWhenStuck: true }
+        },
+        // Stops in its lane somewhere along the road to unload, see DELIVERY
+        van: {
+            weight: 0.8, speed: [70, 120], height: 30, points: 6, hits: 2,
+            honk: { duration: [0.8, 2], bursts: 1, gap: 0, cooldown: [3, 7], pitch: 0.85, horn: 'beep' }
+        }
+    };
+    
+    // Delivery vans: where they stop and for how long
+    static DELIVERY = {
+        stopRange: [0.2, 0.8],   // part of the road's length the stop is picked from
+        crossingClearance: 100,  // pixels the stop keeps away from a traffic-light crossing
+        unloadDuration: [4, 8]   // seconds spent unloading
+    };
+    
+    // Car-following tuning shared by every driver (per-driver values are set in the constructor)
+    static TRAFFIC = {
+        maxBraking: 300,          // hardest any vehicle can brake, pixels per second squared
+        safeBraking: 150,         // a lane change may not force the new follower to brake harder than this
+        laneChangeThreshold: 15,  // acceleration a lane change must gain before a driver bothers
+        keepOutBias: 20,          // extra gain needed to enter the overtaking or emergency lanes
+        laneChangeInterval: 0.5,  // seconds between lane change decisions
+        distractionRate: 0.3      // distractions per second for the most careless drivers
+    };
+    
+    // Crash aftermath: wrecks block their lane until a tow truck hauls them off
+    static AFTERMATH = {
+        rubberneckDistance: 150, // drivers this close to a wreck slow down to have a look
+        rubberneckFactor: 0.5,   // fraction of their desired speed they slow to
+        onSceneDistance: 20,     // a dispatched vehicle stopped this close to its spot has arrived
+        loadDuration: 2.5,       // seconds a tow truck takes to winch a wreck onto its bed
+        dispatchBias: 40,        // lane change gain for moving toward the lane a dispatched vehicle needs
+        clearAfter: 45           // seconds after the fire before a wreck no tow truck reached is cleared anyway
+    };
+    
+    // Road rage tuning: irritation runs from 0 to 1 and a full meter sets off a honk
+    static IRRITATION = {
+        hearingRadius: 160,  // pixels within which a honk is heard
+        honkHeard: 0.35,     // added by a honk right next to the vehicle, less further away
+        slowDown: 0.15,      // added by having to brake
+        blockedRate: 0.12,   // per second stuck behind a slower vehicle
+        jamRate: 0.2,        // per second crawling below 30% of normal speed
+        impatienceRate: 1,   // per second, scaled by how far below the desired speed the driver is
+        cutIn: 0.3,          // added when somebody changes lanes in front and forces braking
+        redLightRate: 0.03,  // per second, times the seconds already spent waiting at a red light
+        calmRate: 0.06,      // per second lost while traffic flows
+        afterHonk: 0.3       // left over after honking it out
+    };
     
     // Static property for the current wave (will be updated by the Game class)
     static currentWave = 1;
@@ -20,15 +106,16 @@ class Vehicle {
      * @param {string} type - The vehicle type
      * @param {string} direction - The direction ('left' or 'right')
      * @param {number} spriteIndex - Optional specific sprite index to check
+     * @param {Object} visuals - Sprite collections to check; defaults to the preloaded sprites
      * @returns {boolean} - Whether assets exist for this vehicle type and direction
      */
-    static hasAssets(type, direction, spriteIndex = null) {
-        if (!assets.visuals.vehicles) return false;
-        if (!assets.visuals.vehicles[`${type}_sprites`]) return false;
-        if (!assets.visuals.vehicles[`${type}_sprites`][direction]) return false;
-        if (!assets.visuals.vehicles[`${type}_sprites`][direction].length) return false;
+    static hasAssets(type, direction, spriteIndex = null, visuals = assets.visuals) {
+        if (!visuals.vehicles) return false;
+        if (!visuals.vehicles[`${type}_sprites`]) return false;
+        if (!visuals.vehicles[`${type}_sprites`][direction]) return false;
+        if (!visuals.vehicles[`${type}_sprites`][direction].length) return false;
         
-        const spriteArray = assets.visuals.vehicles[`${type}_sprites`][direction];
+        const spriteArray = visuals.vehicles[`${type}_sprites`][direction];
         
         // If a specific sprite index is requested, check just that one
         if (spriteIndex !== null) {
@@ -43,17 +130,38 @@ class Vehicle {
      * Creates a new Vehicle instance
      * @param {number} canvasWidth - Width of the game canvas
      * @param {number} canvasHeight - Height of the game canvas
+     * @param {Object} options - Optional settings
+     * @param {Random} options.rng - Random number generator shared with the game
+     * @param {AudioPlayer|NullAudio} options.audio - Sound player shared with the game
+     * @param {Object} options.visuals - Sprite collections that decide the type and size
+     * @param {EventBus} options.events - Game event bus for honks and crashes
+     * @param {Road} options.road - The road the vehicle drives on
+     * @param {Array<Intersection>} options.intersections - Traffic-light crossings on the road
+     * @param {string} options.type - Vehicle type to create (a key of Vehicle.TYPES); any type if omitted
+     * @param {Array<string>} options.directions - Directions it may drive in; any the road allows if omitted
      */
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, options = {}) {
         // Set canvas dimensions for reference
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
-        // Randomly select direction first (needed for asset checking)
-        this.direction = Math.random() < 0.5 ? 'left' : 'right';
+        // All gameplay randomness comes from the game's generator so a seed reproduces a run
+        this.rng = options.rng || new Random();
+        this.audio = options.audio || new AudioPlayer(assets.sounds);
+        this.visuals = options.visuals || assets.visuals;
+        this.events = options.events || new EventBus();
+        this.road = options.road || new Road(canvasWidth, canvasHeight);
+        this.intersections = options.intersections || [];
+        
+        // Time this vehicle has existed, used instead of the wall clock for honk timing
+        this.age = 0;
         
-        // Possible vehicle types
-        const types = ['car', 'truck', 'bus', 'emergency'];
+        // Randomly select direction first (needed for asset checking), from the ways the road goes
+        const directions = options.directions || this.road.getDirections();
+        this.direction = this.rng.pick(directions);
+        
+        // Possible vehicle types: the one asked for, or any of them
+        const types = options.type ? [options.type] : Object.keys(Vehicle.TYPES);
         
         // Try up to 10 times to find a valid vehicle type and sprite
         let validVehicleFound = false;
@@ -61,20 +169,20 @@ class Vehicle {
         
         while (!validVehicleFound && attempts < 10) {
             // Filter types to only include those with valid assets
-            const validTypes = types.filter(type => Vehicle.hasAssets(type, this.direction));
+            const validTypes = types.filter(type => Vehicle.hasAssets(type, this.direction, null, this.visuals));
             
             if (validTypes.length === 0) {
-                // Try the other direction if no valid types for this direction
-                this.direction = this.direction === 'left' ? 'right' : 'left';
+                // Try the other direction if no valid types for this direction (and the road allows it)
+                this.direction = directions.find(direction => direction !== this.direction) || this.direction;
                 attempts++;
                 continue;
             }
             
-            // Randomly select from valid types
-            this.type = validTypes[Math.floor(Math.random() * validTypes.length)];
+            // Randomly select from valid types, the common ones more often
+            this.type = this.chooseType(validTypes);
             
             // Get sprite array for this type and direction
-            const spriteArray = assets.visuals.vehicles[`${this.type}_sprites`][this.direction];
+            const spriteArray = this.visuals.vehicles[`${this.type}_sprites`][this.direction];
             
             // Find all valid sprite indices (non-null sprites)
             const validSpriteIndices = [];
@@ -91,7 +199,7 @@ class Vehicle {
             }
             
             // Select a random valid sprite
-            this.spriteIndex = validSpriteIndices[Math.floor(Math.random() * validSpriteIndices.length)];
+            this.spriteIndex = this.rng.pick(validSpriteIndices);
             validVehicleFound = true;
         }
         
@@ -102,65 +210,109 @@ class Vehicle {
             
             // Default to a known type and direction
             this.type = 'car';
-            this.direction = 'right';
+            this.direction = directions[0];
             this.spriteIndex = 0;
         }
         
         // Pre-calculate and store vehicle dimensions to avoid repeated calculations
         this.calculateVehicleDimensions();
         
-        // Define lanes
-        this.totalLanes = 6; // Total number of lanes on the road (including emergency lanes)
-        this.laneHeight = 30; // Reduced from 60 to 30
-        this.laneStartY = this.canvasHeight - (this.totalLanes * this.laneHeight) - 50; // Start from bottom, leaving 50px for ground
-        
-        // Assign a lane from the central 3 lanes (lanes 2-4, index 1-3)
-        // Keeping lanes 0 and 5 as emergency lanes and not using lane 4 (bottom regular lane)
-        this.lane = Math.floor(Math.random() * 3) + 1;
+        // Start in one of the road's spawn lanes for this direction
+        this.lane = this.rng.pick(this.road.getSpawnLanes(this.direction));
         
         // Set Y position based on lane
-        this.y = this.laneStartY + (this.lane * this.laneHeight) + (this.laneHeight / 2);
+        this.y = this.road.getLaneCenterY(this.lane);
         
-        // Set starting position based on direction
+        // Set starting position based on direction, at a speed that suits the type
+        const [minSpeed, maxSpeed] = this.getProfile().speed;
         if (this.direction === 'left') {
             // Start from right side, moving left
             this.x = canvasWidth + this.width / 2;
-            this.speed = -(Math.random() * 100 + 50); // -150 to -50 pixels per second
+            this.speed = -this.rng.range(minSpeed, maxSpeed);
         } else {
             // Start from left side, moving right
             this.x = -this.width / 2;
-            this.speed = Math.random() * 100 + 50; // 50 to 150 pixels per second
+            this.speed = this.rng.range(minSpeed, maxSpeed);
         }
         
-        // Store original speed for returning to normal speed after slowdown
+        // Desired cruising speed (signed like speed); the driver accelerates toward it when the road is clear
         this.originalSpeed = this.speed;
-        // Target speed for smooth acceleration/deceleration
-        this.targetSpeed = this.speed;
-        // Speed change rate (pixels per second per second)
-        this.acceleration = 100;
-        // Flag to track if vehicle is in slowdown mode
-        this.isSlowingDown = false;
+        
+        // Car-following (Intelligent Driver Model) parameters, different for every driver
+        this.maxAcceleration = this.rng.range(50, 90); // pixels per second squared
+        this.comfortableBraking = this.rng.range(100, 140); // pixels per second squared
+        this.headway = this.rng.range(0.8, 1.8); // desired time gap to the vehicle ahead, seconds
+        this.minimumGap = this.rng.range(8, 16); // bumper-to-bumper gap when queueing, pixels
+        // Most drivers judge gaps well; careless ones think they have more room than they do
+        this.carelessness = this.rng.chance(0.2) ? this.rng.range(0.5, 1) : this.rng.range(0, 0.2);
+        this.gapMisjudgment = 1 + this.carelessness * 0.8;
+        // How much a driver cares about slowing others down when changing lanes
+        this.politeness = this.rng.range(0, 0.5) * (1 - this.carelessness);
+        
+        this.currentAcceleration = 0;
+        this.distractedTimer = 0; // While distracted the driver doesn't react to traffic
+        this.laneChangeTimer = this.rng.range(0, Vehicle.TRAFFIC.laneChangeInterval);
+        this.isSlowingDown = false; // Braking harder than is comfortable
+        
+        // Traffic lights: waiting at a red one wears patience thin, and a long wait ends in a surge
+        this.isWaitingAtLight = false;
+        this.lightWaitTimer = 0; // seconds spent waiting at the current red light
+        this.surgeTimer = 0; // while running, the driver floors it
         
         // Collision and crash state
         this.hasCrashed = false;
         this.crashTimer = 0;
-        this.crashDuration = 3.0; // seconds
+        this.crashDuration = 3.0; // seconds the wreck burns
         this.fire = null;
+        this.isCleared = false; // Set once the wreck is off the road (loaded onto a tow truck)
+        this.responder = null; // Emergency vehicle sent to this wreck
+        this.towTruck = null; // Tow truck sent to this wreck
+        
+        // Emergency services and tow trucks are sent to a wreck, see dispatchTo()
+        this.assignment = null; // { role: 'responder' | 'tow', wreck: Vehicle }
+        this.onScene = false;
+        this.loadTimer = 0;
+        this.cargo = null; // Wreck carried on a tow truck's bed
+        this.isRubbernecking = false;
+        
+        // Emergency vehicles get a siren and light bar on their first update, see updateSiren()
+        this.siren = null;
+        this.isYielding = false; // Making way for a siren coming up behind
+        
+        // Delivery vans stop once along the road to unload
+        this.deliveryStopX = null; // Where the van's front bumper stops, null once delivered
+        this.unloadDuration = 0;
+        this.unloadTimer = 0;
+        this.isUnloading = false;
+        if (this.type === 'van') {
+            this.deliveryStopX = this.chooseDeliveryStop();
+            this.unloadDuration = this.rng.range(...Vehicle.DELIVERY.unloadDuration);
+        }
         
-        // Poop hit state
+        // Poop hit state (hitByPoop is set by the final hit)
         this.hitByPoop = false;
         this.hitTimer = 0;
         this.hitDuration = 3.0; // seconds before disappearing after being hit
+        this.hits = 0; // Droppings taken so far, one pile each on the roof
+        this.maxHits = this.getProfile().hits;
+        
+        // Sticky droppings slow the vehicle down for a while
+        this.stuckTimer = 0;
+        this.stuckFactor = 1;
         
         // Collision avoidance
+        this.isChangingLane = false;
         this.targetLane = null;
         this.laneChangeProgress = 0;
         this.laneChangeSpeed = 1.0; // Time to complete lane change in seconds
         
-        // Honking properties - reduced chance of honking by 15%
-        this.isHonking = Math.random() < 0.255; // Reduced from 30% to 25.5% chance (15% reduction)
+        // Honking properties - honks are set off by irritation, see updateIrritation()
+        this.isHonking = false;
+        this.temper = this.rng.range(0.6, 1.4); // How quickly this driver gets irritated
+        this.irritation = this.rng.range(0, 0.6); // Some drivers arrive already annoyed
+        this.isBlocked = false; // Stuck behind a slower vehicle this tick
         this.honkInterval = 1.0; // seconds between honk sounds while honking
-        this.lastHonkTime = 0; // track last honk time
+        this.lastHonkTime = -Infinity; // vehicle age at the last honk
         this.honkAnimationTimer = 0; // timer for honk animation
         this.currentlyPlayingHonk = null; // reference to active audio
         this.honkGracePeriod = 10.0; // seconds to consider vehicle as honking after last honk
@@ -173,9 +325,66 @@ class Vehicle {
         this.soundWaves = [];
         
         // Honking properties
-        this.honkDuration = Math.random() * 2 + 1; // Random duration between 1-3 seconds
+        this.honkDuration = this.rng.range(...this.getProfile().honk.duration); // Seconds each honk lasts
         this.honkTimer = 0;
         this.honkCooldown = 0;
+        this.honkBurstsLeft = 0; // Honks still to come in the current burst
+        this.horn = undefined; // Synthesized horn, or null for recorded honks; decided on the first honk, see getHorn()
+    }
+    
+    /**
+     * Picks a vehicle type according to the type weights
+     * @param {Array<string>} types - Types to pick from (those with sprites)
+     * @returns {string} Key of Vehicle.TYPES
+     */
+    chooseType(types) {
+        const total = types.reduce((sum, type) => sum + Vehicle.TYPES[type].weight, 0);
+        
+        let roll = this.rng.next() * total;
+        for (const type of types) {
+            roll -= Vehicle.TYPES[type].weight;
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+    
+    /**
+     * @returns {Object} This vehicle type's entry in Vehicle.TYPES
+     */
+    getProfile() {
+        return Vehicle.TYPES[this.type] || Vehicle.TYPES.car;
+    }
+    
+    /**
+     * How this vehicle type changes lanes
+     * @returns {{interval: number, threshold: number, duration: number, onlyWhenStuck: boolean}} Seconds
+     *   between decisions, the gain a change must bring, seconds the move takes and whether it only
+     *   moves over to get around something blocking its lane
+     */
+    getLaneChangeStyle() {
+        return {
+            interval: Vehicle.TRAFFIC.laneChangeInterval,
+            threshold: Vehicle.TRAFFIC.laneChangeThreshold,
+            duration: 1.0,
+            onlyWhenStuck: false,
+            ...this.getProfile().laneChange
+        };
+    }
+    
+    /**
+     * Picks where along the road a delivery van stops, away from the crossings
+     * @returns {number|null} X coordinate of the stop, or null if there is no room for one
+     */
+    chooseDeliveryStop() {
+        const { stopRange, crossingClearance } = Vehicle.DELIVERY;
+        
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const x = this.rng.range(stopRange[0], stopRange[1]) * this.road.width;
+            if (this.road.intersectionPositions.every(crossing => Math.abs(crossing - x) > crossingClearance)) {
+                return x;
+            }
+        }
+        return null;
     }
     
     /**
@@ -183,12 +392,12 @@ class Vehicle {
      * This prevents dimensions from being recalculated every frame
      */
     calculateVehicleDimensions() {
-        // Use a fixed height for all vehicles to fit properly in lanes
-        const standardHeight = 30;
+        // Use a fixed height for each vehicle type to fit properly in lanes
+        const standardHeight = this.getProfile().height;
         this.height = standardHeight;
         
         // Get sprite to determine aspect ratio
-        const spriteArray = assets.visuals.vehicles[`${this.type}_sprites`][this.direction];
+        const spriteArray = this.visuals.vehicles[`${this.type}_sprites`][this.direction];
         
         if (spriteArray && spriteArray.length > 0 && this.spriteIndex < spriteArray.length) {
             const sprite = spriteArray[this.spriteIndex];
@@ -233,6 +442,15 @@ class Vehicle {
             case 'emergency':
                 this.width = 70;
                 break;
+            case 'motorbike':
+                this.width = 40;
+                break;
+            case 'rickshaw':
+                this.width = 45;
+                break;
+            case 'van':
+                this.width = 70;
+                break;
             default:
                 this.width = 60;
         }
@@ -245,55 +463,67 @@ class Vehicle {
      * @returns {boolean} True if the vehicle is still on screen, false if it should be removed
      */
     update(deltaTime, allVehicles) {
+        this.age += deltaTime;
+        
         // If vehicle has been hit by poop, update hit timer
         if (this.hitByPoop) {
             this.hitTimer += deltaTime;
             if (this.hitTimer >= this.hitDuration) {
+                this.stopSiren();
+                this.releaseAssignment(); // Its wreck needs someone else sent
                 return false; // Remove vehicle after 3 seconds
             }
         }
         
-        // If vehicle has crashed, update fire and crash timer
+        // A crashed vehicle burns, then the wreck blocks its lane until a tow truck hauls it off
         if (this.hasCrashed) {
-            // Update fire animation
-            if (this.fire) {
-                // Fire returns false when its duration is exceeded
-                if (!this.fire.update(deltaTime)) {
-                    return false; // Remove vehicle
-                }
-            } else {
-                // If no fire exists but vehicle is crashed, increment crash timer
-                this.crashTimer += deltaTime;
-                if (this.crashTimer >= this.crashDuration) {
-                    return false; // Remove vehicle
-                }
+            if (this.isCleared) {
+                return false; // On a tow truck now
             }
             
-            return true; // Keep crashed vehicle until fire is gone
-        }
-        
-        // Update speed (smooth acceleration/deceleration)
-        if (this.speed !== this.targetSpeed) {
-            const speedDiff = this.targetSpeed - this.speed;
-            const speedChangeThisFrame = Math.min(
-                Math.abs(speedDiff), 
-                this.acceleration * deltaTime
-            ) * Math.sign(speedDiff);
-            
-            this.speed += speedChangeThisFrame;
+            // Fire returns false when its duration is exceeded
+            if (this.fire && !this.fire.update(deltaTime)) {
+                this.fire = null;
+            }
             
-            // Snap to target speed if very close to avoid floating point issues
-            if (Math.abs(this.speed - this.targetSpeed) < 1) {
-                this.speed = this.targetSpeed;
+            // Clear wrecks nobody could reach, so a lane is never blocked for good
+            this.crashTimer += deltaTime;
+            const towArrived = this.towTruck && this.towTruck.onScene &&
+                (!allVehicles || allVehicles.includes(this.towTruck));
+            if (this.crashTimer >= this.crashDuration + Vehicle.AFTERMATH.clearAfter && !towArrived) {
+                this.isCleared = true;
+                return false;
             }
+            
+            return true;
         }
         
-        // Update position
+        // Decide whether to change lanes, then how hard to accelerate or brake
+        const vehicles = allVehicles || [];
+        this.laneChangeTimer -= deltaTime;
+        if (!this.isChangingLane && !this.onScene && !this.isUnloading && this.laneChangeTimer <= 0) {
+            this.laneChangeTimer = this.getLaneChangeStyle().interval;
+            this.considerLaneChange(vehicles);
+        }
+        this.updateAcceleration(deltaTime, vehicles);
+        
+        // Update speed (vehicles never reverse) and position
+        const speed = Math.max(0, Math.abs(this.speed) + this.currentAcceleration * deltaTime);
+        this.speed = speed * this.getHeading();
         this.x += this.speed * deltaTime;
         
+        if (this.stuckTimer > 0) {
+            this.stuckTimer = Math.max(0, this.stuckTimer - deltaTime);
+        }
+        if (this.surgeTimer > 0) {
+            this.surgeTimer = Math.max(0, this.surgeTimer - deltaTime);
+        }
+        
         // Check if vehicle is out of bounds
         if ((this.direction === 'left' && this.x < -this.width) || 
             (this.direction === 'right' && this.x > this.canvasWidth + this.width)) {
+            this.stopSiren();
+            this.releaseAssignment();
             return false; // Vehicle should be removed
         }
         
@@ -306,41 +536,39 @@ class Vehicle {
                 this.y = this.targetY;
                 this.isChangingLane = false;
                 this.laneChangeProgress = 0;
-                
-                // If we were slowing down and now lane change is complete,
-                // check if we can return to normal speed
-                if (this.isSlowingDown) {
-                    // Check if the collision risk is gone
-                    this.checkIfCanReturnToNormalSpeed(allVehicles);
-                }
             } else {
                 // Interpolate position between lanes
                 this.y = this.originalY + (this.targetY - this.originalY) * this.laneChangeProgress;
             }
-        } else if (allVehicles) {
-            // Check for potential collisions with other vehicles
-            this.detectAndAvoidCollisions(allVehicles, deltaTime);
-            
-            // If we're slowing down but not changing lanes, check if we can return to normal speed
-            if (this.isSlowingDown && !this.isChangingLane) {
-                this.checkIfCanReturnToNormalSpeed(allVehicles);
-            }
-            
-            // Check for actual collisions with other vehicles
+        }
+        
+        // Check for actual collisions with other vehicles
+        if (allVehicles) {
             this.checkForVehicleCollisions(allVehicles);
         }
         
+        // Traffic gets on the driver's nerves
+        this.updateIrritation(deltaTime);
+        this.updateSiren(deltaTime);
+        
         // Handle honking
         if (this.isHonking) {
             // Update honk timer
             this.honkTimer += deltaTime;
             
+            // The honk is heard from wherever the vehicle has got to
+            if (this.honkingAudio) {
+                this.audio.setPosition(this.honkingAudio, this.x, this.y);
+            }
+            
             // Stop honking after the set duration
             if (this.honkTimer >= this.honkDuration) {
                 this.stopHonkSound();
                 this.honkTimer = 0;
-                // Set a cooldown before honking again (3-7 seconds)
-                this.honkCooldown = Math.random() * 4 + 3;
+                // A short pause before the next honk of a burst, a longer cooldown after the last (3-7 seconds for a car)
+                const { gap, cooldown } = this.getProfile().honk;
+                this.honkBurstsLeft = Math.max(0, this.honkBurstsLeft - 1);
+                this.honkCooldown = this.honkBurstsLeft > 0 ? gap : this.rng.range(cooldown[0], cooldown[1]);
             }
             
             // Update honk animation
@@ -348,288 +576,590 @@ class Vehicle {
                 this.honkAnimationTimer = Math.max(0, this.honkAnimationTimer - deltaTime);
             }
         } else if (this.honkCooldown > 0) {
-            // Update honk cooldown
+            // Update honk cooldown, then carry on with the burst
             this.honkCooldown -= deltaTime;
+            if (this.honkCooldown <= 0 && this.honkBurstsLeft > 0 && !this.hitByPoop) {
+                this.playHonkSound();
+            }
         }
         
         return true; // Vehicle is still active
     }
     
     /**
-     * Detects potential collisions with other vehicles and initiates lane changes to avoid them
+     * Direction of travel along the x axis
+     * @returns {number} 1 when driving right, -1 when driving left
+     */
+    getHeading() {
+        return this.direction === 'right' ? 1 : -1;
+    }
+    
+    /**
+     * Whether the vehicle takes up space in a lane (both lanes while changing)
+     * @param {number} lane - The lane to check
+     * @returns {boolean} True if the vehicle is in the lane
+     */
+    occupiesLane(lane) {
+        return this.lane === lane || (this.isChangingLane && this.targetLane === lane);
+    }
+    
+    /**
+     * Finds the nearest vehicle ahead in a lane, whichever way it is driving
+     * @param {number} lane - The lane to look in
      * @param {Array<Vehicle>} allVehicles - All vehicles in the game
-     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @returns {{vehicle: Vehicle, gap: number, speed: number}|null} The leader, the
+     *     bumper-to-bumper gap to it and its speed along our heading (negative when oncoming)
      */
-    detectAndAvoidCollisions(allVehicles, deltaTime) {
-        // Don't check if already changing lanes
-        if (this.isChangingLane) return;
-        
-        // Check for vehicles in the same lane going in the opposite direction
-        const oppositeDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            ((this.direction === 'left' && vehicle.direction === 'right') || 
-             (this.direction === 'right' && vehicle.direction === 'left'))
-        );
-        
-        // Check for vehicles in the same lane going in the same direction
-        const sameDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            this.direction === vehicle.direction
-        );
+    findLeader(lane, allVehicles) {
+        const heading = this.getHeading();
+        let leader = null;
         
-        // Check for collisions with opposite direction vehicles first
-        for (const vehicle of oppositeDirectionVehicles) {
-            // Calculate time to collision
-            const timeToCollision = this.calculateTimeToCollision(vehicle);
+        for (const other of allVehicles) {
+            if (other === this || !other.occupiesLane(lane)) continue;
             
-            // If vehicles are about to collide, slow down and attempt lane change
-            if (timeToCollision !== null) {
-                if (timeToCollision < 3) { // Start slowing down earlier, at 3 seconds
-                    // Start slowing down
-                    this.slowDown();
-                    
-                    // If closer than 2 seconds, attempt lane change
-                    if (timeToCollision < 2) {
-                        this.attemptLaneChange(allVehicles, true); // true indicates opposing traffic
-                    }
-                    
-                    return; // Exit after handling the first potential collision
-                }
+            const ahead = (other.x - this.x) * heading;
+            if (ahead <= 0) continue;
+            
+            const gap = ahead - this.halfWidth - other.halfWidth;
+            if (!leader || gap < leader.gap) {
+                leader = { vehicle: other, gap, speed: other.speed * heading };
             }
         }
         
-        // If no opposite direction collisions, check same direction
-        for (const vehicle of sameDirectionVehicles) {
-            // For same direction, simple distance check
-            const distance = this.direction === 'right' 
-                ? vehicle.x - this.x  // If going right, check vehicles ahead
-                : this.x - vehicle.x; // If going left, check vehicles ahead
-                
-            // Only consider vehicles ahead of us
-            if (distance > 0 && distance < this.width * 4) { // Increased detection distance
-                // Start slowing down
-                this.slowDown();
-                
-                // If very close, attempt lane change
-                if (distance < this.width * 2) {
-                    this.attemptLaneChange(allVehicles, false); // false indicates same direction traffic
-                }
-                
-                return;
-            }
-        }
+        return leader;
     }
     
     /**
-     * Slows the vehicle down to a random percentage between 5% and 30% of its original speed
+     * Finds the nearest vehicle behind in a lane that drives the same way
+     * @param {number} lane - The lane to look in
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {{vehicle: Vehicle, gap: number}|null} The follower and the bumper-to-bumper gap to it
      */
-    slowDown() {
-        if (this.isSlowingDown) return; // Already slowing down
-        
-        this.isSlowingDown = true;
+    findFollower(lane, allVehicles) {
+        const heading = this.getHeading();
+        let follower = null;
         
-        // Generate a random percentage between 5% and 30%
-        const randomSlowdownPercentage = (Math.random() * 25 + 5) / 100; // 0.05 to 0.30
-        // Set target speed to the random percentage of original speed (keeping the sign)
-        this.targetSpeed = this.originalSpeed * randomSlowdownPercentage;
-        
-        // Reduced chance to honk when slowing down by 15%
-        if (Math.random() < 0.425 && !this.isHonking && !this.hitByPoop && !this.hasCrashed && this.honkCooldown <= 0) { // Reduced from 50% to 42.5%
-            this.playHonkSound();
-            this.honkTimer = 0; // Reset honk timer
+        for (const other of allVehicles) {
+            if (other === this || other.direction !== this.direction || !other.occupiesLane(lane)) continue;
+            
+            const behind = (this.x - other.x) * heading;
+            if (behind <= 0) continue;
+            
+            const gap = behind - this.halfWidth - other.halfWidth;
+            if (!follower || gap < follower.gap) {
+                follower = { vehicle: other, gap };
+            }
         }
+        
+        return follower;
     }
     
     /**
-     * Checks if the vehicle can return to normal speed after a slowdown
+     * Whether any vehicle in a lane is level with this one (or closer than the
+     * driver's minimum gap), so there is no room to move into the lane
+     * @param {number} lane - The lane to check
      * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {boolean} True if the space next to the vehicle is taken, as far as the driver can tell
      */
-    checkIfCanReturnToNormalSpeed(allVehicles) {
-        // Check if there are any vehicles that would cause us to remain slowed down
-        
-        // Check for vehicles in the same lane going in the opposite direction
-        const oppositeDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            ((this.direction === 'left' && vehicle.direction === 'right') || 
-             (this.direction === 'right' && vehicle.direction === 'left'))
-        );
-        
-        // Check for vehicles in the same lane going in the same direction
-        const sameDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            this.direction === vehicle.direction
+    hasVehicleAlongside(lane, allVehicles) {
+        return allVehicles.some(other =>
+            other !== this && other.occupiesLane(lane) &&
+            (Math.abs(other.x - this.x) - this.halfWidth - other.halfWidth) * this.gapMisjudgment < this.minimumGap
         );
+    }
+    
+    /**
+     * Finds the nearest stop line ahead whose light tells the driver to stop.
+     * Emergency vehicles drive through red lights.
+     * @returns {{vehicle: null, gap: number, speed: number, intersection: Intersection}|null}
+     *     The stop line as a standing leader, or null if no light ahead says stop
+     */
+    findStopLine() {
+        if (this.type === 'emergency') return null;
         
-        // Check for potential collisions
-        let shouldRemainSlowed = false;
+        const heading = this.getHeading();
+        const speed = Math.abs(this.speed);
+        let stopLine = null;
         
-        // Check opposite direction
-        for (const vehicle of oppositeDirectionVehicles) {
-            const timeToCollision = this.calculateTimeToCollision(vehicle);
-            if (timeToCollision !== null && timeToCollision < 3) {
-                shouldRemainSlowed = true;
-                break;
+        for (const intersection of this.intersections) {
+            const gap = (intersection.getStopLineX(this.direction) - this.x) * heading - this.halfWidth;
+            
+            // Once over the line the driver carries on through the crossing
+            if (gap < 0 || !intersection.tellsToStop(gap, speed, this.comfortableBraking)) continue;
+            
+            if (!stopLine || gap < stopLine.gap) {
+                stopLine = { vehicle: null, gap, speed: 0, intersection };
             }
         }
         
-        // Check same direction
-        if (!shouldRemainSlowed) {
-            for (const vehicle of sameDirectionVehicles) {
-                const distance = this.direction === 'right' 
-                    ? vehicle.x - this.x
-                    : this.x - vehicle.x;
-                    
-                if (distance > 0 && distance < this.width * 4) {
-                    shouldRemainSlowed = true;
-                    break;
-                }
+        return stopLine;
+    }
+    
+    /**
+     * Whatever the driver has to keep a gap to in a lane: the vehicle ahead, a
+     * stop line at a red light, the spot a dispatched vehicle parks at or a
+     * delivery van's stop, whichever is nearest
+     * @param {number} lane - The lane to look in
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {Object|null} Same shape as findLeader(); `vehicle` is null for a stop line
+     */
+    findObstacleAhead(lane, allVehicles) {
+        let obstacle = this.findLeader(lane, allVehicles);
+        
+        for (const stop of [this.findStopLine(), this.findScenePoint(lane), this.findDeliveryStop()]) {
+            if (stop && (!obstacle || stop.gap < obstacle.gap)) {
+                obstacle = stop;
             }
         }
-        
-        // If no collision risks, return to normal speed
-        if (!shouldRemainSlowed) {
-            this.isSlowingDown = false;
-            this.targetSpeed = this.originalSpeed;
+        return obstacle;
+    }
+    
+    /**
+     * Tracks how long the driver has been queueing at a red light, whether first
+     * in line or further back, and starts a surge once the light turns green
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {number} speed - Own speed (magnitude)
+     */
+    updateLightWait(deltaTime, speed) {
+        const stopLine = this.findStopLine();
+        this.isWaitingAtLight = speed < 10 && !!stopLine && stopLine.gap < Intersection.TIMING.queueDistance;
+        
+        if (this.isWaitingAtLight) {
+            this.lightWaitTimer += deltaTime;
+        } else if (this.lightWaitTimer > 0 && !stopLine) {
+            // Green at last
+            this.surgeTimer = Intersection.TIMING.surgeDuration;
+            this.lightWaitTimer = 0;
         }
     }
     
     /**
-     * Calculates time to collision with another vehicle
-     * @param {Vehicle} otherVehicle - The other vehicle to check against
-     * @returns {number|null} Time in seconds until collision, or null if no collision is expected
+     * Sends the vehicle to a wreck. Responders park alongside it until it is
+     * towed; tow trucks pull up to it, wait for the fire to go out and load it.
+     * @param {Vehicle} wreck - The crashed vehicle
+     * @param {string} role - 'responder' or 'tow'
      */
-    calculateTimeToCollision(otherVehicle) {
-        // Ensure vehicles are approaching each other
-        const approachingFromLeft = this.direction === 'right' && otherVehicle.direction === 'left' && this.x < otherVehicle.x;
-        const approachingFromRight = this.direction === 'left' && otherVehicle.direction === 'right' && this.x > otherVehicle.x;
-        
-        if (!approachingFromLeft && !approachingFromRight) {
-            return null; // Vehicles are not approaching each other
+    dispatchTo(wreck, role) {
+        this.assignment = { role, wreck };
+        if (role === 'tow') {
+            wreck.towTruck = this;
+        } else {
+            wreck.responder = this;
         }
         
-        // Calculate distance between vehicles
-        const distance = Math.abs(this.x - otherVehicle.x) - (this.width / 2) - (otherVehicle.width / 2);
+        // Crews are professionals: no distractions, no misjudged gaps
+        this.carelessness = 0;
+        this.gapMisjudgment = 1;
+        this.distractedTimer = 0;
+    }
+    
+    /**
+     * Ends the vehicle's assignment; it drives on like any other vehicle
+     */
+    releaseAssignment() {
+        if (!this.assignment) return;
         
-        // Calculate relative speed (closing speed)
-        const relativeSpeed = Math.abs(this.speed) + Math.abs(otherVehicle.speed);
+        const { wreck } = this.assignment;
+        if (wreck.towTruck === this) wreck.towTruck = null;
+        if (wreck.responder === this) wreck.responder = null;
         
-        // Calculate time to collision
-        if (relativeSpeed > 0 && distance > 0) {
-            return distance / relativeSpeed;
-        }
+        this.assignment = null;
+        this.onScene = false;
+        this.loadTimer = 0;
+    }
+    
+    /**
+     * Lane a dispatched vehicle wants to stop in: tow trucks need the wreck's
+     * own lane, responders take a lane next to it (an emergency lane if there is one)
+     * @returns {number} Lane index
+     */
+    getSceneLane() {
+        const { role, wreck } = this.assignment;
+        if (role === 'tow') return wreck.lane;
+        
+        const neighbours = this.road.getNeighbourLanes(wreck.lane, this.direction);
+        const emergencyLanes = neighbours.filter(lane => this.road.isEmergencyLane(lane));
+        if (emergencyLanes.length > 0) return emergencyLanes[0];
+        return neighbours.length > 0 ? neighbours[0] : wreck.lane;
+    }
+    
+    /**
+     * The spot a dispatched vehicle parks at, as a standing leader: right behind
+     * the wreck in its lane, level with it in any other lane (tow trucks can
+     * winch it across from there)
+     * @param {number} lane - The lane to look in
+     * @returns {{vehicle: null, gap: number, speed: number}|null} The spot, or null without an assignment
+     */
+    findScenePoint(lane) {
+        if (!this.assignment) return null;
         
-        return null; // No collision expected
+        const { wreck } = this.assignment;
+        const offset = wreck.occupiesLane(lane) ? wreck.halfWidth + this.halfWidth : this.halfWidth;
+        const gap = (wreck.x - this.x) * this.getHeading() - offset;
+        return { vehicle: null, gap: Math.max(0, gap), speed: 0 };
     }
     
     /**
-     * Attempts to change lanes to avoid a collision
-     * @param {Array<Vehicle>} allVehicles - All vehicles in the game for checking lane availability
-     * @param {boolean} isOpposingTraffic - Whether the lane change is triggered by opposing traffic
+     * Progress on the scene: arriving, loading the wreck (tow trucks, once the
+     * fire is out) and leaving when the wreck is gone or was driven past
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {number} speed - Own speed (magnitude)
      */
-    attemptLaneChange(allVehicles, isOpposingTraffic) {
-        // Identify adjacent lanes, including emergency lanes in critical situations
-        const adjacentLanes = [];
-        const includeEmergencyLanes = this.isEmergencySituation(allVehicles);
+    updateAssignment(deltaTime, speed) {
+        if (!this.assignment) return;
         
-        // Add lane above (including emergency lane 0 if critical)
-        if (this.lane > 1) {
-            adjacentLanes.push(this.lane - 1); // Normal lane above
-        }
-        if (includeEmergencyLanes && this.lane === 1) {
-            adjacentLanes.push(0); // Emergency lane (top)
+        const { role, wreck } = this.assignment;
+        const passed = (wreck.x - this.x) * this.getHeading() < -(wreck.halfWidth + this.halfWidth);
+        if (wreck.isCleared || wreck.hitByPoop || passed) {
+            this.releaseAssignment();
+            return;
         }
         
-        // Add lane below, including lane 4 (restricted) and emergency lane 5 if critical
-        if (this.lane < 3) {
-            adjacentLanes.push(this.lane + 1); // Normal lane below
-        }
-        if (this.lane === 3) {
-            // Lane 4 (restricted) is available for lane changes (not spawning)
-            adjacentLanes.push(4);
+        const scene = this.findScenePoint(this.lane);
+        this.onScene = !this.isChangingLane && speed < 5 && scene.gap < Vehicle.AFTERMATH.onSceneDistance;
+        
+        if (role === 'tow' && this.onScene && !wreck.fire) {
+            this.loadTimer += deltaTime;
+            if (this.loadTimer >= Vehicle.AFTERMATH.loadDuration) {
+                this.cargo = wreck;
+                wreck.isCleared = true;
+                this.releaseAssignment();
+            }
         }
-        if (includeEmergencyLanes && this.lane === 4) {
-            adjacentLanes.push(5); // Emergency lane (bottom)
+    }
+    
+    /**
+     * Whether a wreck is close by, ahead or alongside in any lane
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {boolean} True if there is a wreck to look at
+     */
+    isPassingWreck(allVehicles) {
+        const heading = this.getHeading();
+        return allVehicles.some(other => {
+            if (other === this || !other.hasCrashed || other.isCleared) return false;
+            const ahead = (other.x - this.x) * heading;
+            return ahead > -other.halfWidth && ahead < Vehicle.AFTERMATH.rubberneckDistance;
+        });
+    }
+    
+    /**
+     * Where a delivery van still has to stop, as a standing leader
+     * @returns {{vehicle: null, gap: number, speed: number}|null} The stop, or null with nothing left to deliver
+     */
+    findDeliveryStop() {
+        if (this.deliveryStopX === null) return null;
+        
+        const gap = (this.deliveryStopX - this.x) * this.getHeading() - this.halfWidth;
+        return { vehicle: null, gap: Math.max(0, gap), speed: 0 };
+    }
+    
+    /**
+     * Unloading: a van that has pulled up at its stop (nearly stopped, close to
+     * it) waits there, hazard lights on, then drives on. A van that overshoots
+     * its stop skips the delivery.
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {number} speed - Own speed (magnitude)
+     */
+    updateDelivery(deltaTime, speed) {
+        if (this.deliveryStopX === null) return;
+        
+        const gap = (this.deliveryStopX - this.x) * this.getHeading() - this.halfWidth;
+        if (gap < -this.halfWidth) {
+            this.deliveryStopX = null;
+            return;
         }
         
-        // If no adjacent lanes available, exit
-        if (adjacentLanes.length === 0) return;
+        this.isUnloading = !this.isChangingLane && speed < 10 && gap < this.minimumGap * 2 + 5;
+        if (this.isUnloading) {
+            this.unloadTimer += deltaTime;
+            if (this.unloadTimer >= this.unloadDuration) {
+                this.deliveryStopX = null;
+                this.isUnloading = false;
+            }
+        }
+    }
+    
+    /**
+     * Nearest sounding siren coming up behind in a lane. Emergency vehicles
+     * don't make way for each other.
+     * @param {number} lane - The lane to look in
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {Vehicle|null} The emergency vehicle, or null if there is none in earshot
+     */
+    findSirenBehind(lane, allVehicles) {
+        if (this.type === 'emergency') return null;
         
-        // Filter to available lanes (no vehicles within safety distance)
-        const availableLanes = adjacentLanes.filter(lane => this.isLaneClear(lane, allVehicles));
+        const heading = this.getHeading();
+        let nearest = null;
+        let nearestDistance = Siren.SETTINGS.hearingRadius;
         
-        // If there are available lanes, select one based on direction and traffic type
-        if (availableLanes.length > 0) {
-            let targetLane;
+        for (const other of allVehicles) {
+            if (other === this || other.direction !== this.direction || !other.isSirenSounding() ||
+                !other.occupiesLane(lane)) continue;
             
-            if (isOpposingTraffic) {
-                // For opposing traffic, use directional preference
-                if (this.direction === 'right') { // Cars coming from left
-                    // Prefer moving up (-50%)
-                    const upperLanes = availableLanes.filter(lane => lane < this.lane);
-                    if (upperLanes.length > 0) {
-                        targetLane = upperLanes[Math.floor(Math.random() * upperLanes.length)];
-                    } else {
-                        targetLane = availableLanes[Math.floor(Math.random() * availableLanes.length)];
-                    }
-                } else { // Cars coming from right
-                    // Prefer moving down (50%)
-                    const lowerLanes = availableLanes.filter(lane => lane > this.lane);
-                    if (lowerLanes.length > 0) {
-                        targetLane = lowerLanes[Math.floor(Math.random() * lowerLanes.length)];
-                    } else {
-                        targetLane = availableLanes[Math.floor(Math.random() * availableLanes.length)];
-                    }
-                }
-            } else {
-                // For same direction traffic, random selection as before
-                targetLane = availableLanes[Math.floor(Math.random() * availableLanes.length)];
+            const distance = (this.x - other.x) * heading;
+            if (distance > 0 && distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
             }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Runs an emergency vehicle's siren: sounding on its way, silent (lights
+     * still flashing) once it is on the scene of a crash
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    updateSiren(deltaTime) {
+        if (this.type !== 'emergency' || this.hitByPoop) return;
+        
+        if (!this.siren) {
+            this.siren = new Siren(this, { audio: this.audio });
             
-            // Initiate lane change
-            this.startLaneChange(targetLane);
+            // Emergency drivers are trained for driving with the siren on
+            this.carelessness = 0;
+            this.gapMisjudgment = 1;
+        }
+        this.siren.update(deltaTime, !this.onScene);
+    }
+    
+    /**
+     * @returns {boolean} True if the vehicle's siren is sounding
+     */
+    isSirenSounding() {
+        return !!this.siren && this.siren.isSounding;
+    }
+    
+    /**
+     * Switches the siren off for good
+     */
+    stopSiren() {
+        if (this.siren) {
+            this.siren.stop();
+        }
+    }
+    
+    /**
+     * Speed the driver wants to go: their own cruising speed, kept to the lane's
+     * speed limit (emergency vehicles ignore limits)
+     * @returns {number} Desired speed (magnitude) in pixels per second
+     */
+    getDesiredSpeed() {
+        const cruisingSpeed = Math.abs(this.originalSpeed);
+        if (this.type === 'emergency') return cruisingSpeed;
+        return Math.min(cruisingSpeed, this.road.getSpeedLimit(this.lane));
+    }
+    
+    /**
+     * Intelligent Driver Model: accelerate toward the desired speed on an open
+     * road and brake to keep a safe, speed-dependent gap to the leader
+     * @param {number} speed - Own speed (magnitude) in pixels per second
+     * @param {Object|null} leader - Result of findLeader() or findObstacleAhead(), or null on an open road
+     * @returns {number} Acceleration in pixels per second squared (negative when braking)
+     */
+    idmAcceleration(speed, leader) {
+        // Sticky droppings and rubbernecking make the driver crawl; a green light after a long wait makes them floor it
+        const slowdown = (this.stuckTimer > 0 ? this.stuckFactor : 1) *
+            (this.isRubbernecking ? Vehicle.AFTERMATH.rubberneckFactor : 1);
+        const desiredSpeed = Math.max(1, this.getDesiredSpeed() * slowdown);
+        const maxAcceleration = this.maxAcceleration * (this.surgeTimer > 0 ? Intersection.TIMING.surgeBoost : 1);
+        let acceleration = maxAcceleration * (1 - Math.pow(speed / desiredSpeed, 4));
+        
+        if (leader) {
+            // Careless drivers also underestimate how fast oncoming traffic closes in
+            const closingSpeed = speed - leader.speed / (leader.speed < 0 ? this.gapMisjudgment : 1);
+            const desiredGap = this.minimumGap + Math.max(0, speed * this.headway +
+                speed * closingSpeed / (2 * Math.sqrt(maxAcceleration * this.comfortableBraking)));
+            const perceivedGap = Math.max(0.1, leader.gap * this.gapMisjudgment);
+            acceleration -= maxAcceleration * Math.pow(desiredGap / perceivedGap, 2);
         }
+        
+        return Math.max(-Vehicle.TRAFFIC.maxBraking, acceleration);
     }
     
     /**
-     * Determines if this is an emergency situation warranting the use of emergency lanes
+     * Chooses this tick's acceleration from the traffic ahead
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      * @param {Array<Vehicle>} allVehicles - All vehicles in the game
-     * @returns {boolean} True if emergency lanes should be considered
      */
-    isEmergencySituation(allVehicles) {
-        // Check for imminent collisions (less than 1 second away)
-        const oppositeDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            ((this.direction === 'left' && vehicle.direction === 'right') || 
-             (this.direction === 'right' && vehicle.direction === 'left'))
-        );
+    updateAcceleration(deltaTime, allVehicles) {
+        // A distracted driver keeps doing whatever they were doing
+        if (this.distractedTimer > 0) {
+            this.distractedTimer -= deltaTime;
+            return;
+        }
+        if (this.rng.chance(Vehicle.TRAFFIC.distractionRate * this.carelessness * deltaTime)) {
+            this.distractedTimer = this.rng.range(0.5, 1.5);
+        }
         
-        for (const vehicle of oppositeDirectionVehicles) {
-            const timeToCollision = this.calculateTimeToCollision(vehicle);
-            // If collision is imminent (less than 1 second), it's an emergency
-            if (timeToCollision !== null && timeToCollision < 1) {
-                return true;
+        // Drivers slow down to look at a wreck (those sent to it have a job to do)
+        this.isRubbernecking = !this.assignment && this.isPassingWreck(allVehicles);
+        this.isYielding = !!this.findSirenBehind(this.lane, allVehicles);
+        
+        // While changing lanes, watch both lanes
+        let leader = this.findObstacleAhead(this.lane, allVehicles);
+        if (this.isChangingLane) {
+            const targetLeader = this.findObstacleAhead(this.targetLane, allVehicles);
+            if (targetLeader && (!leader || targetLeader.gap < leader.gap)) {
+                leader = targetLeader;
             }
         }
         
-        // Check for extremely close same-direction vehicles
-        const sameDirectionVehicles = allVehicles.filter(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === this.lane && 
-            this.direction === vehicle.direction
-        );
+        const speed = Math.abs(this.speed);
+        this.currentAcceleration = this.idmAcceleration(speed, leader);
+        this.updateLightWait(deltaTime, speed);
+        this.updateAssignment(deltaTime, speed);
+        this.updateDelivery(deltaTime, speed);
+        
+        // Stuck behind a slower vehicle, or braking harder than is comfortable, feeds road rage
+        const desiredSpeed = this.getDesiredSpeed();
+        this.isBlocked = !!leader && leader.speed > 0 && speed < desiredSpeed * 0.7 &&
+            leader.gap < this.minimumGap + desiredSpeed * this.headway * 2;
         
-        for (const vehicle of sameDirectionVehicles) {
-            const distance = this.direction === 'right' 
-                ? vehicle.x - this.x
-                : this.x - vehicle.x;
+        const brakingHard = this.currentAcceleration < -this.comfortableBraking;
+        if (brakingHard && !this.isSlowingDown) {
+            this.addIrritation(Vehicle.IRRITATION.slowDown);
+        }
+        this.isSlowingDown = brakingHard;
+    }
+    
+    /**
+     * Lane changes (MOBIL): move to a neighbouring lane when it lets the driver
+     * go noticeably faster, counting the slowdown forced on others (weighted by
+     * politeness) and never forcing the new follower to brake dangerously
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     */
+    considerLaneChange(allVehicles) {
+        const { safeBraking, keepOutBias } = Vehicle.TRAFFIC;
+        const speed = Math.abs(this.speed);
+        const currentLeader = this.findObstacleAhead(this.lane, allVehicles);
+        const current = this.idmAcceleration(speed, currentLeader);
+        
+        // Emergency lanes are for emergency vehicles; others only use them to get around something
+        // blocking the lane (a queue at a red light doesn't count) or to make way for a siren
+        const isEmergency = this.type === 'emergency' || !!this.assignment;
+        const isStuck = speed < 10 && !!currentLeader && currentLeader.gap < this.minimumGap * 2 && !this.isWaitingAtLight;
+        const style = this.getLaneChangeStyle();
+        if (style.onlyWhenStuck && !isStuck && !this.isYielding) return;
+        
+        const candidateLanes = this.road.getNeighbourLanes(this.lane, this.direction)
+            .filter(lane => isEmergency || isStuck || this.isYielding || !this.road.isEmergencyLane(lane));
+        const isPreferredLane = (lane) => this.road.isSpawnLane(lane) || (isEmergency && this.road.isEmergencyLane(lane));
+        
+        // Whoever was behind us gets a clear road once we leave
+        const oldFollower = this.findFollower(this.lane, allVehicles);
+        let oldFollowerGain = 0;
+        if (oldFollower) {
+            const follower = oldFollower.vehicle;
+            const newLeader = currentLeader && {
+                ...currentLeader,
+                gap: currentLeader.gap + oldFollower.gap + this.width
+            };
+            oldFollowerGain = follower.idmAcceleration(Math.abs(follower.speed), newLeader) - follower.currentAcceleration;
+        }
+        
+        let bestLane = null;
+        let bestGain = style.threshold;
+        
+        for (const lane of candidateLanes) {
+            // There must be room to pull in, as far as the driver can tell
+            if (this.hasVehicleAlongside(lane, allVehicles)) continue;
+            const leader = this.findObstacleAhead(lane, allVehicles);
+            
+            // Oncoming traffic in that lane must be able to stop in time
+            if (leader && leader.speed < 0) {
+                const oncoming = leader.vehicle;
+                const oncomingAcceleration = oncoming.idmAcceleration(Math.abs(oncoming.speed), {
+                    vehicle: this,
+                    gap: leader.gap * this.gapMisjudgment,
+                    speed: -speed
+                });
+                if (oncomingAcceleration < -safeBraking) continue;
+            }
+            
+            // Safety: the new follower must not have to brake too hard
+            const newFollower = this.findFollower(lane, allVehicles);
+            let newFollowerGain = 0;
+            if (newFollower) {
+                const follower = newFollower.vehicle;
+                const perceivedGap = newFollower.gap * this.gapMisjudgment;
+                if (perceivedGap < follower.minimumGap) continue;
                 
-            // If vehicle is extremely close (less than width), it's an emergency
-            if (distance > 0 && distance < this.width) {
+                const after = follower.idmAcceleration(Math.abs(follower.speed), {
+                    vehicle: this,
+                    gap: perceivedGap,
+                    speed
+                });
+                if (after < -safeBraking) continue;
+                newFollowerGain = after - follower.currentAcceleration;
+            }
+            
+            let gain = this.idmAcceleration(speed, leader) - current +
+                this.politeness * (newFollowerGain + oldFollowerGain);
+            
+            // Drivers stay out of the overtaking and emergency lanes unless it's worth it
+            if (!isPreferredLane(lane)) gain -= keepOutBias;
+            if (!isPreferredLane(this.lane)) gain += keepOutBias;
+            
+            // Dispatched vehicles head for the lane they need at the crash
+            if (this.assignment) {
+                const sceneLane = this.getSceneLane();
+                gain += Math.sign(Math.abs(this.lane - sceneLane) - Math.abs(lane - sceneLane)) * Vehicle.AFTERMATH.dispatchBias;
+            }
+            
+            // Get out of the way of a siren, onto the emergency lane if there is one, and don't pull in front of one
+            const { yieldBias } = Siren.SETTINGS;
+            if (this.isYielding) gain += this.road.isEmergencyLane(lane) ? yieldBias * 2 : yieldBias;
+            if (this.findSirenBehind(lane, allVehicles)) gain -= yieldBias;
+            
+            if (gain > bestGain) {
+                bestGain = gain;
+                bestLane = lane;
+            }
+        }
+        
+        if (bestLane !== null) {
+            // Cutting in front of somebody who then has to brake is asking for a honk
+            const newFollower = this.findFollower(bestLane, allVehicles);
+            if (newFollower && newFollower.vehicle.idmAcceleration(Math.abs(newFollower.vehicle.speed), {
+                vehicle: this,
+                gap: newFollower.gap,
+                speed
+            }) < 0) {
+                newFollower.vehicle.addIrritation(Vehicle.IRRITATION.cutIn);
+            }
+            
+            this.startLaneChange(bestLane);
+        }
+    }
+    
+    /**
+     * Moves a new vehicle to a spawn lane where it can enter the road without
+     * braking hard, trying its own lane first (emergency vehicles may also enter in the emergency lanes)
+     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
+     * @returns {boolean} False if traffic is backed up to the edge of the road in every lane
+     */
+    findEntryLane(allVehicles) {
+        let entryLanes = this.road.getSpawnLanes(this.direction);
+        if (this.type === 'emergency') {
+            entryLanes = entryLanes.concat(this.road.getEmergencyLanes(this.direction));
+        }
+        const lanes = entryLanes.includes(this.lane)
+            ? [this.lane].concat(entryLanes.filter(lane => lane !== this.lane))
+            : entryLanes;
+        
+        for (const lane of lanes) {
+            // Nothing may be in the way, and the traffic ahead must leave room to come in at speed
+            const leader = this.findLeader(lane, allVehicles);
+            const entryIsClear = !this.hasVehicleAlongside(lane, allVehicles) &&
+                this.idmAcceleration(Math.abs(this.speed), leader) >= -this.comfortableBraking;
+            
+            if (entryIsClear) {
+                this.lane = lane;
+                this.y = this.road.getLaneCenterY(lane);
+                this.originalY = this.y;
+                this.targetY = this.y;
                 return true;
             }
         }
@@ -638,20 +1168,59 @@ class Vehicle {
     }
     
     /**
-     * Checks if a lane is clear of other vehicles within a safety distance
-     * @param {number} lane - The lane to check
-     * @param {Array<Vehicle>} allVehicles - All vehicles in the game
-     * @returns {boolean} True if the lane is safe to move into
+     * Raises the irritation meter, scaled by the driver's temper
+     * @param {number} amount - Irritation to add before temper
      */
-    isLaneClear(lane, allVehicles) {
-        const safetyDistance = this.width * 2; // Safety distance is twice the vehicle width
-        
-        // Check if any vehicles are too close in the target lane
-        return !allVehicles.some(vehicle => 
-            vehicle !== this && 
-            vehicle.lane === lane && 
-            Math.abs(vehicle.x - this.x) < safetyDistance
-        );
+    addIrritation(amount) {
+        this.irritation = Math.min(1, this.irritation + amount * this.temper);
+    }
+    
+    /**
+     * Reacts to another vehicle's honk; closer honks are more irritating
+     * @param {Vehicle} honker - The vehicle that honked
+     */
+    hearHonk(honker) {
+        if (honker === this || this.hitByPoop || this.hasCrashed) return;
+        
+        const distance = Math.hypot(honker.x - this.x, honker.y - this.y);
+        const { hearingRadius, honkHeard } = Vehicle.IRRITATION;
+        if (distance < hearingRadius) {
+            this.addIrritation(honkHeard * (1 - distance / hearingRadius));
+        }
+    }
+    
+    /**
+     * Builds irritation while blocked or held below the desired speed, calms
+     * down in free-flowing traffic and honks once the meter is full
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    updateIrritation(deltaTime) {
+        // Cleared vehicles, crews on duty and drivers out unloading keep their cool
+        if (this.hitByPoop || this.assignment || this.isSirenSounding() || this.isUnloading) {
+            this.irritation = 0;
+            return;
+        }
+        
+        const { blockedRate, jamRate, impatienceRate, redLightRate, calmRate, afterHonk } = Vehicle.IRRITATION;
+        const speedDeficit = Math.max(0, 1 - Math.abs(this.speed) / this.getDesiredSpeed());
+        const crawling = speedDeficit > 0.7;
+        
+        if (this.isWaitingAtLight) {
+            // Stopping at a red light is expected; patience wears thinner the longer it lasts
+            this.addIrritation(redLightRate * this.lightWaitTimer * deltaTime);
+        } else if (this.isBlocked || speedDeficit > 0.1) {
+            const rate = (this.isBlocked ? blockedRate : 0) + (crawling ? jamRate : 0) + speedDeficit * impatienceRate;
+            this.addIrritation(rate * deltaTime);
+        } else {
+            this.irritation = Math.max(0, this.irritation - calmRate * deltaTime);
+        }
+        
+        if (this.irritation >= 1 && !this.isHonking && this.honkCooldown <= 0) {
+            this.honkBurstsLeft = this.getProfile().honk.bursts;
+            this.playHonkSound();
+            this.honkTimer = 0; // Reset honk timer
+            this.irritation = afterHonk;
+        }
     }
     
     /**
@@ -662,8 +1231,9 @@ class Vehicle {
         this.isChangingLane = true;
         this.targetLane = targetLane;
         this.laneChangeProgress = 0;
+        this.laneChangeSpeed = this.getLaneChangeStyle().duration;
         this.originalY = this.y;
-        this.targetY = this.laneStartY + (targetLane * this.laneHeight) + (this.laneHeight / 2);
+        this.targetY = this.road.getLaneCenterY(targetLane);
     }
     
     /**
@@ -675,79 +1245,32 @@ class Vehicle {
             return;
         }
         
-        // Check if we've reached the maximum number of concurrent honk sounds
-        if (Vehicle.activeHonkSounds >= Vehicle.MAX_CONCURRENT_HONKS) {
-            // Just set the visual honking state but don't play sound
-            this.isHonking = true;
-            this.lastHonkTime = Date.now() / 1000; // Update last honk time
-            
-            // Start the sound wave animation
-            this.soundWaves = [{
-                radius: 5,
-                opacity: 1
-            }];
-            return;
-        }
+        this.events.emit(GameEvents.HONK_STARTED, { vehicle: this });
         
-        // Get all available honk sounds
-        const availableHonks = [];
-        if (assets && assets.sounds && assets.sounds.vehicles) {
-            // Collect all available honk sounds
-            for (const key in assets.sounds.vehicles) {
-                if (key.startsWith('honk')) {
-                    availableHonks.push(assets.sounds.vehicles[key]);
-                }
+        // Honks have a bus of their own; once all its channels are busy the oldest honk is cut off
+        let honkSound = null;
+        const options = {
+            bus: 'honk',
+            position: { x: this.x, y: this.y },
+            onEnded: () => {
+                if (this.honkingAudio === honkSound) this.honkingAudio = null;
             }
-        }
+        };
         
-        // If we have honk sounds, randomly select one
-        if (availableHonks.length > 0) {
-            // Select a random honk sound
-            const randomIndex = Math.floor(Math.random() * availableHonks.length);
-            const honkSound = availableHonks[randomIndex];
-            
-            // Reset and play the sound
-            honkSound.currentTime = 0;
-            
-            try {
-                // Start the honking
-                this.honkingAudio = honkSound;
-                this.isHonking = true;
-                this.lastHonkTime = Date.now() / 1000; // Update last honk time
-                
-                // Increment active honk counter
-                Vehicle.activeHonkSounds++;
-                
-                // Add ended event listener to decrement counter when sound finishes
-                const decrementCounter = () => {
-                    Vehicle.activeHonkSounds = Math.max(0, Vehicle.activeHonkSounds - 1);
-                    honkSound.removeEventListener('ended', decrementCounter);
-                };
-                honkSound.addEventListener('ended', decrementCounter);
-                
-                // Play the sound
-                const playPromise = honkSound.play();
-                if (playPromise !== undefined) {
-                    playPromise.catch(error => {
-                        console.warn('Audio play was prevented:', error);
-                        // Decrement counter if play fails
-                        Vehicle.activeHonkSounds = Math.max(0, Vehicle.activeHonkSounds - 1);
-                        // Visually show honking even if sound doesn't play
-                        this.isHonking = true;
-                    });
-                }
-            } catch (e) {
-                console.warn('Error playing honk sound:', e);
-                // Decrement counter if play throws error
-                Vehicle.activeHonkSounds = Math.max(0, Vehicle.activeHonkSounds - 1);
-                // Visually show honking even if sound doesn't play
-                this.isHonking = true;
-            }
+        const horn = this.getHorn();
+        if (horn) {
+            honkSound = this.audio.playHorn(horn, options);
         } else {
-            // No sounds available, just set honking flag
-            this.isHonking = true;
-            this.lastHonkTime = Date.now() / 1000; // Update last honk time
+            // Which recording plays is purely cosmetic, so it must not use the gameplay generator
+            const honkNames = this.audio.names('vehicles', 'honk');
+            const honkName = honkNames[Math.floor(Math.random() * honkNames.length)];
+            honkSound = this.audio.play('vehicles', honkName, { ...options, rate: this.getProfile().honk.pitch });
         }
+        this.honkingAudio = honkSound;
+        
+        // Honking counts for gameplay whether or not a sound could be played
+        this.isHonking = true;
+        this.lastHonkTime = this.age; // Update last honk time
         
         // Start the sound wave animation
         this.soundWaves = [{
@@ -756,23 +1279,30 @@ class Vehicle {
         }];
     }
     
+    /**
+     * Gets the synthesized horn this vehicle honks with. Vehicles get one when no
+     * recorded honks loaded, and some of them do when the player mixes synthesized
+     * horns in; the rest play recorded honks. Decided once, on the first honk.
+     * @returns {Horn|null} The horn, or null to play recorded honks
+     */
+    getHorn() {
+        if (this.horn === undefined) {
+            // Which horn a vehicle has is purely cosmetic, so it must not use the gameplay generator
+            const hasRecordings = this.audio.names('vehicles', 'honk').length > 0;
+            const mixedIn = this.audio.mixesSynthHorns() && Math.random() < Horn.MIX_SHARE;
+            this.horn = !hasRecordings || mixedIn ? new Horn(this.getProfile().honk.horn, this.honkDuration) : null;
+        }
+        return this.horn;
+    }
+    
     /**
      * Stops any currently playing honk sound
      */
     stopHonkSound() {
         // Stop audio playback
         if (this.honkingAudio) {
-            try {
-                this.honkingAudio.pause();
-                this.honkingAudio.currentTime = 0;
-                
-                // Decrement active honk counter
-                Vehicle.activeHonkSounds = Math.max(0, Vehicle.activeHonkSounds - 1);
-                
-                this.honkingAudio = null;
-            } catch (e) {
-                console.warn('Error stopping honk sound:', e);
-            }
+            this.audio.stop(this.honkingAudio);
+            this.honkingAudio = null;
         }
         
         // Clear visual honking state
@@ -784,8 +1314,7 @@ class Vehicle {
      * @returns {boolean} True if honking or was honking within grace period
      */
     isCurrentlyHonking() {
-        const currentTime = Date.now() / 1000; // Convert to seconds
-        return this.isHonking || (currentTime - this.lastHonkTime < this.honkGracePeriod);
+        return this.isHonking || (this.age - this.lastHonkTime < this.honkGracePeriod);
     }
     
     /**
@@ -796,10 +1325,10 @@ class Vehicle {
         // Skip if already crashed
         if (this.hasCrashed) return;
         
-        // Check for collisions with other non-crashed vehicles
+        // Check for collisions with every other vehicle, wrecks included
         for (const otherVehicle of allVehicles) {
-            // Skip self-comparison and already crashed vehicles
-            if (otherVehicle === this || otherVehicle.hasCrashed) continue;
+            // Skip self-comparison
+            if (otherVehicle === this) continue;
             
             // Simple bounding box collision detection
             const collision = 
@@ -809,25 +1338,9 @@ class Vehicle {
                 this.y + this.halfHeight > otherVehicle.y - otherVehicle.halfHeight;
                 
             if (collision) {
-                // If moving in opposite directions, check speeds
-                const isOppositeDirection = 
-                    (this.direction === 'left' && otherVehicle.direction === 'right') ||
-                    (this.direction === 'right' && otherVehicle.direction === 'left');
-                
-                // Check if both vehicles are moving slow enough to pass through each other
-                // Slow is defined as less than 30% of original speed (in absolute terms)
-                const thisIsSlow = Math.abs(this.speed) < Math.abs(this.originalSpeed) * 0.3;
-                const otherIsSlow = Math.abs(otherVehicle.speed) < Math.abs(otherVehicle.originalSpeed) * 0.3;
-                
-                // If both are slow, or moving in same direction, allow them to pass through
-                if ((thisIsSlow && otherIsSlow) || !isOppositeDirection) {
-                    // Just pass through each other (ghosting)
-                    continue;
-                } else {
-                    // Trigger crash for both vehicles
-                    this.crash();
-                    otherVehicle.crash();
-                }
+                // Drivers keep their distance, so touching means somebody misjudged: both crash
+                this.crash();
+                otherVehicle.crash();
                 
                 break; // Only handle one collision at a time
             }
@@ -844,12 +1357,10 @@ class Vehicle {
         // Set crash flags and stop the vehicle
         this.hasCrashed = true;
         this.speed = 0;
-        this.targetSpeed = 0;
+        this.currentAcceleration = 0;
         this.crashTimer = 0;
-        
-        // Log information about fire sprites
-        const fireSprites = assets.visuals.vehicles.fire_sprites;
-        console.log(`Vehicle crash: Creating fire with ${fireSprites ? fireSprites.length : 0} sprites from /assets/visuals/vehicles/fire_sprites`);
+        this.releaseAssignment();
+        this.stopSiren();
         
         // Create fire animation at vehicle position
         this.fire = new Fire(
@@ -857,7 +1368,8 @@ class Vehicle {
             this.y,               // Y position
             this.width * 1.5,     // Width
             this.height * 1.8,    // Height
-            this.crashDuration    // Duration
+            this.crashDuration,   // Duration
+            { rng: this.rng, audio: this.audio, visuals: this.visuals }
         );
         
         // Stop any honking
@@ -865,19 +1377,11 @@ class Vehicle {
             this.stopHonkSound();
             this.isHonking = false;
         }
+        this.honkBurstsLeft = 0;
+        this.isUnloading = false;
         
-        // Dispatch a custom crash event for the game to listen to
-        if (typeof window !== 'undefined') {
-            const crashEvent = new CustomEvent('vehicleCrash', { 
-                detail: { 
-                    vehicle: this,
-                    x: this.x,
-                    y: this.y,
-                    type: this.type
-                } 
-            });
-            window.dispatchEvent(crashEvent);
-        }
+        // Let the game react (crash effects, dispatching help)
+        this.events.emit(GameEvents.VEHICLE_CRASHED, { vehicle: this, x: this.x, y: this.y });
     }
     
     /**
@@ -899,28 +1403,140 @@ class Vehicle {
             this.fire.draw(ctx);
         }
         
+        // Emergency vehicles flash their light bar while on duty
+        if (this.siren && !this.hitByPoop && !this.hasCrashed) {
+            this.siren.draw(ctx);
+        }
+        
+        // Tow trucks show a beacon, the winch line while loading and the wreck once loaded
+        if (this.cargo || (this.assignment && this.assignment.role === 'tow')) {
+            this.drawTowGear(ctx);
+        }
+        
+        // Delivery vans put their hazard lights on while unloading
+        if (this.isUnloading && !this.hitByPoop) {
+            this.drawHazardLights(ctx);
+        }
+        
         // Draw sound waves if honking (and not hit by poop)
         if (this.isHonking && !this.hitByPoop && this.soundWaves.length > 0) {
             this.drawSoundWaves(ctx);
         }
         
-        // Draw pile sprite if hit by poop
-        if (this.hitByPoop && assets.visuals.drops && assets.visuals.drops.pile) {
-            // Draw pile on top of the vehicle
-            const pileImg = assets.visuals.drops.pile;
-            const pileWidth = this.width * 0.7;
-            const pileHeight = pileWidth * (pileImg.height / pileImg.width);
+        // Draw one pile sprite per hit
+        if (this.hits > 0 && this.visuals.drops && this.visuals.drops.pile) {
+            this.drawPiles(ctx);
+        }
+        
+        // Show drivers who are about to lose their temper
+        if (this.irritation > 0.3 && !this.hitByPoop && !this.hasCrashed) {
+            this.drawIrritationMeter(ctx);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draws a tow truck's amber beacon, its winch line to the wreck it is
+     * loading and the wreck on its bed
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    drawTowGear(ctx) {
+        const roofY = this.y - this.halfHeight;
+        
+        if (this.cargo) {
+            // The wreck rides on the bed, a bit smaller than life
+            const cargo = this.cargo;
+            const sprites = cargo.visuals.vehicles[`${cargo.type}_sprites`];
+            const sprite = sprites && sprites[cargo.direction] && sprites[cargo.direction][cargo.spriteIndex];
+            if (sprite) {
+                const width = cargo.width * 0.7;
+                const height = cargo.height * 0.7;
+                ctx.save();
+                ctx.filter = 'grayscale(1) brightness(0.45)';
+                ctx.drawImage(sprite, this.x - width / 2, roofY - height + 4, width, height);
+                ctx.restore();
+            }
+        } else if (this.loadTimer > 0) {
+            // Winch line from the front of the truck to the wreck
+            const { wreck } = this.assignment;
+            ctx.strokeStyle = '#212121';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(this.x + this.halfWidth * this.getHeading(), this.y - 4);
+            ctx.lineTo(wreck.x, wreck.y - 4);
+            ctx.stroke();
+        }
+        
+        // Blinking amber beacon on the roof
+        if (Math.floor(this.age * 3) % 2 === 0) {
+            ctx.fillStyle = '#ffab00';
+            ctx.beginPath();
+            ctx.arc(this.x, roofY - 3, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Draws blinking amber lights at all four corners of the vehicle
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    drawHazardLights(ctx) {
+        if (Math.floor(this.age * 2.5) % 2 !== 0) return;
+        
+        ctx.fillStyle = '#ffab00';
+        for (const dx of [-this.halfWidth + 2, this.halfWidth - 2]) {
+            for (const dy of [-this.halfHeight + 3, this.halfHeight - 3]) {
+                ctx.beginPath();
+                ctx.arc(this.x + dx, this.y + dy, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+    
+    /**
+     * Draws a small bar above the vehicle that fills and turns red as the driver gets irritated
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    drawIrritationMeter(ctx) {
+        const barWidth = 30;
+        const barHeight = 4;
+        const x = this.x - barWidth / 2;
+        const y = this.y - this.height / 2 - 10;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(x, y, barWidth, barHeight);
+        
+        // Yellow when mildly annoyed, red when about to honk
+        const green = Math.round(220 * (1 - this.irritation));
+        ctx.fillStyle = `rgb(255, ${green}, 0)`;
+        ctx.fillRect(x, y, barWidth * this.irritation, barHeight);
+    }
+    
+    /**
+     * Draws the mess on the roof: one pile per hit, centre first, then left
+     * and right, stacking up once a row is full
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    drawPiles(ctx) {
+        const pileImg = this.visuals.drops.pile;
+        // A one-hit vehicle gets a single big pile; sturdier ones collect smaller piles
+        const pileWidth = this.width * (this.maxHits > 1 ? 0.4 : 0.7);
+        const pileHeight = pileWidth * (pileImg.height / pileImg.width);
+        const columns = [0, -1, 1];
+        
+        for (let i = 0; i < this.hits; i++) {
+            const offsetX = columns[i % columns.length] * this.width * 0.25;
+            const offsetY = Math.floor(i / columns.length) * pileHeight * 0.4;
             
             ctx.drawImage(
                 pileImg,
-                this.x - pileWidth / 2,
-                this.y - this.height / 2 - pileHeight / 2,
+                this.x + offsetX - pileWidth / 2,
+                this.y - this.height / 2 - pileHeight / 2 - offsetY,
                 pileWidth,
                 pileHeight
             );
         }
-        
-        ctx.restore();
     }
     
     /**
@@ -929,7 +1545,7 @@ class Vehicle {
      */
     drawVehicleSprite(ctx) {
         // Get sprite array for this vehicle type and direction
-        const spriteArray = assets.visuals.vehicles[`${this.type}_sprites`][this.direction];
+        const spriteArray = this.visuals.vehicles[`${this.type}_sprites`][this.direction];
         
         if (spriteArray && spriteArray.length > 0 && this.spriteIndex < spriteArray.length) {
             // Draw vehicle sprite
@@ -946,6 +1562,11 @@ class Vehicle {
                     bounceY = Math.sin(phase) * bounceAmplitude;
                 }
                 
+                // A burnt-out wreck is charred black
+                if (this.hasCrashed && !this.fire) {
+                    ctx.filter = 'grayscale(1) brightness(0.45)';
+                }
+                
                 // Draw the sprite at its position
                 ctx.drawImage(
                     sprite, 
@@ -954,6 +1575,7 @@ class Vehicle {
                     this.width, 
                     this.height
                 );
+                ctx.filter = 'none';
                 
                 return true; // Successfully drew sprite
             }
@@ -976,6 +1598,9 @@ class Vehicle {
         const baseColor = this.type === 'car' ? 'rgba(70, 130, 180, 0.8)' :  // Steel blue for cars
                          this.type === 'truck' ? 'rgba(119, 136, 153, 0.8)' : // Slate gray for trucks
                          this.type === 'bus' ? 'rgba(160, 82, 45, 0.8)' :    // Sienna for buses
+                         this.type === 'motorbike' ? 'rgba(47, 79, 79, 0.8)' : // Dark slate for motorbikes
+                         this.type === 'rickshaw' ? 'rgba(218, 165, 32, 0.8)' : // Goldenrod for rickshaws
+                         this.type === 'van' ? 'rgba(245, 245, 245, 0.8)' :   // White for vans
                          'rgba(178, 34, 34, 0.8)';                          // Firebrick for emergency
         
         // Create a gradient for a more natural look
@@ -1126,20 +1751,30 @@ class Vehicle {
     }
     
     /**
-     * Handles what happens when this vehicle is hit by a dropping
+     * Handles what happens when this vehicle is hit by a dropping. Sturdy
+     * vehicles (see `hits` in Vehicle.TYPES) take several hits; only the final
+     * one clears them off the road.
      * @param {number} powerLevel - The current power level of the bird (1-5)
      * @returns {number} Score value based on whether the vehicle was honking
      */
     handleHit(powerLevel = 1) {
-        // If already hit, don't process again
+        // If already cleared, don't process again
         if (this.hitByPoop) return 0;
         
         // Store whether the vehicle was honking or recently honking
         const wasHonking = this.isCurrentlyHonking();
         
-        // Stop honking
+        this.hits++;
+        
+        // Partial hit: the vehicle keeps driving (and honking) with more mess on the roof
+        if (this.hits < this.maxHits) {
+            return wasHonking ? 2 : -5;
+        }
+        
+        // Stop honking, and the siren
         this.stopHonkSound();
         this.isHonking = false;
+        this.stopSiren();
         
         // Clear sound waves animation
         this.soundWaves = [];
@@ -1165,8 +1800,19 @@ class Vehicle {
         }
         
         // Regular scoring for other vehicles
-        // Return 5 points if the vehicle was honking or recently honking, -10 if it wasn't
-        return wasHonking ? 5 : -10;
+        // Return the type's points (5 for a car) if the vehicle was honking or recently honking, -10 if it wasn't.
+        // Finishing off a sturdy honker earns 3 bonus points for each extra hit it took.
+        return wasHonking ? this.getProfile().points + (this.maxHits - 1) * 3 : -10;
+    }
+    
+    /**
+     * Slows the vehicle down after a sticky dropping hit it
+     * @param {number} duration - Seconds the vehicle stays slowed
+     * @param {number} factor - Fraction of its speed the vehicle keeps
+     */
+    stick(duration, factor) {
+        this.stuckTimer = Math.max(this.stuckTimer, duration);
+        this.stuckFactor = factor;
     }
     
     /**
@@ -1219,6 +1865,7 @@ class Vehicle {
         this.soundWaves = this.soundWaves.filter(wave => wave.opacity > 0);
         
         // Add new wave when needed - emergency vehicles produce waves more frequently
+        // Purely cosmetic and runs per rendered frame, so it must not consume the game's generator
         // Reduce wave generation frequency by 15%
         const newWaveChance = this.type === 'emergency' ? 0.1275 : 0.085; // Reduced from 0.15/0.1 by 15%
         if (Math.random() < newWaveChance && this.soundWaves.length < 5) {